@@ -0,0 +1,48 @@
+-- migrations 導入前からある表（本番 DB には既にある。新しい DB 用に IF NOT EXISTS で作る）
+-- receipt_import_job.phase / last_error は 0003
+
+CREATE TABLE IF NOT EXISTS receipt_annual (
+  year INTEGER NOT NULL,
+  member_id TEXT NOT NULL,
+  branch TEXT,
+  name TEXT,
+  amount_cents INTEGER,
+  issue_date TEXT,
+  pdf_key TEXT,
+  status TEXT,
+  error TEXT,
+  email TEXT,
+  email_status TEXT,
+  email_error TEXT,
+  email_sent_at TEXT,
+  PRIMARY KEY (year, member_id)
+);
+
+CREATE TABLE IF NOT EXISTS receipt_import_job (
+  job_id TEXT PRIMARY KEY,
+  year INTEGER,
+  csv_key TEXT,
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  ok_rows INTEGER NOT NULL DEFAULT 0,
+  ng_rows INTEGER NOT NULL DEFAULT 0,
+  next_index INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL,
+  created_at TEXT,
+  updated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS receipt_import_row (
+  job_id TEXT NOT NULL,
+  row_index INTEGER NOT NULL,
+  member_id TEXT,
+  branch TEXT,
+  amount TEXT,
+  year TEXT,
+  status TEXT NOT NULL,
+  error TEXT,
+  email TEXT,
+  pdf_key TEXT,
+  updated_at TEXT,
+  PRIMARY KEY (job_id, row_index)
+);
@@ -0,0 +1,142 @@
+-- 年次領収書・ジョブ・テンプレート・採番・OTP などの表と、既存表へのカラム追加
+-- 適用: wrangler d1 migrations apply wdl-receipts-db --remote（deploy の前に）
+
+ALTER TABLE receipt_annual ADD COLUMN issue_id TEXT;
+ALTER TABLE receipt_annual ADD COLUMN template_version INTEGER;
+ALTER TABLE receipt_annual ADD COLUMN last_job_id TEXT;
+ALTER TABLE receipt_annual ADD COLUMN mailed_at TEXT;
+ALTER TABLE receipt_annual ADD COLUMN mailed_job_id TEXT;
+ALTER TABLE receipt_import_job ADD COLUMN mode TEXT;
+ALTER TABLE receipt_import_job ADD COLUMN params TEXT;
+ALTER TABLE receipt_import_row ADD COLUMN detail TEXT;
+
+CREATE TABLE IF NOT EXISTS receipt_job (
+  job_id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,
+  year INTEGER,
+  params TEXT,
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  ok_rows INTEGER NOT NULL DEFAULT 0,
+  ng_rows INTEGER NOT NULL DEFAULT 0,
+  next_index INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL,
+  result TEXT,
+  last_error TEXT,
+  created_by TEXT,
+  created_at TEXT,
+  updated_at TEXT);
+
+CREATE TABLE IF NOT EXISTS receipt_job_row (
+  job_id TEXT NOT NULL,
+  row_index INTEGER NOT NULL,
+  member_id TEXT NOT NULL,
+  year INTEGER,
+  status TEXT NOT NULL,
+  error TEXT,
+  updated_at TEXT,
+  detail TEXT,
+  PRIMARY KEY (job_id, row_index));
+
+CREATE INDEX IF NOT EXISTS idx_receipt_job_row_status ON receipt_job_row(job_id, status, row_index);
+
+CREATE TABLE IF NOT EXISTS receipt_template (
+  version INTEGER PRIMARY KEY,
+  label TEXT,
+  pdf_key TEXT NOT NULL,
+  layout TEXT NOT NULL,
+  page_count INTEGER,
+  active INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT,
+  created_at TEXT,
+  activated_at TEXT,
+  sign INTEGER NOT NULL DEFAULT 0);
+
+-- v1 も registry に載せる（他の版を activate した後でも v1 に戻せるように）。発行に使われてきた版なので固定扱い
+INSERT OR IGNORE INTO receipt_template (version, label, pdf_key, layout, page_count, active, created_by, created_at, activated_at, sign)
+SELECT 1, 'v1', 'templates/receipt_template_v1.pdf', '{"page":0,"font_size":12,"name_x":150,"name_y":560,"year_x":520,"year_y":600,"amount_x":520,"amount_y":520,"date_x":520,"date_y":480,"amend_x":50,"amend_y":740,"items_x":72,"items_y":440,"items_w":468,"items_size":9,"items_rows":18,"items_top":740,"items_bottom":60,"serial_x":50,"serial_y":56,"qr_x":476,"qr_y":36,"qr_size":86,"receipt_no_x":562,"receipt_no_y":740}', NULL,
+     NOT EXISTS (SELECT 1 FROM receipt_template WHERE active=1), 'system', datetime('now'), datetime('now'), 0;
+
+CREATE TABLE IF NOT EXISTS receipt_issuance (
+  issue_id TEXT PRIMARY KEY,
+  year INTEGER NOT NULL,
+  member_id TEXT NOT NULL,
+  seq INTEGER NOT NULL,
+  template_version INTEGER,
+  fields TEXT NOT NULL,
+  pdf_sha256 TEXT NOT NULL,
+  pdf_key TEXT NOT NULL,
+  source TEXT NOT NULL,
+  job_id TEXT,
+  issued_by TEXT,
+  created_at TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'ORIGINAL',
+  supersedes_issue_id TEXT,
+  reason TEXT,
+  serial TEXT,
+  UNIQUE (year, member_id, seq));
+
+CREATE INDEX IF NOT EXISTS idx_receipt_issuance_job ON receipt_issuance(job_id);
+
+CREATE TABLE IF NOT EXISTS receipt_number_seq (
+  year INTEGER PRIMARY KEY,
+  last_no INTEGER NOT NULL);
+
+CREATE TABLE IF NOT EXISTS receipt_number (
+  receipt_no TEXT PRIMARY KEY,
+  year INTEGER NOT NULL,
+  seq_no INTEGER NOT NULL,
+  member_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  job_id TEXT,
+  assigned_at TEXT NOT NULL,
+  voided_at TEXT,
+  void_reason TEXT,
+  voided_by TEXT,
+  UNIQUE (year, seq_no));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_receipt_number_active ON receipt_number(year, member_id) WHERE status='ACTIVE';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_receipt_issuance_serial ON receipt_issuance(serial);
+
+CREATE TABLE IF NOT EXISTS receipt_gift (
+  job_id TEXT NOT NULL,
+  row_index INTEGER NOT NULL,
+  year INTEGER NOT NULL,
+  member_id TEXT NOT NULL,
+  gift_date TEXT NOT NULL,
+  amount_cents INTEGER NOT NULL,
+  fund TEXT,
+  PRIMARY KEY (job_id, row_index));
+
+CREATE INDEX IF NOT EXISTS idx_receipt_gift_member ON receipt_gift(job_id, year, member_id);
+
+CREATE TABLE IF NOT EXISTS receipt_import_profile (
+  name TEXT PRIMARY KEY,
+  label TEXT,
+  columns TEXT NOT NULL,
+  delimiter TEXT NOT NULL,
+  decimal TEXT NOT NULL,
+  encoding TEXT NOT NULL,
+  updated_by TEXT,
+  updated_at TEXT);
+
+CREATE TABLE IF NOT EXISTS receipt_otp (
+  email TEXT PRIMARY KEY,
+  hash TEXT NOT NULL,
+  member_id TEXT NOT NULL,
+  years TEXT NOT NULL,
+  exp INTEGER NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  sent_at INTEGER NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_receipt_otp_exp ON receipt_otp(exp);
+
+CREATE TABLE IF NOT EXISTS receipt_rate_limit (
+  key TEXT NOT NULL,
+  win INTEGER NOT NULL,
+  n INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  PRIMARY KEY (key, win));
+
+CREATE INDEX IF NOT EXISTS idx_receipt_rate_limit_exp ON receipt_rate_limit(expires_at);
@@ -0,0 +1,5 @@
+-- receipt_import_job.phase / last_error は手で足された DB がある（旧コードは無い前提で try/catch していた）
+-- 既に両方ある DB では apply が duplicate column で止まるので、先に適用済みとして記録する:
+--   wrangler d1 execute wdl-receipts-db --remote --command "INSERT INTO d1_migrations (name) VALUES ('0003_import_job_phase.sql')"
+ALTER TABLE receipt_import_job ADD COLUMN phase TEXT;
+ALTER TABLE receipt_import_job ADD COLUMN last_error TEXT;
@@ -0,0 +1,2 @@
+-- 合算された取込行（status='MERGED'）の合算先 row_index（error の 'merged_into:N' は表示用）
+ALTER TABLE receipt_import_row ADD COLUMN merged_into INTEGER;
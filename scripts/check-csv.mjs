@@ -0,0 +1,66 @@
+// 逐次 CSV パーサの確認（npm run check:csv）
+// 同じ入力を 1 回で / 1 文字ずつ / 2 つに割るすべての位置で push して、毎回同じレコードになるかを見る
+// （クォート内の区切り文字・改行、"" のエスケープ、\r\n が chunk の境界で割れるケース）
+import { createCsvParser } from "../src/index.js";
+
+const CASES = [
+  {
+    name: "quoted delimiter / escaped quote / CRLF",
+    input: 'member_id,name,amount\r\n1,"Yamada, Taro",100\r\n2,"say ""hi""",200\r\n',
+    want: [["member_id", "name", "amount"], ["1", "Yamada, Taro", "100"], ["2", 'say "hi"', "200"], [""]],
+  },
+  {
+    name: "newline inside quotes (CRLF / CR / LF -> \\n)",
+    input: '1,"a\r\nb",x\r\n2,"c\rd",y\n3,"e\nf",z',
+    want: [["1", "a\nb", "x"], ["2", "c\nd", "y"], ["3", "e\nf", "z"]],
+  },
+  {
+    name: "CR only / LF only / blank lines",
+    input: "a,b\rc,d\n\r\ne,f\r\r\n",
+    want: [["a", "b"], ["c", "d"], [""], ["e", "f"], [""], [""]],
+  },
+  {
+    name: "empty fields / empty quoted / trailing delimiter",
+    input: ',,\r\n"",x,\r\n"""",,""""""',
+    want: [["", "", ""], ["", "x", ""], ['"', "", '""']],
+  },
+  {
+    name: "semicolon delimiter, comma decimals",
+    delimiter: ";",
+    input: 'member_id;branch;amount\r\n1;"Osaka; Kita";10,5\r\n2;LA;"1.234,00"\r\n',
+    want: [["member_id", "branch", "amount"], ["1", "Osaka; Kita", "10,5"], ["2", "LA", "1.234,00"], [""]],
+  },
+  {
+    name: "non-ASCII",
+    input: "会員番号,支部,金額\r\n12,\"大阪,北\",１０００\r\n",
+    want: [["会員番号", "支部", "金額"], ["12", "大阪,北", "１０００"], [""]],
+  },
+];
+
+function parse(chunks, delimiter) {
+  const out = [];
+  const p = createCsvParser((cols) => out.push(cols), { delimiter });
+  for (const c of chunks) p.push(c);
+  p.end();
+  return out;
+}
+
+let failed = 0;
+for (const { name, input, want, delimiter = "," } of CASES) {
+  const splits = [[input], [...input]];
+  for (let i = 1; i < input.length; i++) splits.push([input.slice(0, i), input.slice(i)]);
+  // \r と \n の間で割る位置（CRLF が chunk の境界に来る）は必ず入っている
+  const crlf = [...input.matchAll(/\r\n/g)].length;
+
+  const bad = splits.find((chunks) => JSON.stringify(parse(chunks, delimiter)) !== JSON.stringify(want));
+  if (bad) {
+    failed++;
+    console.log(`FAIL ${name}: chunks ${JSON.stringify(bad)}`);
+    console.log(`     got  ${JSON.stringify(parse(bad, delimiter))}`);
+    console.log(`     want ${JSON.stringify(want)}`);
+  } else {
+    console.log(`ok   ${name} (${splits.length} ways${crlf ? `, ${crlf} CRLF` : ""})`);
+  }
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,84 @@
+// PDF 署名の確認（npm run check:signing）
+// openssl で自己署名証明書（RSA / EC P-256 / EC P-384）を作り、src/index.js と同じ手順で署名した PDF の CMS を
+// openssl cms -verify で検証する。openssl は PATH か OPENSSL で指定
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import { loadPdfSigner, addSignaturePlaceholder, applyPdfSignature } from "../src/index.js";
+
+const OPENSSL = process.env.OPENSSL || "openssl";
+const KEYS = {
+  rsa: ["-newkey", "rsa:2048"],
+  "ec-p256": ["-newkey", "ec", "-pkeyopt", "ec_paramgen_curve:P-256"],
+  "ec-p384": ["-newkey", "ec", "-pkeyopt", "ec_paramgen_curve:P-384"],
+};
+
+const openssl = (args) => execFileSync(OPENSSL, args, { stdio: ["ignore", "pipe", "pipe"] }).toString();
+
+// DER の先頭 TLV の長さ（/Contents の後ろは 0 埋めなので切る）
+function derLength(b) {
+  const n = b[1];
+  if (n < 0x80) return 2 + n;
+  let len = 0;
+  for (let i = 0; i < (n & 0x7f); i++) len = len * 256 + b[2 + i];
+  return 2 + (n & 0x7f) + len;
+}
+
+async function signSample(env) {
+  const pdf = await PDFDocument.create();
+  const page = pdf.addPage([612, 792]);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  page.drawText("Signing check", { x: 72, y: 700, size: 18, font });
+  const signer = await loadPdfSigner(env);
+  addSignaturePlaceholder(pdf, page, { name: "World Divine Light (test)", reason: "Signing check" });
+  return applyPdfSignature(signer, await pdf.save({ useObjectStreams: false }));
+}
+
+// /ByteRange の範囲（= 署名対象）と /Contents の CMS を取り出す
+function splitSignature(bytes) {
+  const text = new TextDecoder("latin1").decode(bytes);
+  const m = text.match(/\/ByteRange \[(\d+) (\d+) (\d+) (\d+)\]/);
+  if (!m) throw new Error("byte_range_not_found");
+  const [a, b, c, d] = m.slice(1).map(Number);
+  if (a !== 0 || c + d !== bytes.length) throw new Error(`byte_range_invalid:${m[0]}`);
+
+  const hex = text.slice(b + 1, c - 1);
+  const cms = Uint8Array.from(hex.match(/../g), (h) => parseInt(h, 16));
+  const content = new Uint8Array(b + d);
+  content.set(bytes.subarray(0, b), 0);
+  content.set(bytes.subarray(c, c + d), b);
+  return { content, cms: cms.subarray(0, derLength(cms)) };
+}
+
+const dir = mkdtempSync(join(tmpdir(), "pdf-signing-"));
+let failed = 0;
+try {
+  for (const [name, keyArgs] of Object.entries(KEYS)) {
+    const cert = join(dir, `${name}.cert.pem`);
+    const key = join(dir, `${name}.key.pem`);
+    try {
+      openssl(["req", "-x509", ...keyArgs, "-nodes", "-days", "1", "-subj", `/CN=World Divine Light (${name} test)`, "-keyout", key, "-out", cert]);
+
+      const signed = await signSample({ RECEIPT_SIGN_CERT: readFileSync(cert, "utf8"), RECEIPT_SIGN_KEY: readFileSync(key, "utf8") });
+      const { content, cms } = splitSignature(signed);
+      writeFileSync(join(dir, `${name}.pdf`), signed);
+      writeFileSync(join(dir, `${name}.content`), content);
+      writeFileSync(join(dir, `${name}.p7s`), cms);
+
+      openssl([
+        "cms", "-verify", "-binary", "-inform", "DER", "-in", join(dir, `${name}.p7s`),
+        "-content", join(dir, `${name}.content`), "-CAfile", cert, "-purpose", "any", "-out", join(dir, `${name}.out`),
+      ]);
+      console.log(`ok   ${name} (${signed.length} bytes)`);
+    } catch (e) {
+      failed++;
+      console.log(`FAIL ${name}: ${String(e?.stderr || e?.message || e).trim()}`);
+    }
+  }
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+process.exit(failed ? 1 : 0);
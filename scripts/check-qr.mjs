@@ -0,0 +1,176 @@
+// QR エンコーダの確認（npm run check:qr）
+// qrEncode の行列を ISO/IEC 18004 の表だけを使ったデコーダで読み戻す:
+// 機能パターン / format・version 情報の BCH / RS のシンドローム（全部 0）/ byte モードの中身が元の文字列と一致
+import { qrEncode } from "../src/index.js";
+
+// 誤り訂正 M（version 1〜10）: [1 ブロックの訂正語数, [ブロック数, データ語数], ...]
+const EC_M = {
+  1: [10, [1, 16]], 2: [16, [1, 28]], 3: [26, [1, 44]], 4: [18, [2, 32]], 5: [24, [2, 43]],
+  6: [16, [4, 27]], 7: [18, [4, 31]], 8: [22, [2, 38], [2, 39]], 9: [22, [3, 36], [2, 37]], 10: [26, [4, 43], [1, 44]],
+};
+const ALIGN = { 1: [], 2: [6, 18], 3: [6, 22], 4: [6, 26], 5: [6, 30], 6: [6, 34], 7: [6, 22, 38], 8: [6, 24, 42], 9: [6, 26, 46], 10: [6, 28, 50] };
+const VERSION_INFO = { 7: 0x07c94, 8: 0x085bc, 9: 0x09a99, 10: 0x0a4d3 };
+const MASKS = [
+  (i, j) => (i + j) % 2 === 0,
+  (i) => i % 2 === 0,
+  (i, j) => j % 3 === 0,
+  (i, j) => (i + j) % 3 === 0,
+  (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+  (i, j) => ((i * j) % 2) + ((i * j) % 3) === 0,
+  (i, j) => (((i * j) % 2) + ((i * j) % 3)) % 2 === 0,
+  (i, j) => (((i + j) % 2) + ((i * j) % 3)) % 2 === 0,
+];
+
+// GF(256)（原始多項式 0x11d）
+const EXP = new Array(512), LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++, x = (x << 1) ^ (x & 0x80 ? 0x11d : 0)) { EXP[i] = x; LOG[x] = i; }
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+function bchRemainder(v, gen, genBits) {
+  for (let i = 31 - Math.clz32(v); i >= genBits - 1; i--) if ((v >>> i) & 1) v ^= gen << (i - genBits + 1);
+  return v;
+}
+
+function decode(m) {
+  const size = m.length;
+  const ver = (size - 17) / 4;
+  if (!EC_M[ver] || m.some((r) => r.length !== size)) throw new Error(`bad_size:${size}`);
+  const at = (r, c) => (m[r][c] ? 1 : 0);
+
+  // 機能パターン（位置の表を作りながら形も確かめる）
+  const fn = Array.from({ length: size }, () => new Array(size).fill(false));
+  const expect = (r, c, v, what) => {
+    fn[r][c] = true;
+    if (v !== undefined && at(r, c) !== v) throw new Error(`${what}_at_${r},${c}`);
+  };
+  for (const [r0, c0] of [[0, 0], [0, size - 7], [size - 7, 0]]) {
+    for (let r = -1; r <= 7; r++) {
+      for (let c = -1; c <= 7; c++) {
+        const rr = r0 + r, cc = c0 + c;
+        if (rr < 0 || cc < 0 || rr >= size || cc >= size) continue;
+        const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+        expect(rr, cc, ring === 2 || ring === 4 ? 0 : 1, "finder");
+      }
+    }
+  }
+  for (let i = 8; i < size - 8; i++) { expect(6, i, i % 2 === 0 ? 1 : 0, "timing"); expect(i, 6, i % 2 === 0 ? 1 : 0, "timing"); }
+  const al = ALIGN[ver];
+  for (const [ri, r] of al.entries()) {
+    for (const [ci, c] of al.entries()) {
+      if ((ri === 0 && (ci === 0 || ci === al.length - 1)) || (ri === al.length - 1 && ci === 0)) continue; // finder と重なる 3 か所
+      for (let dr = -2; dr <= 2; dr++) {
+        for (let dc = -2; dc <= 2; dc++) expect(r + dr, c + dc, Math.max(Math.abs(dr), Math.abs(dc)) === 1 ? 0 : 1, "alignment");
+      }
+    }
+  }
+  expect(size - 8, 8, 1, "dark_module");
+
+  // format 情報（2 か所とも同じで BCH(15,5) が割り切れる）
+  const fmtA = [], fmtB = [];
+  for (let i = 0; i <= 5; i++) fmtA.push([i, 8]);
+  fmtA.push([7, 8], [8, 8], [8, 7]);
+  for (let i = 5; i >= 0; i--) fmtA.push([8, i]);
+  for (let i = 0; i < 8; i++) fmtB.push([8, size - 1 - i]);
+  for (let i = 7; i < 15; i++) fmtB.push([size - 15 + i, 8]);
+  fmtB.splice(8, 1); // (size-8, 8) は dark module
+  const readBits = (cells) => cells.reduce((v, [r, c], i) => { fn[r][c] = true; return v | (at(r, c) << i); }, 0);
+  const fa = readBits(fmtA), fb = readBits(fmtB);
+  if (fa !== fb) throw new Error("format_copies_differ");
+  const fmt = fa ^ 0x5412;
+  if (bchRemainder(fmt, 0x537, 11)) throw new Error("format_bch");
+  if (fmt >>> 13 !== 0b00) throw new Error(`ec_level_not_M:${fmt >>> 13}`);
+  const mask = (fmt >>> 10) & 7;
+
+  // version 情報（7 以上; 2 か所とも表の値）
+  if (ver >= 7) {
+    const cellsA = [], cellsB = [];
+    for (let i = 0; i < 18; i++) {
+      cellsA.push([Math.floor(i / 3), size - 11 + (i % 3)]);
+      cellsB.push([size - 11 + (i % 3), Math.floor(i / 3)]);
+    }
+    const va = readBits(cellsA), vb = readBits(cellsB);
+    if (va !== VERSION_INFO[ver] || vb !== VERSION_INFO[ver]) throw new Error(`version_info:${va.toString(16)}/${vb.toString(16)}`);
+  }
+
+  // データ（右下から 2 列ずつジグザグ; mask を外す）
+  const bits = [];
+  let up = true;
+  for (let c = size - 1; c > 0; c -= 2) {
+    if (c === 6) c = 5;
+    for (let k = 0; k < size; k++) {
+      const r = up ? size - 1 - k : k;
+      for (const cc of [c, c - 1]) if (!fn[r][cc]) bits.push(at(r, cc) ^ (MASKS[mask](r, cc) ? 1 : 0));
+    }
+    up = !up;
+  }
+
+  // ブロックに戻す
+  const [eccLen, ...groups] = EC_M[ver];
+  const blocks = groups.flatMap(([n, d]) => Array.from({ length: n }, () => ({ d, data: [], ecc: [] })));
+  const total = blocks.reduce((n, b) => n + b.d + eccLen, 0);
+  const cw = [];
+  for (let i = 0; i < total; i++) cw.push(bits.slice(i * 8, i * 8 + 8).reduce((v, b) => (v << 1) | b, 0));
+  let p = 0;
+  for (let i = 0; i < Math.max(...blocks.map((b) => b.d)); i++) for (const b of blocks) if (i < b.d) b.data.push(cw[p++]);
+  for (let i = 0; i < eccLen; i++) for (const b of blocks) b.ecc.push(cw[p++]);
+
+  // RS: 生成多項式の根 α^0..α^(ecc-1) で全部 0
+  for (const [bi, b] of blocks.entries()) {
+    const all = [...b.data, ...b.ecc];
+    for (let k = 0; k < eccLen; k++) {
+      let s = 0;
+      for (const c of all) s = (s ? EXP[LOG[s] + k] : 0) ^ c;
+      if (s) throw new Error(`rs_syndrome:block${bi}:${k}`);
+    }
+  }
+
+  // byte モード
+  const data = blocks.flatMap((b) => b.data);
+  const dbits = data.flatMap((v) => [7, 6, 5, 4, 3, 2, 1, 0].map((i) => (v >>> i) & 1));
+  let q = 0;
+  const take = (n) => { let v = 0; for (let i = 0; i < n; i++) v = (v << 1) | dbits[q++]; return v; };
+  if (take(4) !== 0b0100) throw new Error("mode_not_byte");
+  const len = take(ver < 10 ? 8 : 16);
+  const out = new Uint8Array(len);
+  for (let i = 0; i < len; i++) out[i] = take(8);
+  if (q + 4 <= dbits.length && take(4) !== 0) throw new Error("terminator");
+  return { ver, mask, text: new TextDecoder("utf-8", { fatal: true }).decode(out) };
+}
+
+const CASES = [
+  "",
+  "A",
+  "https://receipts.mahikari.org/api/receipt/verify/0F3K9Q2M7T4X",
+  "寄付金受領証明書 2025 / 会員 12345",
+];
+// version 1〜10 の上限ちょうど（byte モード M: 14, 26, 42, 62, 84, 106, 122, 152, 180, 213）
+for (const n of [14, 15, 26, 27, 42, 62, 84, 106, 122, 152, 180, 213]) CASES.push("0123456789abcdefghijklmnopqrstuvwxyz".repeat(6).slice(0, n).padEnd(n, "/"));
+
+let failed = 0;
+const seen = new Set();
+for (const text of CASES) {
+  const label = text.length > 40 ? `${text.length} chars` : JSON.stringify(text);
+  try {
+    const r = decode(qrEncode(text));
+    if (r.text !== text) throw new Error(`decoded ${JSON.stringify(r.text)}`);
+    seen.add(r.ver);
+    console.log(`ok   ${label} (version ${r.ver}, mask ${r.mask})`);
+  } catch (e) {
+    failed++;
+    console.log(`FAIL ${label}: ${e?.message || e}`);
+  }
+}
+
+try {
+  qrEncode("x".repeat(214));
+  failed++;
+  console.log("FAIL 214 chars: no qr_too_long");
+} catch (e) {
+  if (e?.message === "qr_too_long") console.log("ok   214 chars -> qr_too_long");
+  else { failed++; console.log(`FAIL 214 chars: ${e?.message || e}`); }
+}
+
+const missing = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].filter((v) => !seen.has(v));
+if (missing.length) { failed++; console.log(`FAIL versions not covered: ${missing.join(",")}`); }
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,81 @@
+// XLSX の書き出し / 読み込みの確認（npm run check:xlsx）
+// xlsxFromRows で作った .xlsx を xlsxReadRecords（zipEntries / zipRead）で読み戻して同じ行になるかを見る。
+// Excel が保存するのと同じ deflate の ZIP に詰め直したものも読む
+import { deflateRawSync } from "node:zlib";
+import { xlsxFromRows, xlsxReadRecords } from "../src/index.js";
+
+const header = ["member_id", "branch", "amount", "year", "memo"];
+const rows = [
+  ["0012", "大阪", "10,5", "2025", ""],
+  ["13", "A & B <C> \"D\"", "1000", "2025", "line1\nline2"],
+  ["14", "  spaced  ", "-0", "2025", "x".repeat(300)],
+  ["", "", "", "", ""], // 空行は読み込み側で詰める
+  ["15", "LA", "1e3", "2025", "末尾"],
+];
+const wide = Array.from({ length: 30 }, (_, i) => `c${i}`); // AA 列以降
+
+// ZIP を読み直して全 entry を deflate で詰め直す（central directory も作り直す）
+function repackDeflate(bytes) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const entries = [];
+  for (let p = 0; dv.getUint32(p, true) === 0x04034b50;) {
+    const nameLen = dv.getUint16(p + 26, true), extraLen = dv.getUint16(p + 28, true), size = dv.getUint32(p + 18, true);
+    const name = bytes.subarray(p + 30, p + 30 + nameLen);
+    const start = p + 30 + nameLen + extraLen;
+    entries.push({ name, crc: dv.getUint32(p + 14, true), size, data: deflateRawSync(bytes.subarray(start, start + size)) });
+    p = start + size;
+  }
+
+  const parts = [], central = [];
+  let offset = 0;
+  for (const e of entries) {
+    const lh = Buffer.alloc(30);
+    lh.writeUInt32LE(0x04034b50, 0); lh.writeUInt16LE(20, 4); lh.writeUInt16LE(0x0800, 6); lh.writeUInt16LE(8, 8);
+    lh.writeUInt32LE(e.crc, 14); lh.writeUInt32LE(e.data.length, 18); lh.writeUInt32LE(e.size, 22); lh.writeUInt16LE(e.name.length, 26);
+    const ch = Buffer.alloc(46);
+    ch.writeUInt32LE(0x02014b50, 0); ch.writeUInt16LE(20, 4); ch.writeUInt16LE(20, 6); ch.writeUInt16LE(0x0800, 8); ch.writeUInt16LE(8, 10);
+    ch.writeUInt32LE(e.crc, 16); ch.writeUInt32LE(e.data.length, 20); ch.writeUInt32LE(e.size, 24); ch.writeUInt16LE(e.name.length, 28);
+    ch.writeUInt32LE(offset, 42);
+    parts.push(lh, e.name, e.data);
+    central.push(ch, e.name);
+    offset += 30 + e.name.length + e.data.length;
+  }
+  const cd = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); end.writeUInt16LE(entries.length, 8); end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(cd.length, 12); end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...parts, cd, end]));
+}
+
+const want = [header, ...rows.filter((r) => r.some((v) => v !== ""))];
+const wantRowNos = [1, 2, 3, 4, 6];
+
+let failed = 0;
+async function check(name, bytes, sheet, expect) {
+  const got = await xlsxReadRecords(bytes, sheet);
+  const problems = [];
+  if (got.error) problems.push(`error ${got.error}`);
+  else {
+    if (got.sheet !== expect.sheet) problems.push(`sheet ${JSON.stringify(got.sheet)}`);
+    if (JSON.stringify(got.records) !== JSON.stringify(expect.records)) problems.push(`records ${JSON.stringify(got.records)}`);
+    if (expect.row_nos && JSON.stringify(got.row_nos) !== JSON.stringify(expect.row_nos)) problems.push(`row_nos ${JSON.stringify(got.row_nos)}`);
+  }
+  if (problems.length) failed++;
+  console.log(problems.length ? `FAIL ${name}: ${problems.join("; ")}` : `ok   ${name} (${bytes.length} bytes)`);
+}
+async function checkError(name, bytes, sheet, error) {
+  const got = await xlsxReadRecords(bytes, sheet);
+  if (got.error !== error) failed++;
+  console.log(got.error === error ? `ok   ${name} -> ${error}` : `FAIL ${name}: ${JSON.stringify(got)}`);
+}
+
+const stored = xlsxFromRows("寄付 2025", header, rows);
+await check("stored", stored, "", { sheet: "寄付 2025", records: want, row_nos: wantRowNos });
+await check("stored, sheet by name", stored, "寄付 2025", { sheet: "寄付 2025", records: want });
+await check("stored, sheet by number", stored, "1", { sheet: "寄付 2025", records: want });
+await check("deflate", repackDeflate(stored), "", { sheet: "寄付 2025", records: want, row_nos: wantRowNos });
+await check("30 columns", xlsxFromRows("", wide, [wide.map((c) => c.toUpperCase())]), "", { sheet: "Sheet1", records: [wide, wide.map((c) => c.toUpperCase())] });
+await checkError("unknown sheet", stored, "nope", "sheet_not_found");
+await checkError("truncated", stored.subarray(0, stored.length - 30), "", "xlsx_invalid");
+
+process.exit(failed ? 1 : 0);
@@ -1,17 +1,18 @@
-import { PDFDocument, rgb } from "pdf-lib";
+import { PDFDocument, StandardFonts, rgb, PDFArray, PDFDict, PDFHexString, PDFName, PDFNumber, PDFString } from "pdf-lib";
 import fontkit from "@pdf-lib/fontkit";
 
 /**
  * Receipt Worker — CSV_IMPORT + PDFGEN + MAIL + REBUILD + VALIDATE + QUEUES
- * - Admin UI/API: admin.mahikari.org (/api/admin/receipt/*)
+ * - Admin UI/API: admin.mahikari.org (/admin/receipt, /api/admin/receipt/*)
  * - Member UI:    kamikumite.worlddivinelight.org/receipt
  * - Member API:   api.kamikumite.worlddivinelight.org/api/receipt/*
  * - Queue:        IMPORT_Q -> receipt-import-q
  */
 
 // ===== PDF caches (global) =====
-let _tmplCache = null; // ArrayBuffer
-let _fontCache = null; // ArrayBuffer
+const _tmplCache = new Map(); // template pdf_key -> ArrayBuffer
+let _jpFontCache = null; // ArrayBuffer
+let _activeTmpl = null; // { at, tmpl }（60 秒だけ持つ）
 
 export default {
   async fetch(request, env) {
@@ -39,6 +40,13 @@ export default {
         return html(memberPortalHtml(), 200);
       }
 
+      /* =====================================================
+       * ADMIN UI（画面だけ。データは ADMIN API から取るので認証はそちらで）
+       * ===================================================== */
+      if (isAdminHost(env, host) && (path === "/admin/receipt" || path === "/admin/receipt/")) {
+        return html(adminUiHtml(), 200);
+      }
+
       /* =====================================================
        * MEMBER API
        * ===================================================== */
@@ -50,12 +58,40 @@ export default {
           return new Response(null, { status: 204, headers: cors(allow) });
         }
 
+        // GET /api/receipt/verify/{serial}（公開; QR から。ブラウザなら HTML、それ以外は JSON）
+        if (path.startsWith("/api/receipt/verify/") && request.method === "GET") {
+          const wantsHtml = (request.headers.get("Accept") || "").includes("text/html");
+          const rl = await rateLimitHit(env, `verify_ip:${clientIp(request)}`, VERIFY_PER_IP_PER_HOUR, 3600);
+          if (!rl.ok) return jsonC({ ok: false, error: "rate_limited_ip", retry_after: rl.retry_after }, 429, "*");
+
+          const serial = normReceiptSerial(decodeURIComponent(path.slice("/api/receipt/verify/".length)));
+          if (!serial) return wantsHtml ? html(verifyPageHtml(null), 404) : jsonC({ ok: false, error: "invalid_serial" }, 400, "*");
+
+          const v = await verifyReceiptSerial(env, serial);
+          if (wantsHtml) return html(verifyPageHtml(v), v ? 200 : 404);
+          if (!v) return jsonC({ ok: false, error: "serial_not_found" }, 404, "*");
+          return jsonC({ ok: true, ...v }, 200, "*");
+        }
+
         // POST /api/receipt/request-code
         if (path === "/api/receipt/request-code" && request.method === "POST") {
           const body = await request.json().catch(() => null);
           const email = normEmail(body?.email);
           if (!email) return jsonC({ ok: false, error: "email_required" }, 400, allow);
 
+          const ip = clientIp(request);
+          const prev = await env.RECEIPTS_DB.prepare(`SELECT sent_at FROM receipt_otp WHERE email=?`).bind(email).first();
+          const since = Date.now() - Number(prev?.sent_at || 0);
+          if (prev && since < OTP_RESEND_COOLDOWN_SEC * 1000) {
+            const retry_after = Math.ceil((OTP_RESEND_COOLDOWN_SEC * 1000 - since) / 1000);
+            return jsonC({ ok: false, error: "resend_cooldown", retry_after }, 429, allow);
+          }
+
+          const rlIp = await rateLimitHit(env, `otp_req_ip:${ip}`, OTP_REQ_PER_IP_PER_HOUR, 3600);
+          if (!rlIp.ok) return jsonC({ ok: false, error: "rate_limited_ip", retry_after: rlIp.retry_after }, 429, allow);
+          const rlEmail = await rateLimitHit(env, `otp_req_email:${email}`, OTP_REQ_PER_EMAIL_PER_HOUR, 3600);
+          if (!rlEmail.ok) return jsonC({ ok: false, error: "rate_limited_email", retry_after: rlEmail.retry_after }, 429, allow);
+
           const hs = await hubspotGetContactByEmail(env, email, [
             "member_id",
             "receipt_portal_eligible",
@@ -74,15 +110,21 @@ export default {
           const years = parseYears(p.receipt_years_available);
           if (!memberId || !years.length) return jsonC({ ok: false, error: "not_ready" }, 403, allow);
 
-          const code = String(Math.floor(100000 + Math.random() * 900000));
+          const code = randomOtp();
           const secret = must(env.SESSION_SECRET || env.MAGICLINK_SECRET, "Missing SESSION_SECRET");
           const hash = await sha256Hex(`${code}:${secret}`);
 
-          await env.OTP_KV.put(
-            `otp:${email}`,
-            JSON.stringify({ hash, member_id: memberId, years, exp: Date.now() + 10 * 60_000, attempts: 0 }),
-            { expirationTtl: 10 * 60 }
-          );
+          // 再送は前のコードを置き換える（attempts も 0 から）。期限切れの行はここで掃除
+          const now = Date.now();
+          await env.RECEIPTS_DB.batch([
+            env.RECEIPTS_DB.prepare(`DELETE FROM receipt_otp WHERE exp < ?`).bind(now),
+            env.RECEIPTS_DB.prepare(`
+              INSERT INTO receipt_otp (email, hash, member_id, years, exp, attempts, sent_at) VALUES (?, ?, ?, ?, ?, 0, ?)
+              ON CONFLICT(email) DO UPDATE SET
+                hash=excluded.hash, member_id=excluded.member_id, years=excluded.years,
+                exp=excluded.exp, attempts=0, sent_at=excluded.sent_at
+            `).bind(email, hash, memberId, JSON.stringify(years), now + OTP_TTL_SEC * 1000, now),
+          ]);
 
           await sendResend(env, {
             to: email,
@@ -101,45 +143,98 @@ export default {
           if (!email) return jsonC({ ok: false, error: "email_required" }, 400, allow);
           if (!/^\d{6}$/.test(code)) return jsonC({ ok: false, error: "code_invalid" }, 400, allow);
 
-          const rec = await env.OTP_KV.get(`otp:${email}`, "json");
-          if (!rec) return jsonC({ ok: false, error: "expired" }, 401, allow);
-          if (Date.now() > Number(rec.exp || 0)) return jsonC({ ok: false, error: "expired" }, 401, allow);
+          const rlIp = await rateLimitHit(env, `otp_verify_ip:${clientIp(request)}`, OTP_VERIFY_PER_IP_PER_HOUR, 3600);
+          if (!rlIp.ok) return jsonC({ ok: false, error: "rate_limited_ip", retry_after: rlIp.retry_after }, 429, allow);
+
+          // 照合の前に 1 回分を数える（並行に投げられても合計 OTP_MAX_ATTEMPTS 回まで）
+          const rec = await env.RECEIPTS_DB.prepare(`
+            UPDATE receipt_otp SET attempts=attempts+1 WHERE email=? AND exp>=? AND attempts<? RETURNING hash, attempts
+          `).bind(email, Date.now(), OTP_MAX_ATTEMPTS).first();
+          if (!rec) {
+            const cur = await env.RECEIPTS_DB.prepare(`SELECT exp FROM receipt_otp WHERE email=?`).bind(email).first();
+            if (!cur || Date.now() > Number(cur.exp || 0)) return jsonC({ ok: false, error: "expired" }, 401, allow);
+            return jsonC({ ok: false, error: "locked" }, 429, allow);
+          }
 
           const secret = must(env.SESSION_SECRET || env.MAGICLINK_SECRET, "Missing SESSION_SECRET");
           const hash = await sha256Hex(`${code}:${secret}`);
-          if (hash !== rec.hash) return jsonC({ ok: false, error: "wrong" }, 401, allow);
+          if (!timingSafeEqualStr(hash, rec.hash)) {
+            // N 回でロック（期限は元の exp のまま）
+            const attempts = Number(rec.attempts);
+            if (attempts >= OTP_MAX_ATTEMPTS) return jsonC({ ok: false, error: "locked" }, 429, allow);
+            return jsonC({ ok: false, error: "wrong", attempts_left: OTP_MAX_ATTEMPTS - attempts }, 401, allow);
+          }
 
-          await env.OTP_KV.delete(`otp:${email}`);
+          // 使えるのは 1 回だけ（同じコードが並行に来ても session を出すのは消せた方）
+          const used = await env.RECEIPTS_DB.prepare(`
+            DELETE FROM receipt_otp WHERE email=? AND hash=? RETURNING member_id, years
+          `).bind(email, rec.hash).first();
+          if (!used) return jsonC({ ok: false, error: "expired" }, 401, allow);
 
-          const session = makeSession(env, { email, member_id: rec.member_id });
-          const cookie = `receipt_session=${session}; Path=/; Secure; HttpOnly; SameSite=Lax; Domain=.worlddivinelight.org; Max-Age=${7 * 86400}`;
+          let years = [];
+          try { years = JSON.parse(used.years || "[]"); } catch {}
+          const session = await makeSession(env, { email, member_id: used.member_id });
+          const cookie = `receipt_session=${session}; Path=/; Secure; HttpOnly; SameSite=Lax; Domain=.worlddivinelight.org; Max-Age=${SESSION_TTL_SEC}`;
 
-          return new Response(JSON.stringify({ ok: true, years: rec.years || [] }), {
-            status: 200,
-            headers: {
-              ...cors(allow),
-              "content-type": "application/json; charset=utf-8",
-              "cache-control": "no-store",
-              "set-cookie": cookie,
-            },
-          });
+          return jsonCookie({ ok: true, years }, 200, allow, cookie);
+        }
+
+        // POST /api/receipt/logout
+        if (path === "/api/receipt/logout" && request.method === "POST") {
+          const s = await verifySession(env, readCookie(request.headers.get("Cookie") || "", "receipt_session"));
+          if (s.ok) await revokeSession(env, s);
+          return jsonCookie({ ok: true }, 200, allow, clearSessionCookie());
+        }
+
+        // POST /api/receipt/hooks/hubspot
+        // HubSpot webhook（contact.propertyChange: receipt_portal_eligible）→ false ならその member の session を全部失効
+        if (path === "/api/receipt/hooks/hubspot" && request.method === "POST") {
+          const raw = await request.text();
+          const sigOk = await verifyHubspotSignatureV3(env, request, raw);
+          if (!sigOk) return json({ ok: false, error: "bad_signature" }, 401);
+
+          let events = [];
+          try { events = JSON.parse(raw); } catch {}
+          if (!Array.isArray(events)) events = [];
+
+          let revoked = 0;
+          for (const ev of events) {
+            if (String(ev?.propertyName || "") !== "receipt_portal_eligible") continue;
+            if (toBool(ev?.propertyValue)) continue;
+
+            const hs = await hubspotGetContactByIdProperty(env, ev.objectId, "hs_object_id", ["member_id"]).catch(() => null);
+            if (!hs || !hs.ok) continue;
+            const member_id = String((await hs.json()).properties?.member_id || "").trim();
+            if (!member_id) continue;
+
+            await revokeMemberSessions(env, member_id);
+            revoked++;
+          }
+
+          return json({ ok: true, revoked }, 200);
         }
 
         // GET /api/receipt/me
         if (path === "/api/receipt/me" && request.method === "GET") {
-          const s = verifySession(env, readCookie(request.headers.get("Cookie") || "", "receipt_session"));
+          const s = await verifySession(env, readCookie(request.headers.get("Cookie") || "", "receipt_session"));
           if (!s.ok) return jsonC({ ok: false, error: "not_logged_in" }, 401, allow);
 
-          const hs = await hubspotGetContactByEmail(env, s.email, ["receipt_years_available"]);
+          const hs = await hubspotGetContactByEmail(env, s.email, ["receipt_years_available", "receipt_portal_eligible"]);
           if (!hs.ok) return jsonC({ ok: false, error: "hubspot_get_failed" }, 500, allow);
 
-          const years = parseYears((await hs.json()).properties?.receipt_years_available);
+          const p = (await hs.json()).properties || {};
+          if (!toBool(p.receipt_portal_eligible)) {
+            await revokeMemberSessions(env, s.member_id);
+            return jsonCookie({ ok: false, error: "not_eligible" }, 403, allow, clearSessionCookie());
+          }
+
+          const years = parseYears(p.receipt_years_available);
           return jsonC({ ok: true, years }, 200, allow);
         }
 
         // GET /api/receipt/pdf?year=2025
         if (path === "/api/receipt/pdf" && request.method === "GET") {
-          const s = verifySession(env, readCookie(request.headers.get("Cookie") || "", "receipt_session"));
+          const s = await verifySession(env, readCookie(request.headers.get("Cookie") || "", "receipt_session"));
           if (!s.ok) return jsonC({ ok: false, error: "not_logged_in" }, 401, allow);
 
           const year = String(url.searchParams.get("year") || "").trim();
@@ -153,7 +248,10 @@ export default {
           if (!hs.ok) return jsonC({ ok: false, error: "hubspot_get_failed" }, 500, allow);
 
           const p = (await hs.json()).properties || {};
-          if (!toBool(p.receipt_portal_eligible)) return jsonC({ ok: false, error: "not_eligible" }, 403, allow);
+          if (!toBool(p.receipt_portal_eligible)) {
+            await revokeMemberSessions(env, s.member_id);
+            return jsonCookie({ ok: false, error: "not_eligible" }, 403, allow, clearSessionCookie());
+          }
 
           const memberId = String(p.member_id || "").trim();
           const years = parseYears(p.receipt_years_available);
@@ -181,54 +279,95 @@ export default {
        * ADMIN API
        * ===================================================== */
       if (path.startsWith("/api/admin/receipt/")) {
-        // --- import/validate (ultra-light; never 500; no HubSpot) ---
+        // --- auth (host -> identity -> role) ---
+        if (!isAdminHost(env, host)) return json({ ok: false, error: "not_found" }, 404);
+
+        const admin = await authenticateAdmin(request, env);
+        if (!admin.ok) return json({ ok: false, error: admin.error }, 401);
+
+        const need = adminRequiredRole(request.method, path);
+        if (!hasAdminRole(admin.role, need)) {
+          return json({ ok: false, error: "forbidden", role: admin.role, required: need }, 403);
+        }
+
+        // --- auth/me ---
+        if (path === "/api/admin/receipt/auth/me" && request.method === "GET") {
+          return json({ ok: true, sub: admin.sub, role: admin.role, via: admin.via }, 200);
+        }
+
+        // --- auth/session (Access / Bearer -> admin_session cookie) ---
+        // body: { ttl_sec?: 28800 }
+        // admin token（Bearer / cookie）から作るときは、その token の exp より先には延ばさない
+        // （cookie を盗まれても auth/session で延命され続けないように。Access は毎回 Cloudflare 側で確認される）
+        // 残りが 300 秒（ttl_sec の下限）を切った token からは作らない（401 token_expiring → token を取り直す）
+        if (path === "/api/admin/receipt/auth/session" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          let ttl_sec = clampInt(body?.ttl_sec, 300, 12 * 3600, 8 * 3600);
+          if (admin.exp) {
+            const left = Math.floor(admin.exp - Date.now() / 1000);
+            if (left < 300) return json({ ok: false, error: "token_expiring", expires_in: Math.max(0, left) }, 401);
+            ttl_sec = Math.min(ttl_sec, left);
+          }
+          const token = await signAdminToken(env, { sub: admin.sub, role: admin.role, ttl_sec });
+          const cookie = `admin_session=${token}; Path=/api/admin/receipt/; Secure; HttpOnly; SameSite=Strict; Max-Age=${ttl_sec}`;
+
+          return new Response(JSON.stringify({ ok: true, sub: admin.sub, role: admin.role, ttl_sec }), {
+            status: 200,
+            headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store", "set-cookie": cookie },
+          });
+        }
+
+        // --- auth/logout ---
+        if (path === "/api/admin/receipt/auth/logout" && request.method === "POST") {
+          const cookie = `admin_session=; Path=/api/admin/receipt/; Secure; HttpOnly; SameSite=Strict; Max-Age=0`;
+          return new Response(JSON.stringify({ ok: true }), {
+            status: 200,
+            headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store", "set-cookie": cookie },
+          });
+        }
+
+        // --- sessions/revoke (member の receipt_session を全部失効) ---
+        // body: { member_id: "42333" }
+        if (path === "/api/admin/receipt/sessions/revoke" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const member_id = String(body?.member_id || "").trim();
+          if (!member_id) return json({ ok: false, error: "member_id_required" }, 400);
+
+          await revokeMemberSessions(env, member_id);
+          return json({ ok: true, member_id }, 200);
+        }
+
+        // --- import/validate (全行を stream で検査; never 500; no HubSpot) ---
+        // ?profile=...&sheet=...&duplicates=error|sum&outlier_factor=3（multipart のフィールドでも可）
+        // CSV / .xlsx どちらも可（先頭バイトで判定）
         if (path === "/api/admin/receipt/import/validate" && request.method === "POST") {
           try {
-            const ct = String(request.headers.get("content-type") || "").toLowerCase();
-
-            let csvText = "";
-            if (ct.includes("multipart/form-data")) {
-              const fd = await request.formData();
-              const f = fd.get("file") || fd.get("csv") || fd.get("upload");
-              if (f && typeof f === "object" && "text" in f) csvText = await f.text();
-              else return json({ ok: false, error: "csv_required" }, 200);
+            const up = await openCsvUpload(request);
+            if (up.error) return json({ ok: false, error: up.error }, 200);
+
+            const params = await importParams(env, url, up);
+            if (params.error) return json({ ok: false, ...params }, 200);
+            const outlier_factor = Number(uploadParam(url, up, "outlier_factor")) || OUTLIER_FACTOR_DEFAULT;
+
+            // .xlsx は zip なので全体を読んでから（CSV は stream のまま）
+            const { head, stream } = await peekStream(up.stream, 4);
+            let v, sheetInfo = {};
+            if (isZipBytes(head)) {
+              const x = await xlsxReadRecords(new Uint8Array(await new Response(stream).arrayBuffer()), params.sheet);
+              if (x.error) return json({ ok: false, ...x }, 200);
+              sheetInfo = { format: "xlsx", sheet: x.sheet, sheets: x.sheets };
+              v = await validateImportRecords(env, (onRecord) => x.records.forEach((cols, i) => onRecord(cols, x.row_nos[i])), { ...params, outlier_factor });
             } else {
-              csvText = await request.text();
-            }
-
-            csvText = String(csvText || "");
-            if (!csvText.trim()) return json({ ok: false, error: "no_rows" }, 200);
-
-            // parse only head lines
-            const headText = csvText.split(/\r\n|\n|\r/).slice(0, 1200).join("\n");
-            const rows = parseCsv(headText);
-            if (!rows.length) return json({ ok: false, error: "no_rows" }, 200);
-
-            const errors = [];
-            const maxCheck = 1000;
-            const checkRows = rows.slice(0, maxCheck);
-
-            for (let i = 0; i < checkRows.length; i++) {
-              const r = checkRows[i];
-              const rowNo = i + 2;
-              const member_id = String(r.member_id || "").trim();
-              const branch = String(r.branch || "").trim();
-              const cents = parseMoneyToCents(r.amount);
-              const year = normYear(r.year);
-
-              if (!member_id) { errors.push({ type: "MISSING_MEMBER_ID", row: rowNo }); continue; }
-              if (!branch) { errors.push({ type: "MISSING_BRANCH", row: rowNo, member_id }); continue; }
-              if (cents === null) { errors.push({ type: "INVALID_AMOUNT", row: rowNo, member_id }); continue; }
-              if (!year) { errors.push({ type: "INVALID_YEAR", row: rowNo, member_id }); continue; }
+              const { encoding, delimiter } = params.profile;
+              v = await validateImportRecords(env, (onRecord) => forEachCsvRecord(stream, onRecord, { encoding, delimiter }), { ...params, outlier_factor });
             }
+            if (!v.total_rows && !v.errors.length) return json({ ok: false, error: "no_rows" }, 200);
 
             return json({
-              ok: errors.length === 0,
-              checked_rows: checkRows.length,
-              total_rows: rows.length,
+              ...v,
+              ...sheetInfo,
               hs_checked: 0,
-              errors,
-              warnings: [{ type: "HUBSPOT_CHECK_SKIPPED_IN_VALIDATE" }],
+              warnings: [...v.warnings, { type: "HUBSPOT_CHECK_SKIPPED_IN_VALIDATE" }],
             }, 200);
 
           } catch (e) {
@@ -236,38 +375,87 @@ export default {
           }
         }
 
+        // --- import/profiles (list) ---
+        if (path === "/api/admin/receipt/import/profiles" && request.method === "GET") {
+          const rows = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_import_profile ORDER BY name`).all();
+          return json({ ok: true, profiles: [DEFAULT_IMPORT_PROFILE, ...(rows.results || []).map(importProfileFromRow)] }, 200);
+        }
+
+        // --- import/profiles (保存; 同名は上書き) ---
+        // body: { name, label?, columns: { member_id: "会員番号", branch: "支部", amount: "金額", year: "年度" },
+        //         delimiter: ","|";"|"\t"|"tab"|"|", decimal: "."|",", encoding: "utf-8"|"shift_jis"|... }
+        if (path === "/api/admin/receipt/import/profiles" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const r = normImportProfile(body);
+          if (r.error) return json({ ok: false, ...r }, 400);
+          const p = r.profile;
+
+          await env.RECEIPTS_DB.prepare(`
+            INSERT INTO receipt_import_profile (name, label, columns, delimiter, decimal, encoding, updated_by, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+            ON CONFLICT(name) DO UPDATE SET
+              label=excluded.label,
+              columns=excluded.columns,
+              delimiter=excluded.delimiter,
+              decimal=excluded.decimal,
+              encoding=excluded.encoding,
+              updated_by=excluded.updated_by,
+              updated_at=excluded.updated_at
+          `).bind(p.name, p.label, JSON.stringify(p.columns), p.delimiter, p.decimal, p.encoding, admin.sub).run();
+
+          return json({ ok: true, profile: p }, 200);
+        }
+
+        // --- import/profiles/delete ---
+        // body: { name }（実行済み job は params に snapshot を持っているので影響しない）
+        if (path === "/api/admin/receipt/import/profiles/delete" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const name = String(body?.name || "").trim();
+          if (!name) return json({ ok: false, error: "name_required" }, 400);
+
+          const res = await env.RECEIPTS_DB.prepare(`DELETE FROM receipt_import_profile WHERE name=?`).bind(name).run();
+          if (!Number(res?.meta?.changes || 0)) return json({ ok: false, error: "profile_not_found" }, 404);
+          return json({ ok: true, name }, 200);
+        }
+
         // --- import/start (Queues) ---
         if (path === "/api/admin/receipt/import/start" && request.method === "POST") {
           try {
-            const ct = String(request.headers.get("content-type") || "").toLowerCase();
-
-            let csvText = "";
-            if (ct.includes("multipart/form-data")) {
-              const fd = await request.formData();
-              const f = fd.get("file") || fd.get("csv") || fd.get("upload");
-              if (f && typeof f === "object" && "text" in f) csvText = await f.text();
-              else return json({ ok: false, error: "csv_required" }, 400);
+            const up = await readCsvUpload(request);
+            if (up.error) return json({ ok: false, error: up.error }, 400);
+
+            const params = await importParams(env, url, up);
+            if (params.error) return json({ ok: false, ...params }, 400);
+
+            const xlsx = isZipBytes(up.bytes);
+            let head = null;
+            if (xlsx) {
+              // .xlsx は先頭だけ読めないので、シートの確認を兼ねてここで一度開く
+              const table = await readImportTable(up.bytes, params);
+              if (table.error) return json({ ok: false, ...table }, 400);
+              head = importRecords({ header: table.header, rows: table.rows.slice(0, 1) }, params.profile);
             } else {
-              csvText = await request.text();
+              const csvText = decodeImportBytes(up.bytes, params.profile);
+              if (!csvText.trim()) return json({ ok: false, error: "empty_csv" }, 400);
+              try {
+                const lines = csvText.split(/\r\n|\n|\r/).slice(0, 10).join("\n");
+                head = importRecords(parseCsvTable(lines, { delimiter: params.profile.delimiter }), params.profile);
+              } catch {}
             }
 
-            csvText = String(csvText || "");
-            if (!csvText.trim()) return json({ ok: false, error: "empty_csv" }, 400);
-
             const job_id = crypto.randomUUID();
 
             // year: peek from head
             let year = (new Date()).getFullYear() - 1;
-            try {
-              const head = csvText.split(/\r\n|\n|\r/).slice(0, 10).join("\n");
-              const headRows = parseCsv(head);
-              const y = normYear(headRows?.[0]?.year);
-              if (y) year = y;
-            } catch {}
+            const y = importHeadYear(head || [], params);
+            if (y) year = y;
 
-            const csv_key = `uploads/${job_id}.csv`;
+            const csv_key = xlsx ? `uploads/${job_id}.xlsx` : `uploads/${job_id}.csv`;
 
-            await env.RECEIPTS_BUCKET.put(csv_key, csvText, { httpMetadata: { contentType: "text/csv" } });
+            // 元ファイルはバイトのまま（文字コード / シートは parse 時に params で解釈）
+            await env.RECEIPTS_BUCKET.put(csv_key, up.bytes, {
+              httpMetadata: { contentType: xlsx ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" : "text/csv" },
+            });
 
             // job row (phase/last_error columns may not exist; ignore if fails)
             await env.RECEIPTS_DB.prepare(`
@@ -280,15 +468,119 @@ export default {
             try {
               await env.RECEIPTS_DB.prepare(`UPDATE receipt_import_job SET phase='PARSING' WHERE job_id=?`).bind(job_id).run();
             } catch {}
+            await env.RECEIPTS_DB.prepare(`UPDATE receipt_import_job SET params=? WHERE job_id=?`).bind(JSON.stringify(params), job_id).run();
 
             await env.IMPORT_Q.send({ type: "parse_csv", job_id });
 
-            return json({ ok: true, job_id, year, status: "RUNNING" }, 200);
+            return json({ ok: true, job_id, year, status: "RUNNING", params }, 200);
+          } catch (e) {
+            return json({ ok: false, error: "server_error", detail: String(e?.message || e) }, 500);
+          }
+        }
+
+        // --- import/dry-run (全行 HubSpot 照会 + receipt_annual と比較するだけ; R2 / HubSpot / annual は書かない) ---
+        // CSV は R2 に置かず、ここで parse して receipt_import_row に積む
+        if (path === "/api/admin/receipt/import/dry-run" && request.method === "POST") {
+          try {
+            const up = await readCsvUpload(request);
+            if (up.error) return json({ ok: false, error: up.error }, 400);
+
+            const params = await importParams(env, url, up);
+            if (params.error) return json({ ok: false, ...params }, 400);
+
+            if (!up.bytes.length) return json({ ok: false, error: "empty_csv" }, 400);
+
+            const table = await readImportTable(up.bytes, params);
+            if (table.error) return json({ ok: false, ...table }, 400);
+            const rows = importRecords(table, params.profile);
+            if (!rows.length) return json({ ok: false, error: "no_rows" }, 400);
+
+            const job_id = crypto.randomUUID();
+            const year = importHeadYear(rows, params) || (new Date()).getFullYear() - 1;
+            const prep = await prepareImportRows(env, rows, params, year);
+            const pre_ng = prep.invalid ? prep.invalid.size : 0;
+
+            await env.RECEIPTS_DB.prepare(`
+              INSERT INTO receipt_import_job
+                (job_id, year, total_rows, processed_rows, ok_rows, ng_rows, next_index, status, created_at, updated_at, csv_key, mode, phase, params)
+              VALUES
+                (?, ?, ?, ?, 0, ?, 0, 'RUNNING', datetime('now'), datetime('now'), '', 'DRY_RUN', 'PROCESSING', ?)
+            `).bind(job_id, year, prep.total, pre_ng, pre_ng, JSON.stringify(params)).run();
+
+            await insertImportRows(env, job_id, rows, prep.merge, prep.invalid);
+            await env.IMPORT_Q.send({ type: "dryrun_rows", job_id });
+
+            return json({ ok: true, job_id, year, total_rows: prep.total, status: "RUNNING", mode: "DRY_RUN", params }, 200);
           } catch (e) {
             return json({ ok: false, error: "server_error", detail: String(e?.message || e) }, 500);
           }
         }
 
+        // --- import/dry-run/report (区分ごとの件数・金額差分・サンプル) ---
+        // ?job_id=...&sample=20
+        if (path === "/api/admin/receipt/import/dry-run/report" && request.method === "GET") {
+          const job_id = String(url.searchParams.get("job_id") || "").trim();
+          if (!job_id) return json({ ok: false, error: "job_id_required" }, 400);
+          const sample = clampInt(url.searchParams.get("sample"), 0, 200, 20);
+
+          const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+          if (!job) return json({ ok: false, error: "job_not_found" }, 404);
+          if (String(job.mode || "") !== "DRY_RUN") return json({ ok: false, error: "not_dry_run_job" }, 409);
+
+          // 区分 -> WHERE（detail.changes は JSON 配列）
+          const CATS = {
+            new: `status='NEW'`,
+            changed: `status='CHANGED'`,
+            changed_amount: `status='CHANGED' AND EXISTS (SELECT 1 FROM json_each(detail, '$.changes') WHERE value='amount')`,
+            changed_name: `status='CHANGED' AND EXISTS (SELECT 1 FROM json_each(detail, '$.changes') WHERE value='name')`,
+            changed_branch: `status='CHANGED' AND EXISTS (SELECT 1 FROM json_each(detail, '$.changes') WHERE value='branch')`,
+            unchanged: `status='UNCHANGED'`,
+            needs_email: `status='NEEDS_EMAIL'`,
+            not_found: `status='ERROR' AND error='hubspot_not_found'`,
+            invalid: `status='ERROR' AND error='invalid_row'`,
+          };
+
+          const counts = {};
+          const samples = {};
+          for (const [k, where] of Object.entries(CATS)) {
+            const c = await env.RECEIPTS_DB.prepare(`SELECT COUNT(*) AS n FROM receipt_import_row WHERE job_id=? AND ${where}`).bind(job_id).first();
+            counts[k] = Number(c?.n || 0);
+            if (!sample || !counts[k]) { samples[k] = []; continue; }
+            const r = await env.RECEIPTS_DB.prepare(`
+              SELECT row_index, member_id, branch, amount, year, status, error, detail
+              FROM receipt_import_row WHERE job_id=? AND ${where} ORDER BY row_index LIMIT ?
+            `).bind(job_id, sample).all();
+            samples[k] = (r.results || []).map((x) => ({ ...x, detail: x.detail ? JSON.parse(x.detail) : null }));
+          }
+          const pending = await env.RECEIPTS_DB.prepare(`
+            SELECT COUNT(*) AS n FROM receipt_import_row WHERE job_id=? AND status='PENDING'
+          `).bind(job_id).first();
+
+          // 発行対象（NEW / CHANGED / UNCHANGED）の金額：取込後と現在
+          const sums = await env.RECEIPTS_DB.prepare(`
+            SELECT
+              COALESCE(SUM(json_extract(detail, '$.amount_cents')), 0) AS new_total,
+              COALESCE(SUM(json_extract(detail, '$.prev_amount_cents')), 0) AS prev_total
+            FROM receipt_import_row
+            WHERE job_id=? AND status IN ('NEW','CHANGED','UNCHANGED')
+          `).bind(job_id).first();
+          const new_total = Number(sums?.new_total || 0);
+          const prev_total = Number(sums?.prev_total || 0);
+
+          return json({
+            ok: true,
+            job_id,
+            year: job.year,
+            status: job.status,
+            complete: String(job.status || "").toUpperCase() === "DONE",
+            total_rows: Number(job.total_rows || 0),
+            pending_rows: Number(pending?.n || 0),
+            counts,
+            amounts: { new_total_cents: new_total, prev_total_cents: prev_total, delta_cents: new_total - prev_total },
+            samples,
+          }, 200);
+        }
+
         // --- import/status ---
         if (path === "/api/admin/receipt/import/status" && request.method === "GET") {
           const job_id = String(url.searchParams.get("job_id") || "").trim();
@@ -300,247 +592,992 @@ export default {
           return json({ ok: true, job }, 200);
         }
 
-        // --- dashboard ---
-        if (path === "/api/admin/receipt/dashboard" && request.method === "GET") {
-          const year = normYear(url.searchParams.get("year")) ?? (new Date()).getFullYear() - 1;
-          const rows = await env.RECEIPTS_DB.prepare(`
-            SELECT year, member_id, branch, name, amount_cents, issue_date, pdf_key, status, error, email_status, email_sent_at
-            FROM receipt_annual
-            WHERE year=?
-            ORDER BY branch, name
-          `).bind(year).all();
+        // --- import/rows (行ごとの結果; row_index カーソルでページング) ---
+        // ?job_id=...&status=ERROR,NEEDS_EMAIL&error=hubspot_not_found&limit=100&cursor=123
+        if (path === "/api/admin/receipt/import/rows" && request.method === "GET") {
+          const job_id = String(url.searchParams.get("job_id") || "").trim();
+          if (!job_id) return json({ ok: false, error: "job_id_required" }, 400);
+
+          const job = await env.RECEIPTS_DB.prepare(`SELECT job_id FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+          if (!job) return json({ ok: false, error: "job_not_found" }, 404);
+
+          const statuses = parseListParam(url.searchParams.get("status")).map((x) => x.toUpperCase());
+          const errorClass = String(url.searchParams.get("error") || "").trim();
+          const limit = clampInt(url.searchParams.get("limit"), 1, 500, 100);
+          const cursor = clampInt(url.searchParams.get("cursor"), -1, Number.MAX_SAFE_INTEGER, -1);
 
-          return json({ ok: true, year, rows: rows.results || [] }, 200);
+          const { where, binds } = importRowFilter(job_id, statuses, errorClass);
+          const rows = await env.RECEIPTS_DB.prepare(`
+            SELECT row_index, member_id, branch, amount, year, status, error, email, pdf_key, detail, updated_at
+            FROM receipt_import_row
+            WHERE ${where} AND row_index>?
+            ORDER BY row_index
+            LIMIT ?
+          `).bind(...binds, cursor, limit + 1).all();
+
+          const list = (rows.results || []).map((r) => ({ ...r, detail: r.detail ? JSON.parse(r.detail) : null }));
+          const more = list.length > limit;
+          if (more) list.pop();
+
+          const counts = await env.RECEIPTS_DB.prepare(`
+            SELECT status, COUNT(*) AS n FROM receipt_import_row WHERE job_id=? GROUP BY status
+          `).bind(job_id).all();
+          const errs = await env.RECEIPTS_DB.prepare(`
+            SELECT CASE WHEN instr(error, ':') > 0 THEN substr(error, 1, instr(error, ':') - 1) ELSE error END AS cls, COUNT(*) AS n
+            FROM receipt_import_row
+            WHERE job_id=? AND error IS NOT NULL AND error<>''
+            GROUP BY cls
+          `).bind(job_id).all();
+
+          return json({
+            ok: true,
+            job_id,
+            rows: list,
+            next_cursor: more ? list[list.length - 1].row_index : null,
+            counts: countsByStatus(counts.results),
+            error_classes: Object.fromEntries((errs.results || []).map((r) => [String(r.cls), Number(r.n || 0)])),
+          }, 200);
         }
 
-        // --- pdf view (admin) ---
-        if (path === "/api/admin/receipt/pdf" && request.method === "GET") {
-          const member_id = String(url.searchParams.get("member_id") || "").trim();
-          const year = String(url.searchParams.get("year") || "").trim();
-          if (!member_id || !/^\d{4}$/.test(year)) return json({ ok: false, error: "member_id_and_year_required" }, 400);
+        // --- import/failed-rows (失敗行を元の列構成で書き出し → 直して再アップロード) ---
+        // ?job_id=...&format=csv|xlsx&status=ERROR,NEEDS_EMAIL&error=...&include_error=0
+        if (path === "/api/admin/receipt/import/failed-rows" && request.method === "GET") {
+          const job_id = String(url.searchParams.get("job_id") || "").trim();
+          if (!job_id) return json({ ok: false, error: "job_id_required" }, 400);
+          const format = String(url.searchParams.get("format") || "csv").trim().toLowerCase();
+          if (format !== "csv" && format !== "xlsx") return json({ ok: false, error: "invalid_format" }, 400);
 
-          const key = `receipts/${member_id}/${year}.pdf`;
-          const obj = await env.RECEIPTS_BUCKET.get(key);
-          if (!obj) return json({ ok: false, error: "pdf_not_found", key }, 404);
+          const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+          if (!job) return json({ ok: false, error: "job_not_found" }, 404);
 
-          return new Response(obj.body, {
+          let statuses = parseListParam(url.searchParams.get("status")).map((x) => x.toUpperCase());
+          if (!statuses.length) statuses = ["ERROR", "NEEDS_EMAIL"];
+          const errorClass = String(url.searchParams.get("error") || "").trim();
+          const includeError = url.searchParams.get("include_error") !== "0";
+
+          const { where, binds } = importRowFilter(job_id, statuses, errorClass);
+          const failed = await env.RECEIPTS_DB.prepare(`
+            SELECT row_index, member_id, branch, amount, year, error FROM receipt_import_row WHERE ${where} ORDER BY row_index
+          `).bind(...binds).all();
+          const failedRows = failed.results || [];
+
+          // 合算された行（transactions の明細 / duplicates=sum）も、合算先が失敗なら一緒に出す
+          // （直して再アップロードするときに合計が欠けないように）
+          if (failedRows.length) {
+            const merged = await env.RECEIPTS_DB.prepare(`
+              SELECT row_index, member_id, branch, amount, year, error, merged_into FROM receipt_import_row
+              WHERE job_id=? AND status='MERGED'
+                AND merged_into IN (SELECT row_index FROM receipt_import_row WHERE ${where})
+            `).bind(job_id, ...binds).all();
+            const errOf = new Map(failedRows.map((r) => [Number(r.row_index), r.error]));
+            for (const { merged_into, ...r } of merged.results || []) {
+              failedRows.push({ ...r, error: errOf.get(Number(merged_into)) ?? r.error });
+            }
+            failedRows.sort((x, y) => Number(x.row_index) - Number(y.row_index));
+          }
+
+          // 元ファイルがあれば元の列順・値のまま。無ければ取り込んだ 4 列を profile の列名・小数点で
+          // CSV は同じ profile でそのまま再アップロードできるよう、profile の区切り文字・文字コードで書く
+          const profile = jobImportProfile(job);
+          let header = IMPORT_COLUMNS.map((c) => profile.columns[c]);
+          let out = failedRows.map((r) => [
+            r.member_id, r.branch, profile.decimal === "," ? String(r.amount ?? "").replace(".", ",") : r.amount, r.year,
+          ]);
+
+          const src = await env.RECEIPTS_BUCKET.get(String(job.csv_key || `uploads/${job_id}.csv`));
+          if (src) {
+            const table = await readImportTable(new Uint8Array(await src.arrayBuffer()), {
+              profile,
+              sheet: parseJobRow(job).params?.sheet,
+            });
+            if (table.header?.length) {
+              header = table.header;
+              out = failedRows.map((r) => {
+                const cols = table.rows[Number(r.row_index)] || [];
+                return header.map((_, i) => String(cols[i] ?? ""));
+              });
+            }
+          }
+          if (includeError) {
+            header = [...header, "error"];
+            out = out.map((cols, i) => [...cols, String(failedRows[i].error || "")]);
+          }
+
+          const base = `import_${job_id.slice(0, 8)}_failed`;
+          if (format === "xlsx") {
+            return new Response(xlsxFromRows("failed", header, out), {
+              status: 200,
+              headers: {
+                "content-type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+                "cache-control": "no-store",
+                "content-disposition": `attachment; filename="${base}.xlsx"`,
+              },
+            });
+          }
+          const csv = toCsv(header, out, { delimiter: profile.delimiter, bom: profile.encoding === "utf-8" });
+          return new Response(encodeImportText(csv, profile.encoding), {
             status: 200,
-            headers: { "content-type": "application/pdf", "cache-control": "no-store", "content-disposition": "inline" },
+            headers: {
+              "content-type": `text/csv; charset=${profile.encoding}`,
+              "cache-control": "no-store",
+              "content-disposition": `attachment; filename="${base}.csv"`,
+              "x-import-profile": profile.name,
+            },
           });
         }
-        
-        // --- bulk-delete-year ---
-// body: { year: 2025, confirm: "DELETE 2025" }
-if (path === "/api/admin/receipt/bulk-delete-year" && request.method === "POST") {
-  const body = await request.json().catch(() => null);
-  const year = normYear(body?.year);
-  const confirm = String(body?.confirm || "").trim();
 
-  const allowedYear = (new Date()).getFullYear() - 1;
-  if (!year) return json({ ok:false, error:"year_required" }, 400);
-  if (year !== allowedYear) return json({ ok:false, error:"year_not_allowed", allowedYear }, 403);
+        // --- import/retry (失敗行だけ PENDING に戻して process_rows を再開) ---
+        // body: { job_id, errors?: ["hubspot_not_found", "pdf_failed", "missing_email"] }
+        if (path === "/api/admin/receipt/import/retry" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const job_id = String(body?.job_id || "").trim();
+          if (!job_id) return json({ ok: false, error: "job_id_required" }, 400);
 
-  const required = `DELETE ${year}`;
-  if (confirm !== required) return json({ ok:false, error:"typed_confirmation_required", required }, 400);
+          const classes = (Array.isArray(body?.errors) ? body.errors : IMPORT_RETRY_DEFAULT)
+            .map((x) => String(x ?? "").trim())
+            .filter(Boolean);
+          const bad = classes.filter((c) => !IMPORT_RETRYABLE.includes(c));
+          if (!classes.length || bad.length) {
+            return json({ ok: false, error: "not_retryable", errors: bad, retryable: IMPORT_RETRYABLE }, 400);
+          }
 
-  // PDF keys
-  const rows = await env.RECEIPTS_DB.prepare(`SELECT pdf_key FROM receipt_annual WHERE year=?`).bind(year).all();
-  const keys = (rows?.results || []).map(r => String(r.pdf_key || "").trim()).filter(Boolean);
+          const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+          if (!job) return json({ ok: false, error: "job_not_found" }, 404);
+          if (String(job.mode || "") === "DRY_RUN") return json({ ok: false, error: "dry_run_job" }, 409);
+          const st = String(job.status || "").toUpperCase();
+          if (st !== "DONE" && st !== "PAUSED") return json({ ok: false, error: "invalid_job_state", status: job.status, expected: "DONE|PAUSED" }, 409);
+
+          // missing_email は NEEDS_EMAIL、それ以外は ERROR の行
+          const conds = classes.map((c) => c === "missing_email"
+            ? `(status='NEEDS_EMAIL')`
+            : `(status='ERROR' AND (error=? OR substr(error, 1, ?)=?))`);
+          const binds = classes.filter((c) => c !== "missing_email").flatMap((c) => [c, c.length + 1, `${c}:`]);
+          const where = `job_id=? AND (${conds.join(" OR ")})`;
+
+          const first = await env.RECEIPTS_DB.prepare(`
+            SELECT COUNT(*) AS n, MIN(row_index) AS m FROM receipt_import_row WHERE ${where}
+          `).bind(job_id, ...binds).first();
+          const n = Number(first?.n || 0);
+          if (!n) return json({ ok: false, error: "nothing_to_retry", job_id, errors: classes }, 409);
+
+          // 行のリセットと ng / processed の巻き戻しは同じ batch で（カウンタがずれないように）
+          await env.RECEIPTS_DB.batch([
+            env.RECEIPTS_DB.prepare(`
+              UPDATE receipt_import_row SET status='PENDING', error=NULL, updated_at=datetime('now') WHERE ${where}
+            `).bind(job_id, ...binds),
+            env.RECEIPTS_DB.prepare(`
+              UPDATE receipt_import_job
+              SET ng_rows=MAX(0, ng_rows-?),
+                  processed_rows=MAX(0, processed_rows-?),
+                  next_index=?,
+                  status=CASE WHEN status='PAUSED' THEN 'PAUSED' ELSE 'RUNNING' END,
+                  updated_at=datetime('now')
+              WHERE job_id=?
+            `).bind(n, n, Number(first.m), job_id),
+          ]);
+          try { await env.RECEIPTS_DB.prepare(`UPDATE receipt_import_job SET phase='PROCESSING' WHERE job_id=?`).bind(job_id).run(); } catch {}
 
-  // DB delete
-  await env.RECEIPTS_DB.prepare(`DELETE FROM receipt_annual WHERE year=?`).bind(year).run();
+          if (st === "DONE") await env.IMPORT_Q.send({ type: "process_rows", job_id });
 
-  // R2 delete
-  let deleted_pdf = 0;
-  for (const k of keys) {
-    try { await env.RECEIPTS_BUCKET.delete(k); deleted_pdf++; } catch {}
-  }
+          return json({ ok: true, job_id, reset_rows: n, errors: classes, status: st === "DONE" ? "RUNNING" : "PAUSED" }, 200);
+        }
 
-  return json({ ok:true, year, deleted_rows: keys.length, deleted_pdf }, 200);
-}
-        
-        // --- delete-selected (single + multi) ---
-        if (path === "/api/admin/receipt/delete-selected" && request.method === "POST") {
+        // --- import/pause ---
+        // body: { job_id }
+        if (path === "/api/admin/receipt/import/pause" && request.method === "POST") {
           const body = await request.json().catch(() => null);
+          const job_id = String(body?.job_id || "").trim();
+          if (!job_id) return json({ ok: false, error: "job_id_required" }, 400);
 
-          let selections =
-            Array.isArray(body?.selections) ? body.selections :
-            Array.isArray(body?.selected) ? body.selected :
-            Array.isArray(body?.items) ? body.items :
-            [];
-
-          if (!selections.length) {
-            const member_id = String(body?.member_id || body?.memberId || "").trim();
-            const year = normYear(body?.year);
-            if (member_id && year) selections = [{ member_id, year }];
-          }
+          const res = await env.RECEIPTS_DB.prepare(`
+            UPDATE receipt_import_job SET status='PAUSED', updated_at=datetime('now') WHERE job_id=? AND status='RUNNING'
+          `).bind(job_id).run();
+          if (!Number(res?.meta?.changes || 0)) return importJobStateError(env, job_id, "RUNNING");
 
-          if (!selections.length) return json({ ok: false, error: "selections_required" }, 400);
+          return json({ ok: true, job_id, status: "PAUSED" }, 200);
+        }
 
-          let deleted_ok = 0, deleted_ng = 0;
-          const results = [];
+        // --- import/resume ---
+        // body: { job_id }
+        if (path === "/api/admin/receipt/import/resume" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const job_id = String(body?.job_id || "").trim();
+          if (!job_id) return json({ ok: false, error: "job_id_required" }, 400);
 
-          for (const s of selections) {
-            const member_id = String(s?.member_id || s?.memberId || "").trim();
-            const year = normYear(s?.year);
-            if (!member_id || !year) {
-              deleted_ng++;
-              results.push({ ok: false, member_id, year, error: "member_id_and_year_required" });
-              continue;
-            }
+          // Queue の retry を使い切って ERROR になった job（last_error='queue_failed:*'）も再開できる
+          const res = await env.RECEIPTS_DB.prepare(`
+            UPDATE receipt_import_job SET status='RUNNING', last_error=NULL, updated_at=datetime('now')
+            WHERE job_id=? AND (status='PAUSED' OR (status='ERROR' AND last_error LIKE 'queue_failed:%'))
+          `).bind(job_id).run();
+          if (!Number(res?.meta?.changes || 0)) return importJobStateError(env, job_id, "PAUSED");
+
+          // 処理中のまま長く止まっている行は consumer が落ちた残り → PENDING に戻す
+          // （新しいものは実行中のバッチが持っている。行は claim して取るので、そのバッチと重なっても二重には処理しない）
+          await env.RECEIPTS_DB.prepare(`
+            UPDATE receipt_import_row SET status='PENDING', updated_at=datetime('now')
+            WHERE job_id=? AND status='PROCESSING' AND updated_at < datetime('now', ?)
+          `).bind(job_id, `-${IMPORT_STALL_MINUTES} minutes`).run();
+
+          // parse 前に止めた場合は parse からやり直す
+          const job = await env.RECEIPTS_DB.prepare(`SELECT phase, mode FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+          const rows = await env.RECEIPTS_DB.prepare(`SELECT COUNT(*) AS n FROM receipt_import_row WHERE job_id=?`).bind(job_id).first();
+          const type = String(job?.mode || "") === "DRY_RUN"
+            ? "dryrun_rows"
+            : String(job?.phase || "") === "PARSING" || !Number(rows?.n || 0) ? "parse_csv" : "process_rows";
+          await env.IMPORT_Q.send({ type, job_id });
+
+          return json({ ok: true, job_id, status: "RUNNING", resumed_with: type }, 200);
+        }
 
-            const row = await env.RECEIPTS_DB
-              .prepare(`SELECT pdf_key FROM receipt_annual WHERE year=? AND member_id=?`)
-              .bind(year, member_id)
-              .first();
+        // --- import/cancel ---
+        // body: { job_id, rollback?: boolean }
+        // rollback: この job が書いた receipt_annual / PDF を job 前の状態に戻す（Queue で実行）
+        if (path === "/api/admin/receipt/import/cancel" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const job_id = String(body?.job_id || "").trim();
+          const rollback = body?.rollback === true;
+          if (!job_id) return json({ ok: false, error: "job_id_required" }, 400);
+          if (rollback && !hasAdminRole(admin.role, "destroyer")) {
+            return json({ ok: false, error: "forbidden", role: admin.role, required: "destroyer" }, 403);
+          }
 
-            await env.RECEIPTS_DB
-              .prepare(`DELETE FROM receipt_annual WHERE year=? AND member_id=?`)
-              .bind(year, member_id)
-              .run();
+          const job = await env.RECEIPTS_DB.prepare(`SELECT status FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+          if (!job) return json({ ok: false, error: "job_not_found" }, 404);
 
-            const pdf_key = String(row?.pdf_key || "").trim();
-            if (pdf_key) {
-              try { await env.RECEIPTS_BUCKET.delete(pdf_key); } catch {}
-            }
+          const st = String(job.status || "").toUpperCase();
+          if (st !== "CANCELLED" || rollback) {
+            // DONE の job も rollback 目的なら CANCELLED にできる
+            if (st === "DONE" && !rollback) return json({ ok: false, error: "job_already_done", status: st }, 409);
+
+            await env.RECEIPTS_DB.batch([
+              env.RECEIPTS_DB.prepare(`
+                UPDATE receipt_import_job SET status='CANCELLED', updated_at=datetime('now') WHERE job_id=?
+              `).bind(job_id),
+              env.RECEIPTS_DB.prepare(`
+                UPDATE receipt_import_row SET status='CANCELLED', updated_at=datetime('now') WHERE job_id=? AND status='PENDING'
+              `).bind(job_id),
+            ]);
+          }
 
-            deleted_ok++;
-            results.push({ ok: true, member_id, year, deleted_pdf_key: pdf_key || null });
+          if (rollback) {
+            await env.RECEIPTS_DB.prepare(`UPDATE receipt_import_job SET phase='ROLLING_BACK' WHERE job_id=?`).bind(job_id).run();
+            // 実行中のバッチが書き終わるのを待ってから戻す
+            await env.IMPORT_Q.send({ type: "rollback_rows", job_id }, { delaySeconds: 30 });
           }
 
-          return json({ ok: true, deleted_ok, deleted_ng, results }, 200);
+          return json({ ok: true, job_id, status: "CANCELLED", rollback }, 200);
         }
 
-        // --- email/send-one ---
-// UI Request URL: /api/admin/receipt/email/send-one
-// body: { member_id: "42333", year: 2025, dry_run?: boolean }
-if (path === "/api/admin/receipt/email/send-one" && request.method === "POST") {
-  const body = await request.json().catch(() => null);
-  const member_id = String(body?.member_id || "").trim();
-  const year = normYear(body?.year);
-  const dry_run = body?.dry_run === true;
+        // --- rebuild (receipt_annual の値で PDF を作り直す; CSV 再取込なし) ---
+        // body: { year: 2025, member_ids?: ["42333", ...], branch?: "LA", refresh_names?: boolean }
+        if (path === "/api/admin/receipt/rebuild" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const year = normYear(body?.year);
+          if (!year) return json({ ok: false, error: "year_required" }, 400);
+
+          const member_ids = [...new Set((Array.isArray(body?.member_ids) ? body.member_ids : [])
+            .map((v) => String(v ?? "").trim())
+            .filter(Boolean))];
+          const branch = String(body?.branch || "").trim();
+          const refresh_names = body?.refresh_names === true;
+
+          // PDF を持っている行（DONE）と PDF 生成で落ちた行が対象。missing_email は対象外
+          let sql = `SELECT member_id, branch, name FROM receipt_annual WHERE year=? AND (status='DONE' OR error='pdf_failed')`;
+          const binds = [year];
+          if (branch) { sql += ` AND branch=?`; binds.push(branch); }
+
+          let found = [];
+          if (member_ids.length) {
+            // D1 のバインド上限は 100 なので 90 件ずつ引いて、並びは JS で揃える
+            for (let i = 0; i < member_ids.length; i += 90) {
+              const ids = member_ids.slice(i, i + 90);
+              const res = await env.RECEIPTS_DB.prepare(`${sql} AND member_id IN (${ids.map(() => "?").join(",")})`)
+                .bind(...binds, ...ids).all();
+              found.push(...(res.results || []));
+            }
+            const k = (r) => [String(r.branch ?? ""), String(r.name ?? "")];
+            found.sort((a, b) => {
+              const x = k(a), y = k(b);
+              for (let i = 0; i < 2; i++) if (x[i] !== y[i]) return x[i] < y[i] ? -1 : 1;
+              return 0;
+            });
+          } else {
+            const res = await env.RECEIPTS_DB.prepare(`${sql} ORDER BY branch, name`).bind(...binds).all();
+            found = res.results || [];
+          }
+          const targets = found.map((r) => String(r.member_id));
+          if (!targets.length) return json({ ok: false, error: "no_targets", year, branch: branch || null }, 404);
+
+          const job_id = await createJob(env, {
+            kind: "REBUILD",
+            year,
+            params: { branch: branch || null, member_ids: member_ids.length ? member_ids : null, refresh_names },
+            member_ids: targets,
+            created_by: admin.sub,
+          });
 
-  if (!member_id || !year) return json({ ok:false, error:"member_id_and_year_required" }, 400);
+          await env.IMPORT_Q.send({ type: "rebuild_rows", job_id });
 
-  const row = await env.RECEIPTS_DB
-    .prepare(`SELECT year, member_id, name, amount_cents, status, email FROM receipt_annual WHERE year=? AND member_id=?`)
-    .bind(year, member_id)
-    .first();
+          return json({ ok: true, job_id, year, total_rows: targets.length, status: "RUNNING" }, 200);
+        }
 
-  if (!row) return json({ ok:false, error:"row_not_found" }, 404);
-  if (String(row.status || "").toUpperCase() !== "DONE") return json({ ok:false, error:"not_done" }, 409);
+        // --- jobs/status (REBUILD など receipt_job 系) ---
+        if (path === "/api/admin/receipt/jobs/status" && request.method === "GET") {
+          const job_id = String(url.searchParams.get("job_id") || "").trim();
+          if (!job_id) return json({ ok: false, error: "job_id_required" }, 400);
 
-  let email = String(row.email || "").trim().toLowerCase();
+          const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_job WHERE job_id=?`).bind(job_id).first();
+          if (!job) return json({ ok: false, error: "job_not_found" }, 404);
 
-  // D1に無ければ HubSpot から取得
-  if (!email) {
-    try {
-      const hs = await hubspotGetContactByIdProperty(env, member_id, "member_id", ["email"]);
-      if (hs && hs.ok) {
-        const p = (await hs.json()).properties || {};
-        email = String(p.email || "").trim().toLowerCase();
-      }
-    } catch {}
-  }
+          const counts = await env.RECEIPTS_DB.prepare(`
+            SELECT status, COUNT(*) AS n FROM receipt_job_row WHERE job_id=? GROUP BY status
+          `).bind(job_id).all();
 
-  if (!email) {
-    // NEEDS_EMAIL に落とす（後で missing list で直せる）
-    await env.RECEIPTS_DB.prepare(`
-      UPDATE receipt_annual
-      SET email_status='NEEDS_EMAIL', email_error='missing_email'
-      WHERE year=? AND member_id=?
-    `).bind(year, member_id).run();
+          const out = parseJobRow(job);
+          if (out.kind === "EXPORT" && out.status === "DONE" && out.result?.key) {
+            out.download_url = `/api/admin/receipt/export/download?job_id=${encodeURIComponent(job_id)}`;
+          }
+          // PRINT は分冊。冊ごとの URL（download_url は 1 冊目）
+          if (out.kind === "PRINT" && out.status === "DONE" && out.result?.volumes?.length) {
+            out.downloads = out.result.volumes.map((v) => ({
+              volume: v.volume,
+              members: v.members,
+              pages: v.pages,
+              download_url: `/api/admin/receipt/print/download?job_id=${encodeURIComponent(job_id)}&volume=${v.volume}`,
+            }));
+            out.download_url = out.downloads[0].download_url;
+          }
+          return json({ ok: true, job: out, row_counts: countsByStatus(counts.results) }, 200);
+        }
 
-    return json({ ok:false, error:"missing_email", member_id, year }, 200);
-  }
+        // --- export/zip (年の PDF を ZIP に; Queue) ---
+        // body: { year: 2025, branch?: "LA" } … 対象は status='DONE' の行。ZIP には manifest.csv も入る
+        // 進み具合は jobs/status、終わったら download_url（export/download）から取る
+        if (path === "/api/admin/receipt/export/zip" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const year = normYear(body?.year);
+          const branch = String(body?.branch || "").trim();
+          if (!year) return json({ ok: false, error: "year_required" }, 400);
+
+          let sql = `SELECT member_id FROM receipt_annual WHERE year=? AND status='DONE'`;
+          const binds = [year];
+          if (branch) { sql += ` AND branch=?`; binds.push(branch); }
+          sql += ` ORDER BY branch, member_id`;
+
+          const found = await env.RECEIPTS_DB.prepare(sql).bind(...binds).all();
+          const targets = (found.results || []).map((r) => String(r.member_id));
+          if (!targets.length) return json({ ok: false, error: "no_targets", year, branch: branch || null }, 404);
+          if (targets.length >= 0xffff) return json({ ok: false, error: "export_too_large", total_rows: targets.length }, 400);
+
+          const job_id = await createJob(env, {
+            kind: "EXPORT",
+            year,
+            params: { branch: branch || null },
+            member_ids: targets,
+            created_by: admin.sub,
+          });
 
-  if (dry_run) return json({ ok:true, dry_run:true, sent:false, member_id, year, to: email }, 200);
+          await env.IMPORT_Q.send({ type: "export_rows", job_id });
 
-  try {
-    await sendReceiptNoticeEmail(env, {
-      to: email,
-      name: row.name || "Member",
-      year: Number(row.year),
-      amount_cents: Number(row.amount_cents || 0),
-    });
+          return json({ ok: true, job_id, year, branch: branch || null, total_rows: targets.length, status: "RUNNING" }, 200);
+        }
 
-    await env.RECEIPTS_DB.prepare(`
-      UPDATE receipt_annual
-      SET email=?, email_status='SENT', email_error=NULL, email_sent_at=datetime('now')
-      WHERE year=? AND member_id=?
-    `).bind(email, year, member_id).run();
+        // --- print/batch (郵送用の PDF; Queue。PRINT_VOLUME_MEMBERS 人ずつの分冊) ---
+        // body: { year: 2025, member_ids?: ["42333", ...], branch?: "LA", cover_sheets?: true, duplex?: false,
+        //         include_mailed?: false, mark_mailed?: false }
+        // member_ids が無ければメールの無い行（email_status='NEEDS_EMAIL' と取込時の missing_email）のうち未郵送のもの
+        // 取込時に PDF を作っていない missing_email 行は job の中で発行する。並びは branch, name
+        // 郵送済み（mailed_at）は投函してから print/mark-mailed で付ける。mark_mailed=true なら PDF ができた時点で付ける
+        if (path === "/api/admin/receipt/print/batch" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const year = normYear(body?.year);
+          const branch = String(body?.branch || "").trim();
+          const member_ids = Array.isArray(body?.member_ids) ? [...new Set(body.member_ids.map((x) => String(x || "").trim()).filter(Boolean))] : [];
+          if (!year) return json({ ok: false, error: "year_required" }, 400);
+
+          let found = [];
+          if (member_ids.length) {
+            for (let i = 0; i < member_ids.length; i += 90) {
+              const ids = member_ids.slice(i, i + 90);
+              const res = await env.RECEIPTS_DB.prepare(`
+                SELECT member_id, branch, name FROM receipt_annual
+                WHERE year=? AND (status='DONE' OR error='missing_email') AND member_id IN (${ids.map(() => "?").join(",")})
+              `).bind(year, ...ids).all();
+              found.push(...(res.results || []));
+            }
+            const k = (r) => [String(r.branch ?? ""), String(r.name ?? ""), String(r.member_id)];
+            found.sort((a, b) => {
+              const x = k(a), y = k(b);
+              for (let i = 0; i < 3; i++) if (x[i] !== y[i]) return x[i] < y[i] ? -1 : 1;
+              return 0;
+            });
+          } else {
+            let sql = `SELECT member_id FROM receipt_annual WHERE year=? AND ((status='DONE' AND email_status='NEEDS_EMAIL') OR error='missing_email')`;
+            const binds = [year];
+            if (body?.include_mailed !== true) sql += ` AND mailed_at IS NULL`;
+            if (branch) { sql += ` AND branch=?`; binds.push(branch); }
+            sql += ` ORDER BY branch, name, member_id`;
+            found = (await env.RECEIPTS_DB.prepare(sql).bind(...binds).all()).results || [];
+          }
 
-    return json({ ok:true, sent:true, member_id, year, to: email }, 200);
-  } catch (e) {
-    const msg = String(e?.message || e);
+          const targets = found.map((r) => String(r.member_id));
+          if (!targets.length) return json({ ok: false, error: "no_targets", year, branch: branch || null }, 404);
+          const have = new Set(targets);
+          const skipped = member_ids.filter((m) => !have.has(m));
+
+          const job_id = await createJob(env, {
+            kind: "PRINT",
+            year,
+            params: {
+              branch: branch || null,
+              source: member_ids.length ? "selected" : "needs_email",
+              cover_sheets: body?.cover_sheets !== false,
+              duplex: body?.duplex === true,
+              mark_mailed: body?.mark_mailed === true,
+            },
+            member_ids: targets,
+            created_by: admin.sub,
+          });
 
-    await env.RECEIPTS_DB.prepare(`
-      UPDATE receipt_annual
-      SET email=?, email_status='FAILED', email_error=?
-      WHERE year=? AND member_id=?
-    `).bind(email, msg, year, member_id).run();
+          await env.IMPORT_Q.send({ type: "print_rows", job_id });
 
-    return json({ ok:true, sent:false, member_id, year, to: email, warning: msg }, 200);
-  }
-}
+          return json({ ok: true, job_id, year, total_rows: targets.length, skipped, status: "RUNNING" }, 200);
+        }
 
-// --- delete-selected (single + multi) ---
-// UI Request URL: /api/admin/receipt/delete-selected
-// body: { selections:[{member_id,year}...] } または { member_id, year }
-if (path === "/api/admin/receipt/delete-selected" && request.method === "POST") {
-  const body = await request.json().catch(() => null);
+        // --- print/mark-mailed (印刷・投函が済んだ PRINT job の会員に mailed_at を付ける) ---
+        // body: { job_id, volumes?: [1, 2] } … volumes を省略したら全冊
+        if (path === "/api/admin/receipt/print/mark-mailed" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const job_id = String(body?.job_id || "").trim();
+          if (!job_id) return json({ ok: false, error: "job_id_required" }, 400);
+          const volumes = Array.isArray(body?.volumes) ? [...new Set(body.volumes.map(Number))] : null;
+          if (volumes && (!volumes.length || volumes.some((v) => !Number.isInteger(v) || v < 1))) {
+            return json({ ok: false, error: "invalid_volumes" }, 400);
+          }
+
+          const job = parseJobRow(await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_job WHERE job_id=? AND kind='PRINT'`).bind(job_id).first());
+          if (!job) return json({ ok: false, error: "job_not_found" }, 404);
+          if (job.status !== "DONE") return json({ ok: false, error: "print_not_ready", status: job.status }, 409);
+          const have = new Set((job.result?.volumes || []).map((v) => v.volume));
+          const missing = (volumes || []).filter((v) => !have.has(v));
+          if (missing.length) return json({ ok: false, error: "volume_not_found", volumes: missing }, 404);
+
+          const marked = await markPrintJobMailed(env, job_id, job.year, volumes);
+          const after = await env.RECEIPTS_DB.prepare(`SELECT json_extract(result, '$.mailed') AS n FROM receipt_job WHERE job_id=?`).bind(job_id).first();
+          return json({ ok: true, job_id, volumes: volumes || [...have], marked, mailed: Number(after?.n || 0) }, 200);
+        }
 
-  let selections =
-    Array.isArray(body?.selections) ? body.selections :
-    Array.isArray(body?.selected) ? body.selected :
-    Array.isArray(body?.items) ? body.items :
-    [];
+        // --- export/download, print/download（jobs/status の download_url） ---
+        // print は ?volume=N（1 始まり; 省略時 1）
+        if ((path === "/api/admin/receipt/export/download" || path === "/api/admin/receipt/print/download") && request.method === "GET") {
+          const job_id = String(url.searchParams.get("job_id") || "").trim();
+          if (!job_id) return json({ ok: false, error: "job_id_required" }, 400);
+          const kind = path.endsWith("/export/download") ? "EXPORT" : "PRINT";
+          const what = kind === "EXPORT" ? "export" : "print";
 
-  if (!selections.length) {
-    const member_id = String(body?.member_id || body?.memberId || "").trim();
-    const year = normYear(body?.year);
-    if (member_id && year) selections = [{ member_id, year }];
-  }
+          const job = parseJobRow(await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_job WHERE job_id=? AND kind=?`).bind(job_id, kind).first());
+          if (!job) return json({ ok: false, error: "job_not_found" }, 404);
 
-  if (!selections.length) return json({ ok:false, error:"selections_required" }, 400);
+          let key = job.result?.key;
+          if (kind === "PRINT") {
+            const volume = Number(url.searchParams.get("volume") || 1);
+            const v = (job.result?.volumes || []).find((x) => x.volume === volume);
+            if (job.status === "DONE" && !v) return json({ ok: false, error: "volume_not_found", volumes: (job.result?.volumes || []).length }, 404);
+            key = v?.key;
+          }
+          if (job.status !== "DONE" || !key) return json({ ok: false, error: `${what}_not_ready`, status: job.status }, 409);
 
-  let deleted_ok = 0, deleted_ng = 0;
-  const results = [];
+          const obj = await env.RECEIPTS_BUCKET.get(key);
+          if (!obj) return json({ ok: false, error: `${what}_not_found`, key }, 404);
 
-  for (const s of selections) {
-    const member_id = String(s?.member_id || s?.memberId || "").trim();
-    const year = normYear(s?.year);
+          return new Response(obj.body, {
+            status: 200,
+            headers: {
+              "content-type": kind === "EXPORT" ? "application/zip" : "application/pdf",
+              "cache-control": "no-store",
+              "content-disposition": `${kind === "EXPORT" ? "attachment" : "inline"}; filename="${key.split("/").pop()}"`,
+            },
+          });
+        }
 
-    if (!member_id || !year) {
-      deleted_ng++;
-      results.push({ ok:false, member_id, year, error:"member_id_and_year_required" });
-      continue;
-    }
+        // --- templates (list) ---
+        if (path === "/api/admin/receipt/templates" && request.method === "GET") {
+          const rows = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_template ORDER BY version DESC`).all();
+          const templates = (rows.results || []).map(templateFromRow);
+          const active = await getTemplateConfig(env);
+          return json({ ok: true, active_version: active.version, templates }, 200);
+        }
 
-    const row = await env.RECEIPTS_DB
-      .prepare(`SELECT pdf_key FROM receipt_annual WHERE year=? AND member_id=?`)
-      .bind(year, member_id)
-      .first();
+        // --- templates/upload (新バージョン作成) ---
+        // multipart: file(PDF), label?, layout?(JSON), sign?(1/0)
+        // JSON:      { from_version, label?, layout?, sign? } … 既存 PDF を流用して座標だけ変えた版を作る（clone）
+        // sign を省略したら元の版（from_version / active）の設定を引き継ぐ
+        if (path === "/api/admin/receipt/templates/upload" && request.method === "POST") {
+          const ct = String(request.headers.get("content-type") || "").toLowerCase();
+
+          let bytes = null, label = "", layoutIn = null, from_version = null, signIn = null;
+          if (ct.includes("multipart/form-data")) {
+            const fd = await request.formData();
+            const f = fd.get("file") || fd.get("pdf") || fd.get("upload");
+            if (f && typeof f === "object" && "arrayBuffer" in f) bytes = await f.arrayBuffer();
+            label = String(fd.get("label") || "").trim();
+            try { layoutIn = fd.get("layout") ? JSON.parse(String(fd.get("layout"))) : null; }
+            catch { return json({ ok: false, error: "layout_invalid_json" }, 400); }
+            from_version = fd.get("from_version") ? Number(fd.get("from_version")) : null;
+            signIn = fd.get("sign") != null ? toBool(fd.get("sign")) : null;
+          } else {
+            const body = await request.json().catch(() => null);
+            label = String(body?.label || "").trim();
+            layoutIn = body?.layout || null;
+            from_version = body?.from_version != null ? Number(body.from_version) : null;
+            signIn = body?.sign != null ? toBool(body.sign) : null;
+          }
 
-    await env.RECEIPTS_DB
-      .prepare(`DELETE FROM receipt_annual WHERE year=? AND member_id=?`)
-      .bind(year, member_id)
-      .run();
+          const base = from_version != null
+            ? await getTemplateConfig(env, from_version).catch(() => null)
+            : await getTemplateConfig(env);
+          if (from_version != null && !base) return json({ ok: false, error: "template_version_not_found" }, 404);
+          if (!bytes && from_version == null) return json({ ok: false, error: "pdf_required" }, 400);
 
-    const pdf_key = String(row?.pdf_key || "").trim();
-    if (pdf_key) {
-      try { await env.RECEIPTS_BUCKET.delete(pdf_key); } catch {}
-    }
+          const layout = normLayout(layoutIn, base.layout);
+          if (!layout) return json({ ok: false, error: "layout_invalid", fields: TEMPLATE_LAYOUT_FIELDS }, 400);
 
-    deleted_ok++;
-    results.push({ ok:true, member_id, year, deleted_pdf_key: pdf_key || null });
-  }
+          let page_count = 0;
+          try {
+            const doc = await PDFDocument.load(bytes ? bytes.slice(0) : (await loadTemplateBytes(env, base)).slice(0));
+            page_count = doc.getPageCount();
+          } catch (e) {
+            return json({ ok: false, error: "pdf_invalid", detail: String(e?.message || e) }, 400);
+          }
+          if (layout.page >= page_count) return json({ ok: false, error: "layout_page_out_of_range", page_count }, 400);
 
-  return json({ ok:true, deleted_ok, deleted_ng, results }, 200);
-}
+          const sign = signIn ?? base.sign === true;
+          if (sign) {
+            try { await loadPdfSigner(env); }
+            catch (e) { return json({ ok: false, error: "signing_not_configured", detail: String(e?.message || e) }, 409); }
+          }
+
+          const ins = await env.RECEIPTS_DB.prepare(`
+            INSERT INTO receipt_template (version, label, pdf_key, layout, page_count, active, created_by, created_at, sign)
+            SELECT MAX(COALESCE(MAX(version), 0), ?) + 1, ?, ?, ?, ?, 0, ?, datetime('now'), ? FROM receipt_template
+            RETURNING version
+          `).bind(LEGACY_TEMPLATE.version, label, bytes ? "" : base.pdf_key, JSON.stringify(layout), page_count, admin.sub, sign ? 1 : 0).first();
+          const version = Number(ins.version);
+
+          if (bytes) {
+            const pdf_key = `templates/receipt_template_v${version}.pdf`;
+            try {
+              await env.RECEIPTS_BUCKET.put(pdf_key, bytes, { httpMetadata: { contentType: "application/pdf" } });
+            } catch (e) {
+              await env.RECEIPTS_DB.prepare(`DELETE FROM receipt_template WHERE version=?`).bind(version).run();
+              throw e;
+            }
+            await env.RECEIPTS_DB.prepare(`UPDATE receipt_template SET pdf_key=? WHERE version=?`).bind(pdf_key, version).run();
+          }
+
+          return json({ ok: true, template: await getTemplateConfig(env, version) }, 200);
+        }
+
+        // --- templates/layout (座標 / 署名の調整; activate 前の版のみ) ---
+        // body: { version, layout?: { name_x: 160, ... }（部分指定可）, sign?: boolean }
+        if (path === "/api/admin/receipt/templates/layout" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const version = Number(body?.version);
+          const row = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_template WHERE version=?`).bind(version).first();
+          if (!row) return json({ ok: false, error: "template_version_not_found" }, 404);
+          if (row.activated_at) return json({ ok: false, error: "template_locked", hint: "clone via templates/upload with from_version" }, 409);
+
+          const cur = templateFromRow(row);
+          const layout = normLayout(body?.layout, cur.layout);
+          if (!layout) return json({ ok: false, error: "layout_invalid", fields: TEMPLATE_LAYOUT_FIELDS }, 400);
+          if (cur.page_count && layout.page >= cur.page_count) {
+            return json({ ok: false, error: "layout_page_out_of_range", page_count: cur.page_count }, 400);
+          }
+
+          const sign = body?.sign != null ? toBool(body.sign) : cur.sign;
+          if (sign && !cur.sign) {
+            try { await loadPdfSigner(env); }
+            catch (e) { return json({ ok: false, error: "signing_not_configured", detail: String(e?.message || e) }, 409); }
+          }
+
+          await env.RECEIPTS_DB.prepare(`UPDATE receipt_template SET layout=?, sign=? WHERE version=?`)
+            .bind(JSON.stringify(layout), sign ? 1 : 0, version).run();
+          return json({ ok: true, version, layout, sign }, 200);
+        }
+
+        // --- templates/activate ---
+        // body: { version }
+        if (path === "/api/admin/receipt/templates/activate" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const version = Number(body?.version);
+          const row = await env.RECEIPTS_DB.prepare(`SELECT version, pdf_key FROM receipt_template WHERE version=?`).bind(version).first();
+          if (!row) return json({ ok: false, error: "template_version_not_found" }, 404);
+
+          // PDF の無い版を active にすると以降の発行が全部失敗する
+          const obj = row.pdf_key ? await env.RECEIPTS_BUCKET.head(String(row.pdf_key)) : null;
+          if (!obj) return json({ ok: false, error: "template_pdf_missing", pdf_key: row.pdf_key || null }, 409);
+
+          await env.RECEIPTS_DB.batch([
+            env.RECEIPTS_DB.prepare(`UPDATE receipt_template SET active=0 WHERE active=1`),
+            env.RECEIPTS_DB.prepare(`
+              UPDATE receipt_template SET active=1, activated_at=COALESCE(activated_at, datetime('now')) WHERE version=?
+            `).bind(version),
+          ]);
+          _activeTmpl = null;
+
+          return json({ ok: true, active_version: version }, 200);
+        }
+
+        // --- templates/preview (サンプル値で PDF を返す; 保存しない) ---
+        // body: { version?, layout?, name?, year?, amount?, date?, guides?, items?: [{ date, fund, amount }] | number（サンプル件数）, serial?: string | false, receipt_no?: string | false, sign?: boolean（省略時は版の設定） }
+        if (path === "/api/admin/receipt/templates/preview" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+
+          let tmpl;
+          try {
+            tmpl = await getTemplateConfig(env, body?.version != null ? Number(body.version) : undefined);
+          } catch {
+            return json({ ok: false, error: "template_version_not_found" }, 404);
+          }
+          if (body?.layout) {
+            const layout = normLayout(body.layout, tmpl.layout);
+            if (!layout) return json({ ok: false, error: "layout_invalid", fields: TEMPLATE_LAYOUT_FIELDS }, 400);
+            tmpl = { ...tmpl, layout };
+          }
+
+          // 明細表の確認用：配列ならその値、数値ならその件数のサンプル（合計は amount を上書き）
+          const sampleYear = String(body?.year ?? (new Date()).getFullYear() - 1);
+          let items = null;
+          if (Array.isArray(body?.items)) {
+            items = body.items.map((it) => ({
+              date: String(it?.date ?? ""),
+              fund: String(it?.fund ?? ""),
+              amount_cents: parseMoneyToCents(it?.amount) ?? 0,
+            }));
+          } else if (Number(body?.items) > 0) {
+            items = Array.from({ length: Math.min(500, Number(body.items)) }, (_, i) => ({
+              date: `${sampleYear}-${String((i % 12) + 1).padStart(2, "0")}-${String((i % 28) + 1).padStart(2, "0")}`,
+              fund: i % 3 ? "General Fund" : "Building Fund",
+              amount_cents: 2500 + (i % 7) * 1000,
+            }));
+          }
+          const amount = items
+            ? (items.reduce((n, it) => n + it.amount_cents, 0) / 100).toFixed(2)
+            : String(body?.amount ?? "1234.56");
+
+          try {
+            const pdf = await generateReceiptPdf(env, {
+              name: String(body?.name ?? "Sample Member"),
+              year: sampleYear,
+              amount,
+              date: String(body?.date ?? todayISO()),
+              items,
+              itemized: !!items,
+              serial: body?.serial === false ? "" : normReceiptSerial(body?.serial) || newReceiptSerial(),
+              receipt_no: body?.receipt_no === false ? "" : String(body?.receipt_no || `${receiptNoPrefix(env)}-${sampleYear}-000123`),
+            }, { template: tmpl, guides: body?.guides === true, sign: body?.sign != null ? toBool(body.sign) : undefined });
+
+            return new Response(pdf, {
+              status: 200,
+              headers: {
+                "content-type": "application/pdf",
+                "cache-control": "no-store",
+                "content-disposition": `inline; filename="preview_v${tmpl.version}.pdf"`,
+              },
+            });
+          } catch (e) {
+            return json({ ok: false, error: "preview_failed", detail: String(e?.message || e) }, 500);
+          }
+        }
+
+        // --- history (発行履歴) ---
+        // ?member_id=42333&year=2025
+        if (path === "/api/admin/receipt/history" && request.method === "GET") {
+          const member_id = String(url.searchParams.get("member_id") || "").trim();
+          const year = normYear(url.searchParams.get("year"));
+          if (!member_id || !year) return json({ ok: false, error: "member_id_and_year_required" }, 400);
+
+          const rows = await env.RECEIPTS_DB.prepare(`
+            SELECT i.issue_id, i.year, i.member_id, i.seq, i.template_version, i.fields, i.pdf_sha256, i.pdf_key,
+                   i.source, i.job_id, i.issued_by, i.created_at, i.kind, i.supersedes_issue_id, i.reason, i.serial,
+                   (SELECT n.issue_id FROM receipt_issuance n WHERE n.supersedes_issue_id=i.issue_id LIMIT 1) AS superseded_by
+            FROM receipt_issuance i
+            WHERE i.year=? AND i.member_id=?
+            ORDER BY i.seq DESC
+          `).bind(year, member_id).all();
+
+          const current = await env.RECEIPTS_DB
+            .prepare(`SELECT issue_id FROM receipt_annual WHERE year=? AND member_id=?`)
+            .bind(year, member_id)
+            .first();
+
+          const issues = (rows.results || []).map((r) => {
+            let fields = null;
+            try { fields = JSON.parse(r.fields); } catch {}
+            return { ...r, fields, current: !!current && current.issue_id === r.issue_id };
+          });
+
+          return json({ ok: true, member_id, year, issues }, 200);
+        }
+
+        // --- receipt-numbers (領収書番号の監査; 欠番チェック) ---
+        // ?year=2025&status=ACTIVE|VOID&after=<seq_no>&limit=200
+        if (path === "/api/admin/receipt/receipt-numbers" && request.method === "GET") {
+          const year = normYear(url.searchParams.get("year"));
+          if (!year) return json({ ok: false, error: "year_required" }, 400);
+          const status = String(url.searchParams.get("status") || "").trim().toUpperCase();
+          if (status && status !== "ACTIVE" && status !== "VOID") return json({ ok: false, error: "invalid_status" }, 400);
+          const after = clampInt(url.searchParams.get("after"), 0, Number.MAX_SAFE_INTEGER, 0);
+          const limit = clampInt(url.searchParams.get("limit"), 1, 1000, 200);
+
+          const seq = await env.RECEIPTS_DB.prepare(`SELECT last_no FROM receipt_number_seq WHERE year=?`).bind(year).first();
+          const last_no = Number(seq?.last_no || 0);
+          const counts = await env.RECEIPTS_DB.prepare(`
+            SELECT status, COUNT(*) AS n FROM receipt_number WHERE year=? GROUP BY status
+          `).bind(year).all();
+          const byStatus = Object.fromEntries((counts.results || []).map((r) => [String(r.status), Number(r.n || 0)]));
+          const recorded = Object.values(byStatus).reduce((a, b) => a + b, 0);
+
+          // 1..last_no のうち記録の無い番号（設計上は常に空）
+          let gaps = [];
+          if (recorded !== last_no) {
+            const all = await env.RECEIPTS_DB.prepare(`SELECT seq_no FROM receipt_number WHERE year=? ORDER BY seq_no`).bind(year).all();
+            const have = new Set((all.results || []).map((r) => Number(r.seq_no)));
+            for (let n = 1; n <= last_no && gaps.length < 100; n++) if (!have.has(n)) gaps.push(n);
+          }
+
+          const rows = await env.RECEIPTS_DB.prepare(`
+            SELECT receipt_no, seq_no, member_id, status, job_id, assigned_at, voided_at, void_reason, voided_by
+            FROM receipt_number
+            WHERE year=? AND seq_no>?${status ? " AND status=?" : ""}
+            ORDER BY seq_no
+            LIMIT ?
+          `).bind(year, after, ...(status ? [status] : []), limit).all();
+          const items = rows.results || [];
+
+          return json({
+            ok: true,
+            year,
+            last_no,
+            counts: { ACTIVE: byStatus.ACTIVE || 0, VOID: byStatus.VOID || 0 },
+            gap_free: recorded === last_no && !gaps.length,
+            gaps,
+            items,
+            next_after: items.length === limit ? Number(items[items.length - 1].seq_no) : null,
+          }, 200);
+        }
+
+        // --- history/pdf (過去版ダウンロード) ---
+        if (path === "/api/admin/receipt/history/pdf" && request.method === "GET") {
+          const issue_id = String(url.searchParams.get("issue_id") || "").trim();
+          if (!issue_id) return json({ ok: false, error: "issue_id_required" }, 400);
+
+          const rec = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_issuance WHERE issue_id=?`).bind(issue_id).first();
+          if (!rec) return json({ ok: false, error: "issue_not_found" }, 404);
+
+          const obj = await env.RECEIPTS_BUCKET.get(rec.pdf_key);
+          if (!obj) return json({ ok: false, error: "pdf_not_found", key: rec.pdf_key }, 404);
+
+          return new Response(obj.body, {
+            status: 200,
+            headers: {
+              "content-type": "application/pdf",
+              "cache-control": "no-store",
+              "content-disposition": `inline; filename="receipt_${rec.member_id}_${rec.year}_v${rec.seq}.pdf"`,
+              "x-receipt-sha256": rec.pdf_sha256,
+              "x-receipt-template-version": String(rec.template_version ?? ""),
+            },
+          });
+        }
+
+        // --- correct (訂正 / 再発行) ---
+        // body: { member_id, year, amount?: "123.45", name?: "...", reason: "...", kind?: "AMENDED"|"REPLACEMENT", notify?: boolean }
+        if (path === "/api/admin/receipt/correct" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
+          const member_id = String(body?.member_id || "").trim();
+          const year = normYear(body?.year);
+          const reason = String(body?.reason || "").trim();
+          const kind = String(body?.kind || "AMENDED").trim().toUpperCase();
+          if (!member_id || !year) return json({ ok: false, error: "member_id_and_year_required" }, 400);
+          if (!reason) return json({ ok: false, error: "reason_required" }, 400);
+          if (kind !== "AMENDED" && kind !== "REPLACEMENT") return json({ ok: false, error: "invalid_kind" }, 400);
+
+          const row = await env.RECEIPTS_DB
+            .prepare(`SELECT * FROM receipt_annual WHERE year=? AND member_id=?`)
+            .bind(year, member_id)
+            .first();
+          if (!row) return json({ ok: false, error: "row_not_found" }, 404);
+          if (String(row.status || "").toUpperCase() !== "DONE" || !row.issue_id) {
+            return json({ ok: false, error: "not_issued" }, 409);
+          }
+
+          const hasAmount = body?.amount !== undefined && body?.amount !== null && String(body.amount).trim() !== "";
+          const cents = hasAmount ? parseMoneyToCents(body.amount) : Number(row.amount_cents || 0);
+          if (cents === null) return json({ ok: false, error: "invalid_amount" }, 400);
+          const name = String(body?.name ?? "").trim() || String(row.name || "");
+
+          const orig = await env.RECEIPTS_DB
+            .prepare(`SELECT issue_id, seq, created_at, fields FROM receipt_issuance WHERE issue_id=?`)
+            .bind(row.issue_id)
+            .first();
+          if (!orig) return json({ ok: false, error: "issue_not_found" }, 404);
+
+          // 明細は金額が変わらないときだけ引き継ぐ（変わったら合計と合わなくなる）
+          let origFields = {};
+          try { origFields = JSON.parse(orig.fields || "{}"); } catch {}
+          const keepItems = cents === Number(row.amount_cents || 0) && Array.isArray(origFields.items);
+
+          const issued = await issueReceipt(env, {
+            year,
+            member_id,
+            branch: row.branch,
+            name,
+            amount_cents: cents,
+            issue_date: todayISO(),
+            source: "CORRECTION",
+            issued_by: admin.sub,
+            kind,
+            supersedes_issue_id: orig.issue_id,
+            reason,
+            amend_ref: { ref: `${member_id}-${year}-v${orig.seq}`, ref_date: String(row.issue_date || orig.created_at).slice(0, 10) },
+            items: keepItems ? origFields.items : null,
+            itemized: keepItems && origFields.itemized === true,
+          });
+
+          await env.RECEIPTS_DB.prepare(`
+            UPDATE receipt_annual
+            SET name=?, amount_cents=?, issue_date=?, pdf_key=?, issue_id=?, template_version=?, status='DONE', error=NULL
+            WHERE year=? AND member_id=?
+          `).bind(name, cents, todayISO(), issued.pdf_key, issued.issue_id, issued.template_version, year, member_id).run();
+
+          let email = null;
+          if (body?.notify === true) {
+            const d = await deliverReceiptEmail(env, { ...row, name, amount_cents: cents }, { amended: true });
+            email = { status: d.status, to: d.to || null, error: d.error || null };
+          }
+
+          return json({
+            ok: true,
+            member_id,
+            year,
+            kind,
+            issue_id: issued.issue_id,
+            seq: issued.seq,
+            supersedes_issue_id: orig.issue_id,
+            amount_cents: cents,
+            name,
+            email,
+          }, 200);
+        }
+
+        // --- dashboard ---
+        // ?year=2025&branch=LA,NY&status=DONE&email_status=UNSENT&mailed=0&q=smith&min_amount=100&max_amount=5000
+        //  &sort=branch|name|member_id|amount|status|email_status|issue_date&order=asc|desc&limit=200&cursor=...
+        if (path === "/api/admin/receipt/dashboard" && request.method === "GET") {
+          const dq = dashboardQuery(url);
+          if (dq.error) return json({ ok: false, ...dq }, 400);
+          const { year, where, binds, sort, order, keys, limit, after } = dq;
+          const dir = order === "desc" ? "DESC" : "ASC";
 
-// --- bulk-delete-year ---
-// UI Request URL: /api/admin/receipt/bulk-delete-year
+          const rows = await env.RECEIPTS_DB.prepare(`
+            SELECT year, member_id, branch, name, amount_cents, issue_date, pdf_key, status, error, email_status, email_sent_at, mailed_at,
+              ${keys.map((k, i) => `${k} AS _k${i}`).join(", ")}
+            FROM receipt_annual
+            WHERE ${where}${after ? ` AND (${keys.join(", ")}) ${dir === "DESC" ? "<" : ">"} (${keys.map(() => "?").join(", ")})` : ""}
+            ORDER BY ${keys.map((k) => `${k} ${dir}`).join(", ")}
+            LIMIT ?
+          `).bind(...binds, ...(after || []), limit + 1).all();
+
+          const list = rows.results || [];
+          const more = list.length > limit;
+          if (more) list.pop();
+          const last = list[list.length - 1];
+          const next_cursor = more ? b64urlEncodeJson({ s: sort, o: order, k: keys.map((_, i) => last[`_k${i}`]) }) : null;
+          for (const r of list) for (let i = 0; i < keys.length; i++) delete r[`_k${i}`];
+
+          // 集計はページングと関係なく、絞り込み後の全件で
+          const [byBranch, byStatus, byEmail, branchList] = await env.RECEIPTS_DB.batch([
+            env.RECEIPTS_DB.prepare(`
+              SELECT COALESCE(branch,'') AS branch, COUNT(*) AS n, COALESCE(SUM(amount_cents),0) AS cents
+              FROM receipt_annual WHERE ${where} GROUP BY 1 ORDER BY 1
+            `).bind(...binds),
+            env.RECEIPTS_DB.prepare(`
+              SELECT COALESCE(status,'') AS status, COUNT(*) AS n, COALESCE(SUM(amount_cents),0) AS cents
+              FROM receipt_annual WHERE ${where} GROUP BY 1 ORDER BY 1
+            `).bind(...binds),
+            env.RECEIPTS_DB.prepare(`
+              SELECT COALESCE(email_status,'') AS status, COUNT(*) AS n FROM receipt_annual WHERE ${where} GROUP BY 1
+            `).bind(...binds),
+            env.RECEIPTS_DB.prepare(`SELECT DISTINCT COALESCE(branch,'') AS branch FROM receipt_annual WHERE year=? ORDER BY 1`).bind(year),
+          ]);
+
+          const totals = { rows: 0, amount_cents: 0 };
+          const by_branch = (byBranch.results || []).map((r) => {
+            totals.rows += Number(r.n || 0);
+            totals.amount_cents += Number(r.cents || 0);
+            return { branch: String(r.branch), rows: Number(r.n || 0), amount_cents: Number(r.cents || 0) };
+          });
+          const by_status = Object.fromEntries((byStatus.results || []).map((r) => [String(r.status), { rows: Number(r.n || 0), amount_cents: Number(r.cents || 0) }]));
+
+          return json({
+            ok: true,
+            year,
+            sort,
+            order,
+            rows: list,
+            next_cursor,
+            totals,
+            by_branch,
+            by_status,
+            by_email_status: countsByStatus(byEmail.results),
+            branches: (branchList.results || []).map((r) => String(r.branch)),
+          }, 200);
+        }
+
+        // --- reports/branches (年末の支部別集計; 前年比較つき) ---
+        // ?year=2025&format=json|csv|pdf
+        if (path === "/api/admin/receipt/reports/branches" && request.method === "GET") {
+          const year = normYear(url.searchParams.get("year")) ?? (new Date()).getFullYear() - 1;
+          const format = String(url.searchParams.get("format") || "json").trim().toLowerCase();
+          if (!["json", "csv", "pdf"].includes(format)) return json({ ok: false, error: "invalid_format", allowed: ["json", "csv", "pdf"] }, 400);
+
+          const rep = await branchReport(env, year);
+          if (format === "json") return json({ ok: true, ...rep }, 200);
+
+          const filename = `branch_summary_${year}.${format}`;
+          if (format === "csv") {
+            return new Response(branchReportCsv(rep), {
+              status: 200,
+              headers: { "content-type": "text/csv; charset=utf-8", "cache-control": "no-store", "content-disposition": `attachment; filename="${filename}"` },
+            });
+          }
+          try {
+            return new Response(await branchReportPdf(env, rep), {
+              status: 200,
+              headers: { "content-type": "application/pdf", "cache-control": "no-store", "content-disposition": `inline; filename="${filename}"` },
+            });
+          } catch (e) {
+            return json({ ok: false, error: "report_pdf_failed", detail: String(e?.message || e) }, 500);
+          }
+        }
+
+        // --- pdf view (admin) ---
+        if (path === "/api/admin/receipt/pdf" && request.method === "GET") {
+          const member_id = String(url.searchParams.get("member_id") || "").trim();
+          const year = String(url.searchParams.get("year") || "").trim();
+          if (!member_id || !/^\d{4}$/.test(year)) return json({ ok: false, error: "member_id_and_year_required" }, 400);
+
+          const key = `receipts/${member_id}/${year}.pdf`;
+          const obj = await env.RECEIPTS_BUCKET.get(key);
+          if (!obj) return json({ ok: false, error: "pdf_not_found", key }, 404);
+
+          return new Response(obj.body, {
+            status: 200,
+            headers: { "content-type": "application/pdf", "cache-control": "no-store", "content-disposition": "inline" },
+          });
+        }
+        
+        // --- bulk-delete-year ---
 // body: { year: 2025, confirm: "DELETE 2025" }
 if (path === "/api/admin/receipt/bulk-delete-year" && request.method === "POST") {
   const body = await request.json().catch(() => null);
@@ -554,11 +1591,17 @@ if (path === "/api/admin/receipt/bulk-delete-year" && request.method === "POST")
   const required = `DELETE ${year}`;
   if (confirm !== required) return json({ ok:false, error:"typed_confirmation_required", required }, 400);
 
+  // PDF keys
   const rows = await env.RECEIPTS_DB.prepare(`SELECT pdf_key FROM receipt_annual WHERE year=?`).bind(year).all();
   const keys = (rows?.results || []).map(r => String(r.pdf_key || "").trim()).filter(Boolean);
 
-  await env.RECEIPTS_DB.prepare(`DELETE FROM receipt_annual WHERE year=?`).bind(year).run();
+  // DB delete（領収書番号は欠番として VOID に残す）
+  await env.RECEIPTS_DB.batch([
+    env.RECEIPTS_DB.prepare(`DELETE FROM receipt_annual WHERE year=?`).bind(year),
+    voidReceiptNoStmt(env, { year, reason: "bulk_delete_year", by: admin.sub }),
+  ]);
 
+  // R2 delete
   let deleted_pdf = 0;
   for (const k of keys) {
     try { await env.RECEIPTS_BUCKET.delete(k); deleted_pdf++; } catch {}
@@ -566,81 +1609,344 @@ if (path === "/api/admin/receipt/bulk-delete-year" && request.method === "POST")
 
   return json({ ok:true, year, deleted_rows: keys.length, deleted_pdf }, 200);
 }
+        
+        // --- delete-selected (single + multi) ---
+        // body: { selections:[{member_id,year}...] } または { member_id, year }
+        if (path === "/api/admin/receipt/delete-selected" && request.method === "POST") {
+          const body = await request.json().catch(() => null);
 
-        // --- admin fallback ---
-        return json({ ok: false, error: "not_found" }, 404);
-      }
+          let selections =
+            Array.isArray(body?.selections) ? body.selections :
+            Array.isArray(body?.selected) ? body.selected :
+            Array.isArray(body?.items) ? body.items :
+            [];
 
-      return json({ ok: false, error: "not_found" }, 404);
+          if (!selections.length) {
+            const member_id = String(body?.member_id || body?.memberId || "").trim();
+            const year = normYear(body?.year);
+            if (member_id && year) selections = [{ member_id, year }];
+          }
 
-    } catch (e) {
-      return json({ ok: false, error: "server_error", detail: String(e?.stack || e) }, 500);
-    }
-  },
+          if (!selections.length) return json({ ok: false, error: "selections_required" }, 400);
 
-  // =====================================================
-  // Queue consumer
-  // =====================================================
-  async queue(batch, env, ctx) {
-    for (const msg of batch.messages) {
-      try {
-        const body = msg.body || {};
-        const type = String(body.type || "");
-        const job_id = String(body.job_id || "").trim();
-        if (!job_id) { msg.ack(); continue; }
+          let deleted_ok = 0, deleted_ng = 0;
+          const results = [];
 
-        if (type === "parse_csv") {
-          await handleParseCsv(env, job_id);
-          msg.ack();
-          continue;
-        }
-        if (type === "process_rows") {
-          await handleProcessRows(env, job_id);
-          msg.ack();
-          continue;
-        }
+          for (const s of selections) {
+            const member_id = String(s?.member_id || s?.memberId || "").trim();
+            const year = normYear(s?.year);
+            if (!member_id || !year) {
+              deleted_ng++;
+              results.push({ ok: false, member_id, year, error: "member_id_and_year_required" });
+              continue;
+            }
 
-        msg.ack();
-      } catch (e) {
-        // retry (Queues)
-        msg.retry();
-      }
-    }
-  },
-};
+            const row = await env.RECEIPTS_DB
+              .prepare(`SELECT pdf_key FROM receipt_annual WHERE year=? AND member_id=?`)
+              .bind(year, member_id)
+              .first();
 
-/* =========================================================
- * Helpers
- * ========================================================= */
+            await env.RECEIPTS_DB.batch([
+              env.RECEIPTS_DB.prepare(`DELETE FROM receipt_annual WHERE year=? AND member_id=?`).bind(year, member_id),
+              voidReceiptNoStmt(env, { year, member_id, reason: "deleted", by: admin.sub }),
+            ]);
 
-function json(obj, status = 200) {
-  return new Response(JSON.stringify(obj), {
-    status,
-    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
-  });
-}
-function html(body, status = 200) {
-  return new Response(String(body ?? ""), {
-    status,
-    headers: { "content-type": "text/html; charset=utf-8", "cache-control": "no-store" },
-  });
-}
-function cors(allow) {
-  const o = String(allow || "*");
-  return {
-    "access-control-allow-origin": o,
-    "access-control-allow-credentials": "true",
-    "access-control-allow-headers": "content-type",
-    "access-control-allow-methods": "GET,POST,OPTIONS",
-    "vary": "Origin",
-  };
-}
-function jsonC(obj, status, allow) {
-  return new Response(JSON.stringify(obj), {
-    status,
-    headers: { ...cors(allow), "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
-  });
-}
+            const pdf_key = String(row?.pdf_key || "").trim();
+            if (pdf_key) {
+              try { await env.RECEIPTS_BUCKET.delete(pdf_key); } catch {}
+            }
+
+            deleted_ok++;
+            results.push({ ok: true, member_id, year, deleted_pdf_key: pdf_key || null });
+          }
+
+          return json({ ok: true, deleted_ok, deleted_ng, results }, 200);
+        }
+
+        // --- email/send-one ---
+// UI Request URL: /api/admin/receipt/email/send-one
+// body: { member_id: "42333", year: 2025, dry_run?: boolean }
+if (path === "/api/admin/receipt/email/send-one" && request.method === "POST") {
+  const body = await request.json().catch(() => null);
+  const member_id = String(body?.member_id || "").trim();
+  const year = normYear(body?.year);
+  const dry_run = body?.dry_run === true;
+
+  if (!member_id || !year) return json({ ok:false, error:"member_id_and_year_required" }, 400);
+
+  const row = await env.RECEIPTS_DB
+    .prepare(`SELECT year, member_id, name, amount_cents, status, email FROM receipt_annual WHERE year=? AND member_id=?`)
+    .bind(year, member_id)
+    .first();
+
+  if (!row) return json({ ok:false, error:"row_not_found" }, 404);
+  if (String(row.status || "").toUpperCase() !== "DONE") return json({ ok:false, error:"not_done" }, 409);
+
+  const r = await deliverReceiptEmail(env, row, { dry_run });
+
+  if (r.status === "NEEDS_EMAIL") return json({ ok:false, error:"missing_email", member_id, year }, 200);
+  if (r.status === "DRY_RUN") return json({ ok:true, dry_run:true, sent:false, member_id, year, to: r.to }, 200);
+  if (r.status === "SENT") return json({ ok:true, sent:true, member_id, year, to: r.to }, 200);
+  return json({ ok:true, sent:false, member_id, year, to: r.to, warning: r.error }, 200);
+}
+
+// --- email/send-all (Queue) ---
+// body: { year: 2025, branch?: "LA", dry_run?: boolean }
+// 対象: status='DONE' かつ email_status が SENT 以外
+if (path === "/api/admin/receipt/email/send-all" && request.method === "POST") {
+  const body = await request.json().catch(() => null);
+  const year = normYear(body?.year);
+  const branch = String(body?.branch || "").trim();
+  const dry_run = body?.dry_run === true;
+  if (!year) return json({ ok:false, error:"year_required" }, 400);
+
+  let sql = `SELECT member_id FROM receipt_annual WHERE year=? AND status='DONE' AND COALESCE(email_status,'')<>'SENT'`;
+  const binds = [year];
+  if (branch) { sql += ` AND branch=?`; binds.push(branch); }
+  sql += ` ORDER BY branch, name`;
+
+  const found = await env.RECEIPTS_DB.prepare(sql).bind(...binds).all();
+  const targets = (found.results || []).map((r) => String(r.member_id));
+  if (!targets.length) return json({ ok:false, error:"no_targets", year, branch: branch || null }, 404);
+
+  const job_id = await createJob(env, {
+    kind: "EMAIL",
+    year,
+    params: { branch: branch || null, dry_run },
+    member_ids: targets,
+    created_by: admin.sub,
+  });
+
+  await env.IMPORT_Q.send({ type: "email_rows", job_id });
+
+  return json({ ok:true, job_id, year, dry_run, total_rows: targets.length, status:"RUNNING" }, 200);
+}
+
+// --- email/resume, jobs/resume ---
+// body: { job_id, retry_failed?: boolean }
+// 止まった receipt_job（EMAIL / REBUILD / PRINT / EXPORT）を再開（PENDING を流し直す。retry_failed なら FAILED も PENDING に戻す）
+// RUNNING の job は JOB_STALL_MINUTES 以上進んでいない（consumer が落ちた）ときだけ再開できる
+// EXPORT は multipart upload を捨てているので最初から作り直す
+if ((path === "/api/admin/receipt/email/resume" || path === "/api/admin/receipt/jobs/resume") && request.method === "POST") {
+  const body = await request.json().catch(() => null);
+  const job_id = String(body?.job_id || "").trim();
+  if (!job_id) return json({ ok:false, error:"job_id_required" }, 400);
+
+  const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_job WHERE job_id=?`).bind(job_id).first();
+  const kind = String(job?.kind || "");
+  if (!job || !JOB_QUEUE_TYPES[kind] || (path.endsWith("/email/resume") && kind !== "EMAIL")) {
+    return json({ ok:false, error:"job_not_found" }, 404);
+  }
+
+  // 状態の確認と RUNNING への切り替えを 1 文で（resume の同時実行で chain が 2 本にならないように）
+  const prevStatus = String(job.status || "").toUpperCase();
+  const claimed = await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job
+    SET status='RUNNING', last_error=NULL, result=json_set(COALESCE(result,'{}'), '$.throttle_streak', 0), updated_at=datetime('now')
+    WHERE job_id=? AND (status IN ('PAUSED','FAILED','DONE') OR (status='RUNNING' AND updated_at < datetime('now', ?)))
+  `).bind(job_id, `-${JOB_STALL_MINUTES} minutes`).run();
+  if (!Number(claimed?.meta?.changes || 0)) return json({ ok:false, error:"job_running", job_id, status: job.status }, 409);
+
+  if (kind === "EXPORT" && !parseJobRow(job).result?.upload_id) {
+    await env.RECEIPTS_DB.batch([
+      env.RECEIPTS_DB.prepare(`
+        UPDATE receipt_job_row SET status='PENDING', error=NULL, detail=NULL, updated_at=datetime('now') WHERE job_id=?
+      `).bind(job_id),
+      env.RECEIPTS_DB.prepare(`
+        UPDATE receipt_job SET result=NULL, ok_rows=0, ng_rows=0, processed_rows=0 WHERE job_id=?
+      `).bind(job_id),
+    ]);
+  }
+
+  // 処理途中で止まった行: 送信中（SENDING）は届いたか分からないので FAILED（送り直すなら retry_failed で明示）。
+  // それ以外（PROCESSING）はやり直せるので PENDING に戻す
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job_row SET status='PENDING', updated_at=datetime('now')
+    WHERE job_id=? AND status='PROCESSING'
+  `).bind(job_id).run();
+  const lost = await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job_row SET status='FAILED', error='interrupted', updated_at=datetime('now')
+    WHERE job_id=? AND status='SENDING'
+  `).bind(job_id).run();
+  const interrupted = Number(lost?.meta?.changes || 0);
+  if (interrupted) {
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_job SET ng_rows=ng_rows+?, processed_rows=processed_rows+? WHERE job_id=?
+    `).bind(interrupted, interrupted, job_id).run();
+  }
+
+  let reset = 0;
+  if (body?.retry_failed === true) {
+    const res = await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_job_row SET status='PENDING', error=NULL, updated_at=datetime('now')
+      WHERE job_id=? AND status='FAILED'
+    `).bind(job_id).run();
+    reset = Number(res?.meta?.changes || 0);
+
+    // 戻した分は ng / processed から引く（ok/ng を整合させる）
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_job SET ng_rows=MAX(0, ng_rows-?), processed_rows=MAX(0, processed_rows-?) WHERE job_id=?
+    `).bind(reset, reset, job_id).run();
+  }
+
+  const pending = await env.RECEIPTS_DB.prepare(`
+    SELECT COUNT(*) AS n FROM receipt_job_row WHERE job_id=? AND status='PENDING'
+  `).bind(job_id).first();
+  const left = Number(pending?.n || 0);
+  if (!left) {
+    await env.RECEIPTS_DB.prepare(`UPDATE receipt_job SET status=?, updated_at=datetime('now') WHERE job_id=?`)
+      .bind(prevStatus === "RUNNING" ? "DONE" : prevStatus, job_id).run();
+    return json({ ok:false, error:"nothing_to_resume", job_id, interrupted }, 409);
+  }
+
+  await env.IMPORT_Q.send({ type: JOB_QUEUE_TYPES[kind], job_id });
+
+  return json({ ok:true, job_id, pending: left, reset_failed: reset, interrupted, status:"RUNNING" }, 200);
+}
+
+// --- jobs/cancel ---
+// body: { job_id }
+// receipt_job を止める（残りの PENDING は CANCELLED。実行中のバッチはそのまま書き終わる）
+if (path === "/api/admin/receipt/jobs/cancel" && request.method === "POST") {
+  const body = await request.json().catch(() => null);
+  const job_id = String(body?.job_id || "").trim();
+  if (!job_id) return json({ ok:false, error:"job_id_required" }, 400);
+
+  const job = await env.RECEIPTS_DB.prepare(`SELECT kind, status FROM receipt_job WHERE job_id=?`).bind(job_id).first();
+  if (!job || !JOB_QUEUE_TYPES[String(job.kind || "")]) return json({ ok:false, error:"job_not_found" }, 404);
+
+  const res = await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job SET status='CANCELLED', updated_at=datetime('now') WHERE job_id=? AND status IN ('RUNNING','PAUSED','FAILED')
+  `).bind(job_id).run();
+  if (!Number(res?.meta?.changes || 0)) return json({ ok:false, error:"invalid_job_state", status: job.status, expected: "RUNNING|PAUSED|FAILED" }, 409);
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job_row SET status='CANCELLED', updated_at=datetime('now') WHERE job_id=? AND status='PENDING'
+  `).bind(job_id).run();
+
+  // EXPORT の後片付け（multipart upload / carry）は handler がやる。実行中のバッチが書き終わるのを待ってから
+  if (job.kind === "EXPORT") await env.IMPORT_Q.send({ type: "export_rows", job_id }, { delaySeconds: 30 });
+
+  return json({ ok:true, job_id, status:"CANCELLED" }, 200);
+}
+
+        // --- admin fallback ---
+        return json({ ok: false, error: "not_found" }, 404);
+      }
+
+      return json({ ok: false, error: "not_found" }, 404);
+
+    } catch (e) {
+      return json({ ok: false, error: "server_error", detail: String(e?.stack || e) }, 500);
+    }
+  },
+
+  // =====================================================
+  // Queue consumer
+  // =====================================================
+  async queue(batch, env, ctx) {
+    for (const msg of batch.messages) {
+      const body = msg.body || {};
+      const type = String(body.type || "");
+      const job_id = String(body.job_id || "").trim();
+      try {
+        if (!job_id) { msg.ack(); continue; }
+
+        if (type === "parse_csv") {
+          await handleParseCsv(env, job_id);
+          msg.ack();
+          continue;
+        }
+        if (type === "process_rows") {
+          await handleProcessRows(env, job_id);
+          msg.ack();
+          continue;
+        }
+        if (type === "dryrun_rows") {
+          await handleDryRunRows(env, job_id);
+          msg.ack();
+          continue;
+        }
+        if (type === "rollback_rows") {
+          await handleRollbackRows(env, job_id);
+          msg.ack();
+          continue;
+        }
+        if (type === "email_rows") {
+          await handleEmailRows(env, job_id);
+          msg.ack();
+          continue;
+        }
+        if (type === "rebuild_rows") {
+          await handleRebuildRows(env, job_id);
+          msg.ack();
+          continue;
+        }
+        if (type === "export_rows") {
+          await handleExportRows(env, job_id);
+          msg.ack();
+          continue;
+        }
+        if (type === "print_rows") {
+          await handlePrintRows(env, job_id);
+          msg.ack();
+          continue;
+        }
+
+        msg.ack();
+      } catch (e) {
+        // retry (Queues)。最後の回でも落ちたら job を止める（message は捨てられて RUNNING のまま残るので）
+        if (Number(msg.attempts || 1) < QUEUE_MAX_ATTEMPTS) { msg.retry(); continue; }
+        await failQueuedJob(env, type, job_id, e).catch(() => {});
+        msg.ack();
+      }
+    }
+  },
+};
+
+/* =========================================================
+ * Helpers
+ * ========================================================= */
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+function html(body, status = 200) {
+  return new Response(String(body ?? ""), {
+    status,
+    headers: { "content-type": "text/html; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+function cors(allow) {
+  const o = String(allow || "*");
+  return {
+    "access-control-allow-origin": o,
+    "access-control-allow-credentials": "true",
+    "access-control-allow-headers": "content-type",
+    "access-control-allow-methods": "GET,POST,OPTIONS",
+    "vary": "Origin",
+  };
+}
+function jsonC(obj, status, allow) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { ...cors(allow), "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+function jsonCookie(obj, status, allow, cookie) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: {
+      ...cors(allow),
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store",
+      "set-cookie": cookie,
+    },
+  });
+}
 
 function must(v, msg) { if (!v) throw new Error(msg); return v; }
 function escapeHtml(s) {
@@ -675,132 +1981,560 @@ function parseYears(v) {
     .map((s) => s.trim())
     .filter(Boolean);
 }
+function parseListParam(v) {
+  return String(v ?? "").split(",").map((x) => x.trim()).filter(Boolean);
+}
 function todayISO() {
   return new Date().toISOString().slice(0, 10);
 }
 
+/* ===================== OTP / Rate limit ===================== */
+// OTP（receipt_otp）と rate limit のカウンタ（receipt_rate_limit）は D1。
+// 数えるのは UPDATE / UPSERT ... RETURNING の 1 文なので、並行に来ても取りこぼさない（KV の read-modify-write だと抜けられる）
+const OTP_TTL_SEC = 10 * 60;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_SEC = 60;
+const OTP_REQ_PER_EMAIL_PER_HOUR = 5;
+const OTP_REQ_PER_IP_PER_HOUR = 20;
+const OTP_VERIFY_PER_IP_PER_HOUR = 30;
+
+function randomOtp() {
+  // 100000..999999（剰余バイアスは 2^32 に対して無視できる）
+  const u = crypto.getRandomValues(new Uint32Array(1))[0];
+  return String(100000 + (u % 900000));
+}
+// rate limit の IP は CF-Connecting-IP だけ（Cloudflare が付け直すので偽れない。X-Forwarded-For はクライアントが好きに書ける）
+function clientIp(request) {
+  return String(request.headers.get("CF-Connecting-IP") || "unknown").trim();
+}
+
+// 固定ウィンドウのカウンタ。超えた分も数える（ウィンドウが変わるまで通さない）
+async function rateLimitHit(env, key, limit, windowSec) {
+  const now = Date.now();
+  const win = Math.floor(now / (windowSec * 1000));
+  const end = (win + 1) * windowSec * 1000;
+  const row = await env.RECEIPTS_DB.prepare(`
+    INSERT INTO receipt_rate_limit (key, win, n, expires_at) VALUES (?, ?, 1, ?)
+    ON CONFLICT(key, win) DO UPDATE SET n=n+1
+    RETURNING n
+  `).bind(key, win, end).first();
+  const n = Number(row?.n || 0);
+
+  // ウィンドウの最初の 1 回で、終わったウィンドウの行を掃除
+  if (n === 1) await env.RECEIPTS_DB.prepare(`DELETE FROM receipt_rate_limit WHERE expires_at < ?`).bind(now).run();
+
+  if (n > limit) return { ok: false, retry_after: Math.ceil((end - now) / 1000) };
+  return { ok: true, remaining: limit - n };
+}
+
 async function sha256Hex(s) {
-  const bytes = new TextEncoder().encode(String(s ?? ""));
+  return sha256HexBytes(new TextEncoder().encode(String(s ?? "")));
+}
+async function sha256HexBytes(bytes) {
   const digest = await crypto.subtle.digest("SHA-256", bytes);
   return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, "0")).join("");
 }
 
-function makeSession(env, payload) {
-  const secret = must(env.SESSION_SECRET || env.MAGICLINK_SECRET, "Missing SESSION_SECRET");
-  const bodyJson = JSON.stringify({ ...payload, ts: Date.now() });
-  const body = btoa(bodyJson).replaceAll("+", "-").replaceAll("/", "_").replaceAll("=", "");
-  const sig = btoa(`${secret}:${body}`).slice(0, 32).replaceAll("+", "-").replaceAll("/", "_").replaceAll("=", "");
-  return `${body}.${sig}`;
+/**
+ * Member session（receipt_session cookie）
+ * token: "<kid>.<body>.<sig>"
+ * - body: base64url JSON { sid, email, member_id, iat, exp }（iat/exp は ms）
+ * - sig:  HMAC-SHA256(key[kid], "<kid>.<body>")
+ * 鍵: SESSION_KEYS（JSON {kid: secret}）+ SESSION_KID（発行に使う kid）
+ *     無ければ SESSION_SECRET / MAGICLINK_SECRET を kid "0" として使う
+ * 失効: OTP_KV
+ * - sess_revoked:<sid>       … 個別ログアウト
+ * - sess_nbf:<member_id>     … この時刻以前に発行された session は全部無効
+ */
+const SESSION_TTL_SEC = 7 * 86400;
+
+function sessionKeys(env) {
+  let keys = {};
+  try { keys = JSON.parse(env.SESSION_KEYS || "{}") || {}; } catch {}
+  if (!Object.keys(keys).length) {
+    keys = { "0": must(env.SESSION_SECRET || env.MAGICLINK_SECRET, "Missing SESSION_SECRET") };
+  }
+  const kid = String(env.SESSION_KID || Object.keys(keys)[0]);
+  if (!keys[kid]) throw new Error("Missing session key for SESSION_KID");
+  return { kid, keys };
+}
+
+async function makeSession(env, payload) {
+  const { kid, keys } = sessionKeys(env);
+  const now = Date.now();
+  const body = b64urlEncodeJson({ ...payload, sid: crypto.randomUUID(), iat: now, exp: now + SESSION_TTL_SEC * 1000 });
+  const sig = await hmacSha256B64url(keys[kid], `${kid}.${body}`);
+  return `${kid}.${body}.${sig}`;
 }
 function readCookie(cookieHeader, name) {
   const m = String(cookieHeader || "").match(new RegExp("(^|;\\s*)" + name + "=([^;]+)"));
   return m ? m[2] : "";
 }
-function verifySession(env, token) {
-  const secret = must(env.SESSION_SECRET || env.MAGICLINK_SECRET, "Missing SESSION_SECRET");
+async function verifySession(env, token) {
+  const { keys } = sessionKeys(env);
   if (!token) return { ok: false };
   const parts = String(token).split(".");
-  if (parts.length !== 2) return { ok: false };
-  const body = parts[0];
-  const sig = parts[1];
-  const expect = btoa(`${secret}:${body}`).slice(0, 32).replaceAll("+", "-").replaceAll("/", "_").replaceAll("=", "");
-  if (sig !== expect) return { ok: false };
-  try {
-    const b64 = body.replaceAll("-", "+").replaceAll("_", "/");
-    const obj = JSON.parse(atob(b64));
-    return { ok: true, email: obj.email, member_id: obj.member_id };
-  } catch {
-    return { ok: false };
+  if (parts.length !== 3) return { ok: false };
+
+  const [kid, body, sig] = parts;
+  if (!keys[kid]) return { ok: false };
+  const expect = await hmacSha256B64url(keys[kid], `${kid}.${body}`);
+  if (!timingSafeEqualStr(sig, expect)) return { ok: false };
+
+  const obj = b64urlDecodeJson(body);
+  if (!obj || !obj.sid) return { ok: false };
+  if (!(Date.now() < Number(obj.exp || 0))) return { ok: false, expired: true };
+
+  if (await env.OTP_KV.get(`sess_revoked:${obj.sid}`)) return { ok: false, revoked: true };
+  const nbf = Number(await env.OTP_KV.get(`sess_nbf:${obj.member_id}`) || 0);
+  if (nbf && Number(obj.iat || 0) <= nbf) return { ok: false, revoked: true };
+
+  return { ok: true, sid: obj.sid, email: obj.email, member_id: obj.member_id, exp: Number(obj.exp) };
+}
+async function revokeSession(env, s) {
+  const ttl = Math.max(60, Math.ceil((Number(s.exp || 0) - Date.now()) / 1000));
+  await env.OTP_KV.put(`sess_revoked:${s.sid}`, "1", { expirationTtl: ttl });
+}
+async function revokeMemberSessions(env, member_id) {
+  const id = String(member_id || "").trim();
+  if (!id) return;
+  await env.OTP_KV.put(`sess_nbf:${id}`, String(Date.now()), { expirationTtl: SESSION_TTL_SEC });
+}
+function clearSessionCookie() {
+  return `receipt_session=; Path=/; Secure; HttpOnly; SameSite=Lax; Domain=.worlddivinelight.org; Max-Age=0`;
+}
+
+/* ===================== Admin Auth ===================== */
+// 認証は 2 系統：
+// - Cloudflare Access JWT（Cf-Access-Jwt-Assertion）→ ADMIN_ROLES で email → role
+// - Admin token（HS256, ADMIN_TOKEN_SECRET）→ Authorization: Bearer または admin_session cookie
+// ローカルでは .dev.vars に ADMIN_TOKEN_SECRET を置き、signAdminToken で発行して叩く
+
+const ADMIN_ROLES = ["viewer", "operator", "destroyer"];
+
+// "METHOD path" -> 最低 role（ここに無いものは GET=viewer / それ以外=operator）
+const ADMIN_ROUTE_ROLES = {
+  "GET /api/admin/receipt/auth/me": "viewer",
+  "POST /api/admin/receipt/auth/session": "viewer",
+  "POST /api/admin/receipt/auth/logout": "viewer",
+  "GET /api/admin/receipt/import/status": "viewer",
+  "GET /api/admin/receipt/import/rows": "viewer",
+  "GET /api/admin/receipt/import/failed-rows": "viewer",
+  "GET /api/admin/receipt/dashboard": "viewer",
+  "GET /api/admin/receipt/pdf": "viewer",
+  "POST /api/admin/receipt/import/validate": "operator",
+  "POST /api/admin/receipt/import/start": "operator",
+  "GET /api/admin/receipt/import/profiles": "viewer",
+  "POST /api/admin/receipt/import/profiles": "operator",
+  "POST /api/admin/receipt/import/profiles/delete": "operator",
+  "POST /api/admin/receipt/import/dry-run": "operator",
+  "GET /api/admin/receipt/import/dry-run/report": "viewer",
+  "POST /api/admin/receipt/import/pause": "operator",
+  "POST /api/admin/receipt/import/resume": "operator",
+  "POST /api/admin/receipt/import/retry": "operator",
+  "POST /api/admin/receipt/import/cancel": "operator", // rollback=true は destroyer（handler 内で確認）
+  "POST /api/admin/receipt/email/send-one": "operator",
+  "POST /api/admin/receipt/email/send-all": "operator",
+  "POST /api/admin/receipt/email/resume": "operator",
+  "POST /api/admin/receipt/jobs/resume": "operator",
+  "POST /api/admin/receipt/jobs/cancel": "operator",
+  "POST /api/admin/receipt/sessions/revoke": "operator",
+  "POST /api/admin/receipt/rebuild": "operator",
+  "GET /api/admin/receipt/jobs/status": "viewer",
+  "GET /api/admin/receipt/templates": "viewer",
+  "POST /api/admin/receipt/templates/preview": "viewer",
+  "POST /api/admin/receipt/templates/upload": "operator",
+  "POST /api/admin/receipt/templates/layout": "operator",
+  "POST /api/admin/receipt/templates/activate": "operator",
+  "GET /api/admin/receipt/history": "viewer",
+  "GET /api/admin/receipt/history/pdf": "viewer",
+  "GET /api/admin/receipt/receipt-numbers": "viewer",
+  "GET /api/admin/receipt/reports/branches": "viewer",
+  "POST /api/admin/receipt/export/zip": "operator",
+  "GET /api/admin/receipt/export/download": "viewer",
+  "POST /api/admin/receipt/print/batch": "operator",
+  "GET /api/admin/receipt/print/download": "viewer",
+  "POST /api/admin/receipt/print/mark-mailed": "operator",
+  "POST /api/admin/receipt/correct": "operator",
+  "POST /api/admin/receipt/delete-selected": "destroyer",
+  "POST /api/admin/receipt/bulk-delete-year": "destroyer",
+};
+
+function adminRequiredRole(method, path) {
+  const m = String(method || "").toUpperCase();
+  return ADMIN_ROUTE_ROLES[`${m} ${path}`] || (m === "GET" ? "viewer" : "operator");
+}
+function hasAdminRole(role, required) {
+  const have = ADMIN_ROLES.indexOf(String(role || ""));
+  const need = ADMIN_ROLES.indexOf(String(required || ""));
+  return have >= 0 && need >= 0 && have >= need;
+}
+function isAdminHost(env, host) {
+  const hosts = String(env.ADMIN_HOSTS || "admin.mahikari.org")
+    .split(/[,\s]+/)
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return hosts.includes(String(host || "").toLowerCase());
+}
+
+// ADMIN_ROLES（JSON）: { "someone@mahikari.org": "destroyer", "*@mahikari.org": "viewer" }
+function adminRoleFor(env, identity) {
+  const id = String(identity || "").trim().toLowerCase();
+  if (!id) return "";
+  let map = {};
+  try { map = JSON.parse(env.ADMIN_ROLES || "{}") || {}; } catch { return ""; }
+
+  const role = map[id] ?? (id.includes("@") ? map[`*@${id.split("@")[1]}`] : undefined);
+  return ADMIN_ROLES.includes(role) ? role : "";
+}
+
+async function authenticateAdmin(request, env) {
+  // 1) Admin token（Bearer / cookie）
+  const authz = String(request.headers.get("Authorization") || "");
+  const bearer = authz.toLowerCase().startsWith("bearer ") ? authz.slice(7).trim() : "";
+  const token = bearer || readCookie(request.headers.get("Cookie") || "", "admin_session");
+
+  if (token) {
+    const t = await verifyAdminToken(env, token);
+    if (!t.ok) return { ok: false, error: t.error };
+    return { ok: true, sub: t.sub, role: t.role, exp: t.exp, via: bearer ? "bearer" : "session" };
+  }
+
+  // 2) Cloudflare Access
+  const assertion = String(request.headers.get("Cf-Access-Jwt-Assertion") || "").trim();
+  if (assertion) {
+    const a = await verifyAccessJwt(env, assertion);
+    if (!a.ok) return { ok: false, error: a.error };
+
+    const role = adminRoleFor(env, a.email);
+    if (!role) return { ok: false, error: "no_admin_role" };
+    return { ok: true, sub: a.email, role, via: "access" };
   }
+
+  return { ok: false, error: "not_authenticated" };
 }
 
 /**
- * RFC4180-ish CSV parser
- * - supports quoted fields with commas/newlines
- * - supports escaped quotes ("")
- * - returns rows as objects using header row
+ * Admin token（compact JWT, HS256）
+ * claims: { typ:"admin", sub, role, iat, exp }
  */
-function parseCsv(text) {
-  const s = String(text ?? "").replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-  if (!s.trim()) return [];
+export async function signAdminToken(env, { sub, role, ttl_sec = 3600 }) {
+  const secret = must(env.ADMIN_TOKEN_SECRET, "Missing ADMIN_TOKEN_SECRET");
+  if (!ADMIN_ROLES.includes(role)) throw new Error("invalid_role");
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64urlEncodeJson({ alg: "HS256", typ: "JWT" });
+  const payload = b64urlEncodeJson({ typ: "admin", sub: String(sub || ""), role, iat: now, exp: now + Number(ttl_sec) });
+  const sig = await hmacSha256B64url(secret, `${header}.${payload}`);
+  return `${header}.${payload}.${sig}`;
+}
 
-  const rows = [];
-  let row = [];
-  let field = "";
-  let inQuotes = false;
+async function verifyAdminToken(env, token) {
+  if (!env.ADMIN_TOKEN_SECRET) return { ok: false, error: "admin_token_disabled" };
 
-  for (let i = 0; i < s.length; i++) {
-    const c = s[i];
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return { ok: false, error: "token_invalid" };
 
-    if (inQuotes) {
-      if (c === '"') {
-        const next = s[i + 1];
-        if (next === '"') { field += '"'; i++; }
-        else { inQuotes = false; }
-      } else {
-        field += c;
-      }
-      continue;
-    }
+  const [h, p, sig] = parts;
+  const header = b64urlDecodeJson(h);
+  if (!header || header.alg !== "HS256") return { ok: false, error: "token_invalid" };
 
-    if (c === '"') { inQuotes = true; continue; }
-    if (c === ",") { row.push(field); field = ""; continue; }
-    if (c === "\n") { row.push(field); rows.push(row); row = []; field = ""; continue; }
-    field += c;
-  }
-  row.push(field);
-  rows.push(row);
+  const expect = await hmacSha256B64url(env.ADMIN_TOKEN_SECRET, `${h}.${p}`);
+  if (!timingSafeEqualStr(sig, expect)) return { ok: false, error: "token_invalid" };
 
-  const clean = rows.filter((r) => r.some((v) => String(v ?? "").trim() !== ""));
-  if (clean.length < 2) return [];
+  const c = b64urlDecodeJson(p);
+  if (!c || c.typ !== "admin") return { ok: false, error: "token_invalid" };
+  if (!Number.isFinite(Number(c.exp)) || Date.now() / 1000 >= Number(c.exp)) return { ok: false, error: "token_expired" };
+  if (!ADMIN_ROLES.includes(c.role)) return { ok: false, error: "token_invalid" };
 
-  const header = clean[0].map((x) => String(x ?? "").trim());
-  const out = [];
-  for (const cols of clean.slice(1)) {
-    const obj = {};
-    for (let i = 0; i < header.length; i++) {
-      obj[header[i]] = String(cols[i] ?? "").trim();
-    }
-    out.push(obj);
-  }
-  return out;
+  return { ok: true, sub: String(c.sub || ""), role: c.role, exp: Number(c.exp) };
 }
 
-// money -> cents (strong)
-function parseMoneyToCents(v) {
-  const raw = String(v ?? "").trim();
-  if (!raw) return null;
-  const neg = raw.startsWith("(") && raw.endsWith(")");
-  const s0 = neg ? raw.slice(1, -1) : raw;
-  let s = s0.replace(/[\s$¥]/g, "");
-  s = s.replace(/,/g, "");
-  const n = Number(s);
-  if (!Number.isFinite(n)) return null;
-  const cents = Math.round(n * 100);
-  return neg ? -cents : cents;
+/**
+ * Cloudflare Access JWT（RS256）
+ * - CF_ACCESS_TEAM_DOMAIN: "xxxx.cloudflareaccess.com"
+ * - CF_ACCESS_AUD: Application Audience (AUD) Tag
+ */
+let _accessJwks = null; // { at, keys }
+
+async function verifyAccessJwt(env, token) {
+  const team = String(env.CF_ACCESS_TEAM_DOMAIN || "").trim().replace(/^https?:\/\//, "").replace(/\/+$/, "");
+  const aud = String(env.CF_ACCESS_AUD || "").trim();
+  if (!team || !aud) return { ok: false, error: "access_disabled" };
+
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return { ok: false, error: "access_jwt_invalid" };
+
+  const header = b64urlDecodeJson(parts[0]);
+  const c = b64urlDecodeJson(parts[1]);
+  if (!header || !c || header.alg !== "RS256") return { ok: false, error: "access_jwt_invalid" };
+
+  let jwk = await accessJwk(team, header.kid, false);
+  if (!jwk) jwk = await accessJwk(team, header.kid, true); // key rotation
+  if (!jwk) return { ok: false, error: "access_jwt_unknown_key" };
+
+  const key = await crypto.subtle.importKey("jwk", jwk, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["verify"]);
+  const valid = await crypto.subtle.verify(
+    "RSASSA-PKCS1-v1_5",
+    key,
+    b64urlDecodeToBytes(parts[2]),
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!valid) return { ok: false, error: "access_jwt_invalid" };
+
+  const now = Date.now() / 1000;
+  const auds = Array.isArray(c.aud) ? c.aud : [c.aud];
+  if (!auds.includes(aud)) return { ok: false, error: "access_jwt_wrong_aud" };
+  if (c.iss !== `https://${team}`) return { ok: false, error: "access_jwt_wrong_iss" };
+  if (!Number.isFinite(Number(c.exp)) || now >= Number(c.exp)) return { ok: false, error: "access_jwt_expired" };
+  if (c.nbf && now < Number(c.nbf)) return { ok: false, error: "access_jwt_not_yet_valid" };
+
+  // service token は email が無く common_name が入る
+  const email = String(c.email || c.common_name || "").trim().toLowerCase();
+  if (!email) return { ok: false, error: "access_jwt_no_identity" };
+
+  return { ok: true, email };
 }
 
-function fmtName(first, last, email) {
-  const name = [String(first || "").trim(), String(last || "").trim()].filter(Boolean).join(" ").trim();
-  return name || String(email || "").trim() || "(unknown)";
+async function accessJwk(team, kid, refresh) {
+  const fresh = _accessJwks && Date.now() - _accessJwks.at < 10 * 60_000;
+  if (refresh || !fresh) {
+    const res = await fetch(`https://${team}/cdn-cgi/access/certs`);
+    if (!res.ok) return null;
+    const j = await res.json().catch(() => null);
+    _accessJwks = { at: Date.now(), keys: Array.isArray(j?.keys) ? j.keys : [] };
+  }
+  return _accessJwks.keys.find((k) => k.kid === kid) || null;
 }
 
-/* ===================== HubSpot ===================== */
+/* ===================== base64url / HMAC ===================== */
 
-function hsHeaders(env) {
-  const token = must(env.HUBSPOT_ACCESS_TOKEN, "Missing HUBSPOT_ACCESS_TOKEN");
-  return { authorization: `Bearer ${token}`, "content-type": "application/json" };
+function b64urlEncodeBytes(bytes) {
+  let bin = "";
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  for (let i = 0; i < u8.length; i++) bin += String.fromCharCode(u8[i]);
+  return btoa(bin).replaceAll("+", "-").replaceAll("/", "_").replaceAll("=", "");
 }
-async function hubspotGetContactByIdProperty(env, idValue, idProperty, properties = []) {
-  const u = new URL(`https://api.hubapi.com/crm/v3/objects/contacts/${encodeURIComponent(String(idValue))}`);
-  u.searchParams.set("idProperty", String(idProperty));
-  if (properties.length) u.searchParams.set("properties", properties.join(","));
-  return fetch(u.toString(), { headers: hsHeaders(env) });
+function b64urlDecodeToBytes(s) {
+  const b64 = String(s || "").replaceAll("-", "+").replaceAll("_", "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
 }
-async function hubspotGetContactByEmail(env, email, properties = []) {
-  const u = new URL(`https://api.hubapi.com/crm/v3/objects/contacts/${encodeURIComponent(String(email))}`);
-  u.searchParams.set("idProperty", "email");
-  if (properties.length) u.searchParams.set("properties", properties.join(","));
+function b64urlEncodeJson(obj) {
+  return b64urlEncodeBytes(new TextEncoder().encode(JSON.stringify(obj)));
+}
+function b64urlDecodeJson(s) {
+  try { return JSON.parse(new TextDecoder().decode(b64urlDecodeToBytes(s))); } catch { return null; }
+}
+async function hmacSha256B64url(secret, data) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(String(secret)),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(String(data)));
+  return b64urlEncodeBytes(sig);
+}
+function timingSafeEqualStr(a, b) {
+  const x = String(a ?? "");
+  const y = String(b ?? "");
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < Math.max(x.length, y.length); i++) diff |= (x.charCodeAt(i) || 0) ^ (y.charCodeAt(i) || 0);
+  return diff === 0;
+}
+
+/**
+ * RFC4180-ish CSV parser
+ * - supports quoted fields with delimiters/newlines
+ * - supports escaped quotes ("")
+ * - returns header + raw column arrays (元の列順を保ったまま書き戻したいとき用)
+ * - rows の index は importRecords の index（= receipt_import_row.row_index）と一致する
+ */
+function parseCsvTable(text, { delimiter = "," } = {}) {
+  const rows = [];
+  const p = createCsvParser((cols) => {
+    if (cols.some((v) => String(v ?? "").trim() !== "")) rows.push(cols);
+  }, { delimiter });
+  p.push(String(text ?? ""));
+  p.end();
+  if (rows.length < 2) return { header: [], rows: [] };
+
+  return { header: rows[0].map((x) => String(x ?? "").trim()), rows: rows.slice(1) };
+}
+
+// 逐次 CSV パーサ：push(chunk) で渡した分だけ進み、1 レコードごとに onRecord(cols)
+// - chunk の境界で "" / \r\n が割れても OK（状態を持ち越す）
+// - 改行は \r\n / \r / \n どれでも（クォート内は \n に寄せる）
+// - 空行もそのまま渡す（捨てるかは呼び出し側）
+// - npm run check:csv で chunk の切り方を全部試す（scripts/check-csv.mjs）
+export function createCsvParser(onRecord, { delimiter = "," } = {}) {
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let justClosed = false; // 直前が閉じ " → 次も " ならエスケープ
+  let afterCR = false;
+
+  return {
+    push(chunk) {
+      const s = String(chunk ?? "");
+      for (let i = 0; i < s.length; i++) {
+        const c = s[i];
+        if (afterCR) {
+          afterCR = false;
+          if (c === "\n") continue;
+        }
+
+        if (inQuotes) {
+          if (c === '"') { inQuotes = false; justClosed = true; }
+          else if (c === "\r") { field += "\n"; afterCR = true; }
+          else field += c;
+          continue;
+        }
+
+        if (c === '"') {
+          if (justClosed) field += '"';
+          inQuotes = true;
+          justClosed = false;
+          continue;
+        }
+        justClosed = false;
+        if (c === delimiter) { row.push(field); field = ""; continue; }
+        if (c === "\n" || c === "\r") {
+          row.push(field);
+          onRecord(row);
+          row = [];
+          field = "";
+          afterCR = c === "\r";
+          continue;
+        }
+        field += c;
+      }
+    },
+    end() {
+      row.push(field);
+      onRecord(row);
+      row = [];
+      field = "";
+    },
+  };
+}
+
+// ReadableStream<Uint8Array> を decode しながら 1 レコードずつ（全体を文字列にしない）
+async function forEachCsvRecord(stream, onRecord, { encoding = "utf-8", delimiter = "," } = {}) {
+  const p = createCsvParser(onRecord, { delimiter });
+  if (stream) {
+    const reader = stream.pipeThrough(new TextDecoderStream(encoding)).getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      p.push(value);
+    }
+  }
+  p.end();
+}
+
+// import 系のアップロード受け取り（CSV / .xlsx; multipart の file/csv/upload か、body をそのまま）
+async function openCsvUpload(request) {
+  const ct = String(request.headers.get("content-type") || "").toLowerCase();
+  if (ct.includes("multipart/form-data")) {
+    const fd = await request.formData();
+    const f = fd.get("file") || fd.get("csv") || fd.get("upload");
+    if (f && typeof f === "object" && "stream" in f) return { stream: f.stream(), form: fd };
+    return { error: "csv_required" };
+  }
+  return { stream: request.body, form: null };
+}
+// 先頭 n バイトを覗く（読んだ分は返す stream の頭に戻す）
+async function peekStream(stream, n) {
+  if (!stream) return { head: new Uint8Array(0), stream: null };
+  const reader = stream.getReader();
+  const chunks = [];
+  let len = 0;
+  while (len < n) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    len += value.length;
+  }
+  const head = concatBytes(chunks);
+  return {
+    head,
+    stream: new ReadableStream({
+      start(c) { if (head.length) c.enqueue(head); },
+      async pull(c) {
+        const { done, value } = await reader.read();
+        if (done) c.close();
+        else c.enqueue(value);
+      },
+      cancel(reason) { return reader.cancel(reason); },
+    }),
+  };
+}
+
+// query 優先、無ければ multipart のフィールド
+function uploadParam(url, up, name) {
+  const q = url.searchParams.get(name);
+  if (q !== null) return String(q).trim();
+  const f = up?.form?.get(name);
+  return typeof f === "string" ? f.trim() : "";
+}
+async function readCsvUpload(request) {
+  const up = await openCsvUpload(request);
+  if (up.error) return up;
+  const bytes = up.stream ? new Uint8Array(await new Response(up.stream).arrayBuffer()) : new Uint8Array(0);
+  return { bytes, form: up.form };
+}
+
+function csvCell(v, delimiter = ",") {
+  const t = String(v ?? "");
+  return /["\r\n]/.test(t) || t.includes(delimiter) || t !== t.trim() ? `"${t.replaceAll('"', '""')}"` : t;
+}
+// Excel で文字化けしないよう BOM 付き（bom:false は utf-8 以外で返すとき用）
+function toCsv(header, rows, { delimiter = ",", bom = true } = {}) {
+  const line = (r) => r.map((v) => csvCell(v, delimiter)).join(delimiter);
+  const lines = [line(header), ...rows.map(line)];
+  return (bom ? "\uFEFF" : "") + lines.join("\r\n") + "\r\n";
+}
+
+// money -> cents (strong)
+function parseMoneyToCents(v) {
+  const raw = String(v ?? "").trim();
+  if (!raw) return null;
+  const neg = raw.startsWith("(") && raw.endsWith(")");
+  const s0 = neg ? raw.slice(1, -1) : raw;
+  let s = s0.replace(/[\s$¥]/g, "");
+  s = s.replace(/,/g, "");
+  const n = Number(s);
+  if (!Number.isFinite(n)) return null;
+  const cents = Math.round(n * 100);
+  return neg ? -cents : cents;
+}
+
+function fmtName(first, last, email) {
+  const name = [String(first || "").trim(), String(last || "").trim()].filter(Boolean).join(" ").trim();
+  return name || String(email || "").trim() || "(unknown)";
+}
+
+/* ===================== HubSpot ===================== */
+
+function hsHeaders(env) {
+  const token = must(env.HUBSPOT_ACCESS_TOKEN, "Missing HUBSPOT_ACCESS_TOKEN");
+  return { authorization: `Bearer ${token}`, "content-type": "application/json" };
+}
+async function hubspotGetContactByIdProperty(env, idValue, idProperty, properties = []) {
+  const u = new URL(`https://api.hubapi.com/crm/v3/objects/contacts/${encodeURIComponent(String(idValue))}`);
+  u.searchParams.set("idProperty", String(idProperty));
+  if (properties.length) u.searchParams.set("properties", properties.join(","));
+  return fetch(u.toString(), { headers: hsHeaders(env) });
+}
+async function hubspotGetContactByEmail(env, email, properties = []) {
+  const u = new URL(`https://api.hubapi.com/crm/v3/objects/contacts/${encodeURIComponent(String(email))}`);
+  u.searchParams.set("idProperty", "email");
+  if (properties.length) u.searchParams.set("properties", properties.join(","));
   return fetch(u.toString(), { headers: hsHeaders(env) });
 }
 async function hubspotPatchContactByIdProperty(env, idValue, idProperty, properties) {
@@ -813,6 +2547,48 @@ async function hubspotPatchContactByIdProperty(env, idValue, idProperty, propert
   });
 }
 
+// batch/read（最大 100 件）。見つからない id は結果に出てこないだけ（207）
+// 返り値: Map(idValue -> properties)。通信 / 認証エラーは throw（呼び出し側で retry）
+async function hubspotBatchReadByIdProperty(env, idValues, idProperty, properties = []) {
+  const out = new Map();
+  for (let i = 0; i < idValues.length; i += 100) {
+    const inputs = idValues.slice(i, i + 100).map((id) => ({ id: String(id) }));
+    const res = await fetch("https://api.hubapi.com/crm/v3/objects/contacts/batch/read", {
+      method: "POST",
+      headers: hsHeaders(env),
+      body: JSON.stringify({ idProperty: String(idProperty), properties: [...new Set([idProperty, ...properties])], inputs }),
+    });
+    if (!res.ok && res.status !== 207) throw new Error(`hubspot_batch_read_${res.status}`);
+    const data = await res.json().catch(() => ({}));
+    for (const r of data.results || []) {
+      const p = r.properties || {};
+      const id = String(p[idProperty] ?? "").trim();
+      if (id) out.set(id, p);
+    }
+  }
+  return out;
+}
+
+// Webhook v3: base64(HMAC-SHA256(client_secret, method + uri + body + timestamp))
+async function verifyHubspotSignatureV3(env, request, rawBody) {
+  const secret = String(env.HUBSPOT_CLIENT_SECRET || "");
+  const sig = String(request.headers.get("X-HubSpot-Signature-v3") || "");
+  const ts = Number(request.headers.get("X-HubSpot-Request-Timestamp") || 0);
+  if (!secret || !sig || !ts) return false;
+  if (Math.abs(Date.now() - ts) > 5 * 60_000) return false;
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(`${request.method}${request.url}${rawBody}${ts}`));
+  const expect = btoa(String.fromCharCode(...new Uint8Array(mac)));
+  return timingSafeEqualStr(sig, expect);
+}
+
 /* ===================== Resend / Mail ===================== */
 
 async function sendResend(env, { to, subject, html }) {
@@ -829,11 +2605,13 @@ async function sendResend(env, { to, subject, html }) {
 
 // ===================== Receipt Notice Mail =====================
 // 管理画面（個別送信 / 一斉送信 / Queue）共通で使う
-async function sendReceiptNoticeEmail(env, { to, name, year, amount_cents }) {
+async function sendReceiptNoticeEmail(env, { to, name, year, amount_cents, amended = false }) {
   const portal =
     (env.PORTAL_ORIGIN || "https://kamikumite.worlddivinelight.org") + "/receipt/";
 
-  const subject = `Annual Donation Receipt (${year}) – World Divine Light`;
+  const subject = amended
+    ? `Amended Annual Donation Receipt (${year}) – World Divine Light`
+    : `Annual Donation Receipt (${year}) – World Divine Light`;
   const amount = (Number(amount_cents || 0) / 100).toFixed(2);
 
   const html = `
@@ -843,7 +2621,12 @@ async function sendReceiptNoticeEmail(env, { to, name, year, amount_cents }) {
     <p>
       This email is from World Divine Light regarding your Annual Donation Receipt.
     </p>
-
+${amended ? `
+    <p>
+      <b>Your receipt for ${escapeHtml(String(year))} has been corrected.</b>
+      The amended receipt replaces the one previously issued; please use the new receipt for your records.
+    </p>
+` : ""}
     <p>
       Unless otherwise requested, the receipt reflects the total amount of donations
       you made during the calendar year <b>${escapeHtml(String(year))}</b>.
@@ -867,6 +2650,69 @@ async function sendReceiptNoticeEmail(env, { to, name, year, amount_cents }) {
   return await sendResend(env, { to, subject, html });
 }
 
+// 1 行分の送信（email 解決 → 送信 → receipt_annual に SENT / FAILED / NEEDS_EMAIL を記録）
+// return: { status: "SENT"|"FAILED"|"NEEDS_EMAIL"|"DRY_RUN"|"THROTTLED", to?, error? }
+async function deliverReceiptEmail(env, row, { dry_run = false, amended = false } = {}) {
+  const year = Number(row.year);
+  const member_id = String(row.member_id || "").trim();
+  let email = String(row.email || "").trim().toLowerCase();
+
+  // D1に無ければ HubSpot から取得
+  if (!email) {
+    try {
+      const hs = await hubspotGetContactByIdProperty(env, member_id, "member_id", ["email"]);
+      if (hs && hs.ok) {
+        const p = (await hs.json()).properties || {};
+        email = String(p.email || "").trim().toLowerCase();
+      }
+    } catch {}
+  }
+
+  if (!email) {
+    // NEEDS_EMAIL に落とす（後で missing list で直せる）
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_annual
+      SET email_status='NEEDS_EMAIL', email_error='missing_email'
+      WHERE year=? AND member_id=?
+    `).bind(year, member_id).run();
+
+    return { status: "NEEDS_EMAIL" };
+  }
+
+  if (dry_run) return { status: "DRY_RUN", to: email };
+
+  try {
+    await sendReceiptNoticeEmail(env, {
+      to: email,
+      name: row.name || "Member",
+      year,
+      amount_cents: Number(row.amount_cents || 0),
+      amended,
+    });
+
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_annual
+      SET email=?, email_status='SENT', email_error=NULL, email_sent_at=datetime('now')
+      WHERE year=? AND member_id=?
+    `).bind(email, year, member_id).run();
+
+    return { status: "SENT", to: email };
+  } catch (e) {
+    const msg = String(e?.message || e);
+
+    // Resend のレート制限は失敗扱いにしない（呼び出し側で待って再試行）
+    if (msg.startsWith("resend_failed: 429")) return { status: "THROTTLED", to: email, error: msg };
+
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_annual
+      SET email=?, email_status='FAILED', email_error=?
+      WHERE year=? AND member_id=?
+    `).bind(email, msg, year, member_id).run();
+
+    return { status: "FAILED", to: email, error: msg };
+  }
+}
+
 function otpHtml(code) {
   return `<div style="font-family:Arial,sans-serif;line-height:1.6">
     <p>Your verification code is:</p>
@@ -885,36 +2731,39 @@ function fmtUsd(amountStr) {
   return n.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 }
 
+// jp font（あなたの実ファイル名に合わせる）
+async function jpFontBytes(env) {
+  if (!_jpFontCache) {
+    const f = await env.RECEIPTS_BUCKET.get("templates/fonts/NotoSansJP-VariableFont_wght.ttf");
+    if (!f) throw new Error("jp_font_not_found");
+    _jpFontCache = await f.arrayBuffer();
+  }
+  return _jpFontCache;
+}
+
 function drawRight(page, font, size, text, xRight, y) {
   const t = String(text ?? "");
   const w = font.widthOfTextAtSize(t, size);
   page.drawText(t, { x: Number(xRight) - w, y: Number(y), size, font, color: rgb(0, 0, 0) });
 }
 
-async function generateReceiptPdf(env, { name, year, amount, date }) {
-  // 1) template cache
-  if (!_tmplCache) {
-    const t = await env.RECEIPTS_BUCKET.get("templates/receipt_template_v1.pdf");
-    if (!t) throw new Error("template_not_found");
-    _tmplCache = await t.arrayBuffer();
-  }
+async function generateReceiptPdf(env, { name, year, amount, date, amend, items, itemized, serial, receipt_no }, { template, guides = false, sign } = {}) {
+  // 1) template（指定が無ければ active）
+  const tmpl = template || await getTemplateConfig(env);
+  const tmplBytes = await loadTemplateBytes(env, tmpl);
 
-  // 2) jp font cache（あなたの実ファイル名に合わせる）
-  if (!_jpFontCache) {
-    const f = await env.RECEIPTS_BUCKET.get("templates/fonts/NotoSansJP-VariableFont_wght.ttf");
-    if (!f) throw new Error("jp_font_not_found");
-    _jpFontCache = await f.arrayBuffer();
-  }
+  // 2) jp font cache
+  const jpBytes = await jpFontBytes(env);
 
   // 3) pdf load（必ずコピーして渡す）
-  const pdf = await PDFDocument.load(_tmplCache.slice(0));
+  const pdf = await PDFDocument.load(tmplBytes.slice(0));
   pdf.registerFontkit(fontkit);
 
   // 4) fonts
-  const jpFont = await pdf.embedFont(_jpFontCache, { subset: true });
+  const jpFont = await pdf.embedFont(jpBytes, { subset: true });
   const latinFont = await pdf.embedFont(StandardFonts.Helvetica);
 
-  const cfg = await getTemplateConfig(env);
+  const cfg = tmpl.layout;
   const pages = pdf.getPages();
   const pageIndex = Math.max(0, Math.min(Number(cfg.page || 0), pages.length - 1));
   const page = pages[pageIndex];
@@ -935,353 +2784,4036 @@ async function generateReceiptPdf(env, { name, year, amount, date }) {
   drawRight(page, latinFont, size, amtStr, Number(cfg.amount_x), Number(cfg.amount_y));
   drawRight(page, latinFont, size, dStr,   Number(cfg.date_x),   Number(cfg.date_y));
 
+  const boldFont = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  // 7) 訂正版：見出し + 元の発行への参照
+  if (amend && amend.label) {
+    const red = rgb(0.75, 0.05, 0.05);
+    page.drawText(String(amend.label), {
+      x: Number(cfg.amend_x), y: Number(cfg.amend_y),
+      size: size + 4, font: boldFont, color: red,
+    });
+    if (amend.note) {
+      page.drawText(String(amend.note), {
+        x: Number(cfg.amend_x), y: Number(cfg.amend_y) - (size + 2),
+        size: Math.max(7, size - 3), font: latinFont, color: red,
+      });
+    }
+  }
+
+  // 8) 領収書番号（右上）
+  if (receipt_no) {
+    drawRight(page, boldFont, size, `Receipt No. ${receipt_no}`, Number(cfg.receipt_no_x), Number(cfg.receipt_no_y));
+  }
+
+  // 9) 検証用 serial + QR（読むと /api/receipt/verify/{serial}）
+  if (serial) {
+    const vurl = receiptVerifyUrl(env, serial);
+    const small = Math.max(7, size - 3);
+    page.drawText(`Receipt serial: ${serial}`, { x: Number(cfg.serial_x), y: Number(cfg.serial_y), size: small, font: latinFont, color: rgb(0, 0, 0) });
+    page.drawText(`Verify at ${vurl}`, {
+      x: Number(cfg.serial_x), y: Number(cfg.serial_y) - (small + 2),
+      size: 6.5, font: latinFont, color: rgb(0.35, 0.35, 0.35),
+    });
+    drawQr(page, vurl, Number(cfg.qr_x), Number(cfg.qr_y), Number(cfg.qr_size));
+  }
+
+  // 10) 明細表（transactions 取込で itemize 指定時。溢れたら継続ページ）
+  if (itemized && Array.isArray(items) && items.length) {
+    drawItemPages(pdf, pageIndex, { latinFont, boldFont, jpFont }, cfg, { items, amount, name, year, serial, receipt_no });
+  }
+
+  // preview 用：各フィールドの基準点に十字を描く
+  if (guides) {
+    for (const f of ["name", "year", "amount", "date", "amend", "items", "serial", "qr", "receipt_no"]) {
+      const x = Number(cfg[`${f}_x`]), y = Number(cfg[`${f}_y`]);
+      const c = rgb(0.9, 0.1, 0.1);
+      page.drawLine({ start: { x: x - 6, y }, end: { x: x + 6, y }, thickness: 0.5, color: c });
+      page.drawLine({ start: { x, y: y - 6 }, end: { x, y: y + 6 }, thickness: 0.5, color: c });
+      page.drawText(f, { x: x + 3, y: y + 3, size: 6, font: latinFont, color: c });
+    }
+  }
+
+  // 11) 電子署名（テンプレート版の設定。preview は sign で上書きできる）
+  if (sign ?? tmpl.sign) {
+    const signer = await loadPdfSigner(env);
+    addSignaturePlaceholder(pdf, page, {
+      name: String(env.RECEIPT_SIGN_NAME || "World Divine Light"),
+      reason: `Donation receipt ${String(year ?? "")}`.trim(),
+    });
+    return await applyPdfSignature(signer, await pdf.save({ useObjectStreams: false }));
+  }
+
   return await pdf.save();
 }
 
-/* ===================== D1 ===================== */
+// 明細表：Date / Fund / Amount + 合計行
+// - 1 ページ目（領収書のページ）は items_y から items_rows 行まで。続きは直後に継続ページを足す
+// - 継続ページは items_top から items_bottom まで。見出しを繰り返し、全ページに "Page i of n"
+// - 合計行は amount（= amount_cents）を印字。明細の合計と合わなければ発行しない
+function drawItemPages(pdf, pageIndex, { latinFont, boldFont, jpFont }, cfg, { items, amount, name, year, serial, receipt_no }) {
+  const sum = items.reduce((n, it) => n + Number(it.amount_cents || 0), 0);
+  if (sum !== Math.round(Number(amount) * 100)) throw new Error("items_total_mismatch");
+
+  const x = Number(cfg.items_x);
+  const w = Number(cfg.items_w);
+  const size = Number(cfg.items_size);
+  const rowH = size + 5;
+  const grey = rgb(0.45, 0.45, 0.45);
+  const fundX = x + size * 7;
+  const fundW = Math.max(0, w - size * 7 - size * 8);
+  const money = (cents) => fmtUsd((Number(cents || 0) / 100).toFixed(2));
+
+  // ページ割り：各ページ最後の 1 行は合計行 / "Continued" 行の分（合計行だけのページは出来ない）
+  const firstPage = pdf.getPages()[pageIndex];
+  const { width, height } = firstPage.getSize();
+  const contTop = Math.min(Number(cfg.items_top), height - 36);
+  const contHead = contTop - (size + 6) - rowH * 2;
+  const contCap = Math.max(2, Math.floor((contHead - Number(cfg.items_bottom) - 2) / rowH));
+  const chunks = [];
+  let cap = Number(cfg.items_rows);
+  for (let i = 0; i < items.length; cap = contCap) {
+    chunks.push(items.slice(i, i + cap - 1));
+    i += cap - 1;
+  }
 
-async function upsertAnnual(env, row) {
-  const year = row.year;
-  const member_id = row.member_id;
-  await env.RECEIPTS_DB.prepare(`
-    INSERT INTO receipt_annual (year, member_id, branch, name, amount_cents, issue_date, pdf_key, status, error)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    ON CONFLICT(year, member_id) DO UPDATE SET
-      branch=excluded.branch,
-      name=excluded.name,
-      amount_cents=excluded.amount_cents,
-      issue_date=excluded.issue_date,
-      pdf_key=excluded.pdf_key,
-      status=excluded.status,
-      error=excluded.error
-  `).bind(
-    year,
-    member_id,
-    row.branch,
-    row.name,
-    row.amount_cents,
-    row.issue_date,
-    row.pdf_key,
-    row.status,
-    row.error
-  ).run();
+  const pages = chunks.map((_, i) => i === 0 ? firstPage : pdf.insertPage(pageIndex + i, [width, height]));
+  const total = pages.length;
+
+  chunks.forEach((rows, i) => {
+    const page = pages[i];
+    const rule = (yy) => page.drawLine({ start: { x, y: yy }, end: { x: x + w, y: yy }, thickness: 0.5, color: grey });
+    let y = Number(cfg.items_y);
+
+    if (i > 0) {
+      page.drawText("Donation detail (continued)", { x, y: contTop, size: size + 3, font: boldFont });
+      const sub = [String(name ?? ""), String(year ?? ""), receipt_no && `No. ${receipt_no}`, serial && `Serial ${serial}`];
+      page.drawText(sub.filter(Boolean).join("  "), { x, y: contTop - (size + 6), size, font: jpFont });
+      y = contHead;
+    }
+
+    page.drawText("Date", { x, y, size, font: boldFont });
+    page.drawText("Fund", { x: fundX, y, size, font: boldFont });
+    drawRight(page, boldFont, size, "Amount", x + w, y);
+    rule(y - 3);
+
+    for (const it of rows) {
+      y -= rowH;
+      page.drawText(String(it.date || ""), { x, y, size, font: latinFont });
+      page.drawText(fitText(jpFont, size, String(it.fund || ""), fundW), { x: fundX, y, size, font: jpFont });
+      drawRight(page, latinFont, size, money(it.amount_cents), x + w, y);
+    }
+
+    if (i === total - 1) {
+      rule(y - 4);
+      y -= rowH + 2;
+      page.drawText("Total", { x, y, size, font: boldFont });
+      drawRight(page, boldFont, size, fmtUsd(String(amount ?? "")), x + w, y);
+    } else {
+      y -= rowH;
+      drawRight(page, latinFont, size, `Continued on page ${i + 2}`, x + w, y);
+    }
+
+    if (total > 1) {
+      const label = `Page ${i + 1} of ${total}`;
+      const lw = latinFont.widthOfTextAtSize(label, size);
+      page.drawText(label, { x: (width - lw) / 2, y: 30, size, font: latinFont, color: grey });
+    }
+  });
 }
 
-/* ===================== Queues handlers ===================== */
+// 幅に収まるよう末尾を "..." で切る
+function fitText(font, size, text, maxW) {
+  if (font.widthOfTextAtSize(text, size) <= maxW) return text;
+  let t = text;
+  while (t && font.widthOfTextAtSize(`${t}...`, size) > maxW) t = t.slice(0, -1);
+  return t ? `${t}...` : "";
+}
 
-async function handleParseCsv(env, job_id) {
-  const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
-  if (!job) return;
+/* ===================== QR ===================== */
+// 領収書の検証 URL 用の最小 QR エンコーダ（byte モード / 誤り訂正 M / version 1〜10 = 213 byte まで）
+// 参考: ISO/IEC 18004。mask は 8 通り試して減点の一番小さいものを使う
+// npm run check:qr で version 1〜10 の行列を別実装のデコーダで読み戻す（scripts/check-qr.mjs）
 
-  const csv_key = String(job.csv_key || `uploads/${job_id}.csv`);
-  const csvObj = await env.RECEIPTS_BUCKET.get(csv_key);
+const QR_ECC_M = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26]; // version -> 1 ブロックの訂正語数
+const QR_BLOCKS_M = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5]; // version -> ブロック数
+
+function qrRawModules(ver) {
+  let n = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const a = Math.floor(ver / 7) + 2;
+    n -= (25 * a - 10) * a - 55;
+    if (ver >= 7) n -= 36;
+  }
+  return n;
+}
+function qrDataCodewords(ver) {
+  return Math.floor(qrRawModules(ver) / 8) - QR_ECC_M[ver] * QR_BLOCKS_M[ver];
+}
+function qrAlignPositions(ver) {
+  if (ver === 1) return [];
+  const n = Math.floor(ver / 7) + 2;
+  const step = Math.ceil((ver * 4 + 4) / (n * 2 - 2)) * 2;
+  const out = [6];
+  for (let pos = ver * 4 + 10; out.length < n; pos -= step) out.splice(1, 0, pos);
+  return out;
+}
+
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+function rsDivisor(degree) {
+  const out = new Array(degree).fill(0);
+  out[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      out[j] = gfMul(out[j], root);
+      if (j + 1 < degree) out[j] ^= out[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return out;
+}
+function rsRemainder(data, divisor) {
+  const out = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ out.shift();
+    out.push(0);
+    divisor.forEach((c, i) => { out[i] ^= gfMul(c, factor); });
+  }
+  return out;
+}
+
+// text -> boolean[][]（true = 黒; quiet zone は含まない）
+export function qrEncode(text) {
+  const bytes = new TextEncoder().encode(String(text ?? ""));
+  let ver = 1;
+  while (ver <= 10 && 4 + (ver < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(ver) * 8) ver++;
+  if (ver > 10) throw new Error("qr_too_long");
+
+  // 1) data bits（mode 0100 + 文字数 + data + 終端 + pad）
+  const cap = qrDataCodewords(ver) * 8;
+  const bits = [];
+  const put = (v, n) => { for (let i = n - 1; i >= 0; i--) bits.push((v >>> i) & 1); };
+  put(0b0100, 4);
+  put(bytes.length, ver < 10 ? 8 : 16);
+  for (const b of bytes) put(b, 8);
+  put(0, Math.min(4, cap - bits.length));
+  put(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < cap; pad ^= 0xec ^ 0x11) put(pad, 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((n, b) => (n << 1) | b, 0));
+
+  // 2) ブロック分割 + RS 訂正語 + interleave
+  const nBlocks = QR_BLOCKS_M[ver];
+  const eccLen = QR_ECC_M[ver];
+  const raw = Math.floor(qrRawModules(ver) / 8);
+  const nShort = nBlocks - raw % nBlocks;
+  const shortLen = Math.floor(raw / nBlocks);
+  const div = rsDivisor(eccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < nBlocks; i++) {
+    const dat = data.slice(k, k + shortLen - eccLen + (i < nShort ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, div);
+    if (i < nShort) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+  const codewords = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((b, j) => { if (i !== shortLen - eccLen || j >= nShort) codewords.push(b[i]); });
+  }
+
+  // 3) 機能パターン
+  const size = ver * 4 + 17;
+  const mod = Array.from({ length: size }, () => new Array(size).fill(false));
+  const fn = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, v) => { mod[y][x] = v; fn[y][x] = true; };
+
+  for (let i = 0; i < size; i++) { set(6, i, i % 2 === 0); set(i, 6, i % 2 === 0); }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx, y = cy + dy;
+        const d = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, d !== 2 && d !== 4);
+      }
+    }
+  }
+  const al = qrAlignPositions(ver);
+  al.forEach((ay, i) => al.forEach((ax, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === al.length - 1) || (i === al.length - 1 && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  const drawFormat = (mask) => {
+    const d = (0 << 3) | mask; // M = 00
+    let r = d;
+    for (let i = 0; i < 10; i++) r = (r << 1) ^ ((r >>> 9) * 0x537);
+    const b = ((d << 10) | r) ^ 0x5412;
+    const bit = (i) => ((b >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6)); set(8, 8, bit(7)); set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  };
+  drawFormat(0); // 位置の予約（mask 決定後に描き直す）
+
+  if (ver >= 7) {
+    let r = ver;
+    for (let i = 0; i < 12; i++) r = (r << 1) ^ ((r >>> 11) * 0x1f25);
+    const b = (ver << 12) | r;
+    for (let i = 0; i < 18; i++) {
+      const v = ((b >>> i) & 1) === 1;
+      const a = size - 11 + i % 3, c = Math.floor(i / 3);
+      set(a, c, v); set(c, a, v);
+    }
+  }
+
+  // 4) codeword を右下からジグザグに配置
+  let n = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let v = 0; v < size; v++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - v : v;
+        if (!fn[y][x] && n < codewords.length * 8) {
+          mod[y][x] = ((codewords[n >>> 3] >>> (7 - (n & 7))) & 1) === 1;
+          n++;
+        }
+      }
+    }
+  }
+
+  // 5) mask（減点最小）
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+  ];
+  const applyMask = (m) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) if (!fn[y][x] && MASKS[m](x, y)) mod[y][x] = !mod[y][x];
+    }
+  };
+  let best = 0, bestScore = Infinity;
+  for (let m = 0; m < 8; m++) {
+    applyMask(m);
+    drawFormat(m);
+    const s = qrPenalty(mod);
+    if (s < bestScore) { best = m; bestScore = s; }
+    applyMask(m); // XOR なので戻る
+  }
+  applyMask(best);
+  drawFormat(best);
+  return mod;
+}
+
+function qrPenalty(mod) {
+  const size = mod.length;
+  const at = (x, y, col) => col ? mod[x][y] : mod[y][x];
+  let score = 0;
+  for (const col of [false, true]) {
+    for (let y = 0; y < size; y++) {
+      let run = 1;
+      const line = [];
+      for (let x = 0; x < size; x++) {
+        const v = at(x, y, col);
+        line.push(v ? 1 : 0);
+        if (x > 0 && v === at(x - 1, y, col)) {
+          run++;
+          if (run === 5) score += 3;
+          else if (run > 5) score++;
+        } else run = 1;
+      }
+      const s = line.join("");
+      for (const p of ["10111010000", "00001011101"]) {
+        for (let i = s.indexOf(p); i >= 0; i = s.indexOf(p, i + 1)) score += 40;
+      }
+    }
+  }
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (mod[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const v = mod[y][x];
+        if (v === mod[y][x + 1] && v === mod[y + 1][x] && v === mod[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+// PDF に QR を描く（x, y = 左下。quiet zone 4 モジュール分は白で塗る）
+function drawQr(page, text, x, y, sizePt) {
+  const mod = qrEncode(text);
+  const n = mod.length;
+  const cell = sizePt / (n + 8);
+  page.drawRectangle({ x, y, width: sizePt, height: sizePt, color: rgb(1, 1, 1) });
+  for (let r = 0; r < n; r++) {
+    // 横に続く黒は 1 本の矩形にまとめる
+    for (let c = 0; c < n; c++) {
+      if (!mod[r][c]) continue;
+      let e = c;
+      while (e + 1 < n && mod[r][e + 1]) e++;
+      page.drawRectangle({
+        x: x + (c + 4) * cell,
+        y: y + sizePt - (r + 5) * cell,
+        width: (e - c + 1) * cell,
+        height: cell,
+        color: rgb(0, 0, 0),
+      });
+      c = e;
+    }
+  }
+}
+
+/* ===================== PDF signing ===================== */
+// テンプレート版ごとの設定（receipt_template.sign=1）で、発行 PDF に CMS 署名（PAdES B-B / ETSI.CAdES.detached）を付ける
+// secrets:
+// - RECEIPT_SIGN_CERT : PEM。先頭が署名用証明書、続けて中間 CA（任意）
+// - RECEIPT_SIGN_KEY  : PKCS#8 PEM（"BEGIN PRIVATE KEY"。RSA は "BEGIN RSA PRIVATE KEY" も可）。RSA / EC P-256 / P-384
+// ローカル確認用の自己署名証明書:
+//   openssl req -x509 -newkey rsa:2048 -nodes -days 365 -subj "/CN=World Divine Light (test)" -keyout key.pem -out cert.pem
+// npm run check:signing で RSA / EC の自己署名証明書を作って署名し、openssl cms -verify まで通す（scripts/check-pdf-signing.mjs）
+// 手順: 署名欄（/ByteRange と /Contents の placeholder）付きで保存 → 対象範囲の SHA-256 →
+//       SignedData を組み立てて /Contents に hex で埋める（ファイル長は変えない）
+
+const SIG_CONTENTS_BYTES = 16384; // /Contents の予約サイズ（証明書チェーン込みで収まる大きさ）
+const SIG_BYTE_RANGE_PLACEHOLDER = "**********";
+
+const OID = {
+  data: "1.2.840.113549.1.7.1",
+  signedData: "1.2.840.113549.1.7.2",
+  contentType: "1.2.840.113549.1.9.3",
+  messageDigest: "1.2.840.113549.1.9.4",
+  signingCertificateV2: "1.2.840.113549.1.9.16.2.47",
+  sha256: "2.16.840.1.101.3.4.2.1",
+  rsaEncryption: "1.2.840.113549.1.1.1",
+  sha256WithRSA: "1.2.840.113549.1.1.11",
+  ecPublicKey: "1.2.840.10045.2.1",
+  ecdsaWithSHA256: "1.2.840.10045.4.3.2",
+  p256: "1.2.840.10045.3.1.7",
+  p384: "1.3.132.0.34",
+};
+
+// --- DER（必要な分だけ） ---
+function der(tag, ...parts) {
+  const body = concatBytes(parts.map((p) => p instanceof Uint8Array ? p : new Uint8Array(p)));
+  const len = [];
+  for (let v = body.length; v > 0; v = Math.floor(v / 256)) len.unshift(v & 0xff);
+  const head = body.length < 0x80 ? [tag, body.length] : [tag, 0x80 | len.length, ...len];
+  return concatBytes([new Uint8Array(head), body]);
+}
+function derOid(oid) {
+  const ns = oid.split(".").map(Number);
+  const out = [ns[0] * 40 + ns[1]];
+  for (const n of ns.slice(2)) {
+    const b = [n & 0x7f];
+    for (let v = Math.floor(n / 128); v > 0; v = Math.floor(v / 128)) b.unshift(0x80 | (v & 0x7f));
+    out.push(...b);
+  }
+  return der(0x06, out);
+}
+function derInt(bytes) {
+  const b = Array.from(bytes);
+  while (b.length > 1 && b[0] === 0 && b[1] < 0x80) b.shift();
+  if (b[0] >= 0x80) b.unshift(0);
+  return der(0x02, b);
+}
+function derAlg(oid, withNull = true) {
+  return der(0x30, derOid(oid), ...(withNull ? [[0x05, 0x00]] : []));
+}
+// SET OF は中身をエンコード結果の辞書順に並べる（DER）
+function derSetOf(items) {
+  const sorted = [...items].sort((a, b) => {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) if (a[i] !== b[i]) return a[i] - b[i];
+    return a.length - b.length;
+  });
+  return der(0x31, ...sorted);
+}
+
+// TLV を 1 つ読む（位置は bytes 全体での絶対位置）
+function derRead(bytes, pos) {
+  let len = bytes[pos + 1], hdr = 2;
+  if (len & 0x80) {
+    const n = len & 0x7f;
+    len = 0;
+    for (let i = 0; i < n; i++) len = len * 256 + bytes[pos + 2 + i];
+    hdr += n;
+  }
+  return { tag: bytes[pos], start: pos + hdr, end: pos + hdr + len, raw: bytes.subarray(pos, pos + hdr + len) };
+}
+function derChildren(bytes, node) {
+  const out = [];
+  for (let p = node.start; p < node.end;) {
+    const c = derRead(bytes, p);
+    out.push(c);
+    p = c.end;
+  }
+  return out;
+}
+function derOidText(bytes, node) {
+  const b = bytes.subarray(node.start, node.end);
+  const out = [Math.floor(b[0] / 40), b[0] % 40];
+  for (let i = 1, v = 0; i < b.length; i++) {
+    v = v * 128 + (b[i] & 0x7f);
+    if (!(b[i] & 0x80)) { out.push(v); v = 0; }
+  }
+  return out.join(".");
+}
+
+function pemBlocks(pem, label) {
+  const re = new RegExp(`-----BEGIN ${label}-----([\\s\\S]*?)-----END ${label}-----`, "g");
+  return [...String(pem ?? "").matchAll(re)].map((m) => Uint8Array.from(atob(m[1].replace(/\s+/g, "")), (c) => c.charCodeAt(0)));
+}
+
+// 証明書から SignerInfo に要るもの（issuer / serialNumber / 鍵の種類）を取り出す
+function parseCertificate(cert) {
+  const top = derRead(cert, 0);
+  const tbs = derChildren(cert, derChildren(cert, top)[0]);
+  const f = tbs[0].tag === 0xa0 ? tbs.slice(1) : tbs; // [0] version は省略されうる
+  const [serial, , issuer, , , spki] = f;
+  const alg = derChildren(cert, derChildren(cert, spki)[0]);
+  const keyOid = derOidText(cert, alg[0]);
+  const curveOid = alg[1]?.tag === 0x06 ? derOidText(cert, alg[1]) : "";
+  return { der: cert, issuer: issuer.raw, serial: serial.raw, keyOid, curveOid };
+}
+
+let _signerCache = null; // { src, signer }
+
+export async function loadPdfSigner(env) {
+  const certPem = String(env.RECEIPT_SIGN_CERT || "");
+  const keyPem = String(env.RECEIPT_SIGN_KEY || "");
+  if (!certPem || !keyPem) throw new Error("signing_not_configured");
+  const src = `${certPem}\n${keyPem}`;
+  if (_signerCache && _signerCache.src === src) return _signerCache.signer;
+
+  const certs = pemBlocks(certPem, "CERTIFICATE");
+  if (!certs.length) throw new Error("signing_cert_invalid");
+  const cert = parseCertificate(certs[0]);
+
+  let pkcs8 = pemBlocks(keyPem, "PRIVATE KEY")[0];
+  const pkcs1 = pemBlocks(keyPem, "RSA PRIVATE KEY")[0];
+  if (!pkcs8 && pkcs1) pkcs8 = der(0x30, derInt([0]), derAlg(OID.rsaEncryption), der(0x04, pkcs1));
+  if (!pkcs8) throw new Error("signing_key_invalid");
+
+  let algo, sigAlg;
+  if (cert.keyOid === OID.rsaEncryption) {
+    algo = { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" };
+    sigAlg = derAlg(OID.sha256WithRSA);
+  } else if (cert.keyOid === OID.ecPublicKey && (cert.curveOid === OID.p256 || cert.curveOid === OID.p384)) {
+    algo = { name: "ECDSA", namedCurve: cert.curveOid === OID.p256 ? "P-256" : "P-384", hash: "SHA-256" };
+    sigAlg = derAlg(OID.ecdsaWithSHA256, false);
+  } else {
+    throw new Error("signing_key_type_unsupported");
+  }
+
+  let key;
+  try {
+    key = await crypto.subtle.importKey("pkcs8", pkcs8, algo, false, ["sign"]);
+  } catch {
+    throw new Error("signing_key_invalid");
+  }
+
+  const signer = { cert, chain: certs, key, algo, sigAlg, certHash: new Uint8Array(await crypto.subtle.digest("SHA-256", cert.der)) };
+  _signerCache = { src, signer };
+  return signer;
+}
+
+// ECDSA（WebCrypto は r||s）-> DER の SEQUENCE { r, s }
+function ecdsaSigToDer(sig) {
+  const h = sig.length / 2;
+  return der(0x30, derInt(sig.subarray(0, h)), derInt(sig.subarray(h)));
+}
+
+async function buildCmsSignature(signer, digest) {
+  const attrs = [
+    der(0x30, derOid(OID.contentType), derSetOf([derOid(OID.data)])),
+    der(0x30, derOid(OID.messageDigest), derSetOf([der(0x04, digest)])),
+    // ESS signing-certificate-v2（PAdES で必須。hashAlgorithm は既定の SHA-256 なので省略）
+    der(0x30, derOid(OID.signingCertificateV2), derSetOf([der(0x30, der(0x30, der(0x30, der(0x04, signer.certHash))))])),
+  ];
+  const signedAttrs = derSetOf(attrs); // 署名対象は SET (0x31) のエンコード
+
+  let sig = new Uint8Array(await crypto.subtle.sign(signer.algo, signer.key, signedAttrs));
+  if (signer.algo.name === "ECDSA") sig = ecdsaSigToDer(sig);
+
+  const signerInfo = der(0x30,
+    derInt([1]),
+    der(0x30, signer.cert.issuer, signer.cert.serial),
+    derAlg(OID.sha256),
+    concatBytes([new Uint8Array([0xa0]), signedAttrs.subarray(1)]), // [0] IMPLICIT
+    signer.sigAlg,
+    der(0x04, sig),
+  );
+  const signedData = der(0x30,
+    derInt([1]),
+    derSetOf([derAlg(OID.sha256)]),
+    der(0x30, derOid(OID.data)),
+    der(0xa0, ...signer.chain),
+    derSetOf([signerInfo]),
+  );
+  return der(0x30, derOid(OID.signedData), der(0xa0, signedData));
+}
+
+// pdf-lib の文書に不可視の署名欄を足す（保存前に呼ぶ）
+export function addSignaturePlaceholder(pdf, page, { name, reason }) {
+  const ctx = pdf.context;
+  const byteRange = PDFArray.withContext(ctx);
+  byteRange.push(PDFNumber.of(0));
+  for (let i = 0; i < 3; i++) byteRange.push(PDFName.of(SIG_BYTE_RANGE_PLACEHOLDER));
+
+  const sigRef = ctx.register(ctx.obj({
+    Type: "Sig",
+    Filter: "Adobe.PPKLite",
+    SubFilter: "ETSI.CAdES.detached",
+    ByteRange: byteRange,
+    Contents: PDFHexString.of("0".repeat(SIG_CONTENTS_BYTES * 2)),
+    Name: PDFString.of(name),
+    Reason: PDFString.of(reason),
+    M: PDFString.fromDate(new Date()),
+  }));
+  const widgetRef = ctx.register(ctx.obj({
+    Type: "Annot",
+    Subtype: "Widget",
+    FT: "Sig",
+    Rect: [0, 0, 0, 0],
+    V: sigRef,
+    T: PDFString.of(`Signature${Date.now()}`),
+    F: 4,
+    P: page.ref,
+  }));
+
+  const annots = page.node.lookup(PDFName.of("Annots"));
+  if (annots instanceof PDFArray) annots.push(widgetRef);
+  else page.node.set(PDFName.of("Annots"), ctx.obj([widgetRef]));
+
+  // テンプレートに AcroForm があればそこに足す
+  let form = pdf.catalog.lookup(PDFName.of("AcroForm"));
+  if (!(form instanceof PDFDict)) {
+    form = ctx.obj({ Fields: [] });
+    pdf.catalog.set(PDFName.of("AcroForm"), form);
+  }
+  let fields = form.lookup(PDFName.of("Fields"));
+  if (!(fields instanceof PDFArray)) {
+    fields = ctx.obj([]);
+    form.set(PDFName.of("Fields"), fields);
+  }
+  fields.push(widgetRef);
+  form.set(PDFName.of("SigFlags"), PDFNumber.of(3));
+}
+
+// placeholder 付きで保存したバイト列に署名を埋める
+export async function applyPdfSignature(signer, bytes) {
+  const text = new TextDecoder("latin1").decode(bytes);
+  const ph = `<${"0".repeat(SIG_CONTENTS_BYTES * 2)}>`;
+  const cStart = text.lastIndexOf(ph);
+  const brStart = text.lastIndexOf(`/ByteRange [ 0 /${SIG_BYTE_RANGE_PLACEHOLDER}`);
+  if (cStart < 0 || brStart < 0) throw new Error("signature_placeholder_not_found");
+  const brEnd = text.indexOf("]", brStart) + 1;
+
+  const cEnd = cStart + ph.length;
+  const range = [0, cStart, cEnd, bytes.length - cEnd];
+  const brText = `/ByteRange [${range.join(" ")}]`;
+  if (brText.length > brEnd - brStart) throw new Error("signature_byte_range_overflow");
+
+  const out = new Uint8Array(bytes);
+  out.set(new TextEncoder().encode(brText.padEnd(brEnd - brStart, " ")), brStart);
+
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", concatBytes([out.subarray(0, cStart), out.subarray(cEnd)])));
+  const cms = await buildCmsSignature(signer, digest);
+  if (cms.length > SIG_CONTENTS_BYTES) throw new Error("signature_too_large");
+
+  const hex = Array.from(cms, (b) => b.toString(16).padStart(2, "0")).join("").padEnd(SIG_CONTENTS_BYTES * 2, "0");
+  out.set(new TextEncoder().encode(hex), cStart + 1);
+  return out;
+}
+
+/* ===================== Templates ===================== */
+// receipt_template（D1）にバージョンごとの PDF キー（R2）とフィールド座標を持つ
+// - layout は activate されるまで編集可。一度でも activate したら固定（変えるなら clone）
+// - version 1 は旧来の templates/receipt_template_v1.pdf（migrations/0002 で registry に登録。行が無くても使える）
+// - activate は R2 に PDF があることを確かめてから切り替える
+// - sign=1 の版で発行した PDF には電子署名を付ける（PDF signing 参照）
+
+const TEMPLATE_LAYOUT_FIELDS = [
+  "page", "font_size",
+  "name_x", "name_y", "year_x", "year_y", "amount_x", "amount_y", "date_x", "date_y",
+  "amend_x", "amend_y",
+  "items_x", "items_y", "items_w", "items_size", "items_rows", "items_top", "items_bottom",
+  "serial_x", "serial_y", "qr_x", "qr_y", "qr_size",
+  "receipt_no_x", "receipt_no_y",
+];
+
+// v1 テンプレートの座標（registry 未登録時のフォールバック; Letter 612x792pt）
+const DEFAULT_TEMPLATE_LAYOUT = {
+  page: 0, font_size: 12,
+  name_x: 150, name_y: 560,
+  year_x: 520, year_y: 600,
+  amount_x: 520, amount_y: 520,
+  date_x: 520, date_y: 480,
+  amend_x: 50, amend_y: 740, // 訂正 / 再発行の表示（上部余白）
+  items_x: 72, items_y: 440, items_w: 468, items_size: 9, items_rows: 18, // 明細表（itemize 時のみ）
+  items_top: 740, items_bottom: 60, // 明細の継続ページ（見出し位置 / 最終行の下限）
+  serial_x: 50, serial_y: 56, // 検証用 serial（下に verify URL）
+  qr_x: 476, qr_y: 36, qr_size: 86, // 検証 QR（左下基準; quiet zone 込みの一辺）
+  receipt_no_x: 562, receipt_no_y: 740, // 領収書番号（右寄せ）
+};
+
+const LEGACY_TEMPLATE = {
+  version: 1,
+  label: "v1",
+  pdf_key: "templates/receipt_template_v1.pdf",
+  layout: DEFAULT_TEMPLATE_LAYOUT,
+  sign: false,
+};
+
+function normLayout(v, base = DEFAULT_TEMPLATE_LAYOUT) {
+  const src = v && typeof v === "object" ? v : {};
+  const out = {};
+  for (const k of TEMPLATE_LAYOUT_FIELDS) {
+    const n = Number(src[k] ?? base[k]);
+    if (!Number.isFinite(n)) return null;
+    out[k] = n;
+  }
+  if (out.page < 0 || out.font_size <= 0 || out.font_size > 72) return null;
+  if (out.items_w <= 0 || out.items_size <= 0 || out.items_size > 36 || out.items_rows < 2) return null;
+  if (out.items_top - out.items_bottom < (out.items_size + 5) * 4) return null;
+  if (out.qr_size < 36) return null;
+  return out;
+}
+
+function templateFromRow(row) {
+  let layout = null;
+  try { layout = JSON.parse(row.layout || "{}"); } catch {}
+  return {
+    version: Number(row.version),
+    label: row.label || "",
+    pdf_key: String(row.pdf_key || ""),
+    layout: normLayout(layout) || { ...DEFAULT_TEMPLATE_LAYOUT },
+    sign: Number(row.sign || 0) === 1,
+    active: Number(row.active || 0) === 1,
+    page_count: Number(row.page_count || 0) || null,
+    created_by: row.created_by || null,
+    created_at: row.created_at || null,
+    activated_at: row.activated_at || null,
+  };
+}
+
+// version 指定なし = active
+async function getTemplateConfig(env, version) {
+  if (version === undefined || version === null) {
+    if (_activeTmpl && Date.now() - _activeTmpl.at < 60_000) return _activeTmpl.tmpl;
+
+    let row = null;
+    try {
+      row = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_template WHERE active=1 LIMIT 1`).first();
+    } catch {}
+
+    const tmpl = row ? templateFromRow(row) : { ...LEGACY_TEMPLATE, active: true };
+
+    _activeTmpl = { at: Date.now(), tmpl };
+    return tmpl;
+  }
+
+  const row = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_template WHERE version=?`).bind(Number(version)).first();
+  if (row) return templateFromRow(row);
+  if (Number(version) === LEGACY_TEMPLATE.version) return { ...LEGACY_TEMPLATE, active: false };
+  throw new Error("template_version_not_found");
+}
+
+async function loadTemplateBytes(env, tmpl) {
+  const key = String(tmpl.pdf_key || "");
+  if (_tmplCache.has(key)) return _tmplCache.get(key);
+
+  const t = await env.RECEIPTS_BUCKET.get(key);
+  if (!t) throw new Error("template_not_found");
+  const buf = await t.arrayBuffer();
+  _tmplCache.set(key, buf);
+  return buf;
+}
+
+/* ===================== ZIP / XLSX ===================== */
+
+let _crcTable = null;
+
+function crc32(bytes, crc = 0) {
+  if (!_crcTable) {
+    _crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      _crcTable[n] = c >>> 0;
+    }
+  }
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) c = _crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(d) {
+  const time = (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | Math.floor(d.getUTCSeconds() / 2);
+  const date = ((d.getUTCFullYear() - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate();
+  return { time, date };
+}
+
+// 無圧縮（stored）ZIP。PDF は既に圧縮済み、XLSX の XML も小さいのでこれで足りる
+// files: [{ name, data: Uint8Array | string }]
+function zipStore(files, now = new Date()) {
+  const enc = new TextEncoder();
+  const dt = dosDateTime(now);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = enc.encode(String(f.name));
+    const data = typeof f.data === "string" ? enc.encode(f.data) : new Uint8Array(f.data);
+    const { local, central } = zipEntryHeaders(name, crc32(data), data.length, offset, dt);
+    locals.push(local, data);
+    centrals.push(central);
+    offset += local.length + data.length;
+  }
+
+  const cdSize = centrals.reduce((n, b) => n + b.length, 0);
+  return concatBytes([...locals, ...centrals, zipEndRecord(files.length, cdSize, offset)]);
+}
+
+// 1 エントリ分の local header / central directory header（name は UTF-8 bytes）
+// export のように少しずつ書くときも同じものを使う
+function zipEntryHeaders(name, crc, size, offset, { time, date }) {
+  const lh = new DataView(new ArrayBuffer(30));
+  lh.setUint32(0, 0x04034b50, true);
+  lh.setUint16(4, 20, true);
+  lh.setUint16(6, 0x0800, true); // UTF-8 names
+  lh.setUint16(8, 0, true);
+  lh.setUint16(10, time, true);
+  lh.setUint16(12, date, true);
+  lh.setUint32(14, crc, true);
+  lh.setUint32(18, size, true);
+  lh.setUint32(22, size, true);
+  lh.setUint16(26, name.length, true);
+  lh.setUint16(28, 0, true);
+
+  const ch = new DataView(new ArrayBuffer(46));
+  ch.setUint32(0, 0x02014b50, true);
+  ch.setUint16(4, 20, true);
+  ch.setUint16(6, 20, true);
+  ch.setUint16(8, 0x0800, true);
+  ch.setUint16(10, 0, true);
+  ch.setUint16(12, time, true);
+  ch.setUint16(14, date, true);
+  ch.setUint32(16, crc, true);
+  ch.setUint32(20, size, true);
+  ch.setUint32(24, size, true);
+  ch.setUint16(28, name.length, true);
+  ch.setUint32(42, offset, true);
+
+  return {
+    local: concatBytes([new Uint8Array(lh.buffer), name]),
+    central: concatBytes([new Uint8Array(ch.buffer), name]),
+  };
+}
+
+function zipEndRecord(count, cdSize, cdOffset) {
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, count, true);
+  end.setUint16(10, count, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, cdOffset, true);
+  return new Uint8Array(end.buffer);
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0));
+  let o = 0;
+  for (const b of parts) { out.set(b, o); o += b.length; }
+  return out;
+}
+
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+}
+function xlsxColName(i) {
+  let n = i + 1, out = "";
+  while (n > 0) { const m = (n - 1) % 26; out = String.fromCharCode(65 + m) + out; n = Math.floor((n - 1) / 26); }
+  return out;
+}
+
+// 1 シートの XLSX（全セル inline string = 元の文字列のまま）
+export function xlsxFromRows(sheetName, header, rows) {
+  const all = [header, ...rows];
+  const sheetRows = all.map((r, ri) =>
+    `<row r="${ri + 1}">` +
+    r.map((v, ci) => `<c r="${xlsxColName(ci)}${ri + 1}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`).join("") +
+    `</row>`
+  ).join("");
+
+  const name = xmlEscape(String(sheetName || "Sheet1").slice(0, 31));
+  return zipStore([
+    { name: "[Content_Types].xml", data:
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+      `<Default Extension="xml" ContentType="application/xml"/>` +
+      `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+      `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+      `</Types>` },
+    { name: "_rels/.rels", data:
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+      `</Relationships>` },
+    { name: "xl/workbook.xml", data:
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+      `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>` },
+    { name: "xl/_rels/workbook.xml.rels", data:
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `</Relationships>` },
+    { name: "xl/worksheets/sheet1.xml", data:
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>` },
+  ]);
+}
+
+// ---- 読み込み側（import の .xlsx 用）----
+
+function isZipBytes(bytes) {
+  const b = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  return b.length >= 4 && b[0] === 0x50 && b[1] === 0x4b && b[2] === 0x03 && b[3] === 0x04;
+}
+
+// central directory を読む -> Map(name -> { method, offset, csize })（ZIP64 は非対応）
+function zipEntries(bytes) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (dv.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("zip_invalid");
+
+  const count = dv.getUint16(eocd + 10, true);
+  let p = dv.getUint32(eocd + 16, true);
+  if (p === 0xffffffff) throw new Error("zip64_unsupported");
+
+  const dec = new TextDecoder();
+  const out = new Map();
+  for (let n = 0; n < count; n++) {
+    if (dv.getUint32(p, true) !== 0x02014b50) throw new Error("zip_invalid");
+    const method = dv.getUint16(p + 10, true);
+    const csize = dv.getUint32(p + 20, true);
+    const nameLen = dv.getUint16(p + 28, true);
+    const extraLen = dv.getUint16(p + 30, true);
+    const commentLen = dv.getUint16(p + 32, true);
+    const offset = dv.getUint32(p + 42, true);
+    const name = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    out.set(name, { method, offset, csize });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return out;
+}
+
+// entry の中身（stored / deflate のみ）。deflate は DecompressionStream で
+async function zipRead(bytes, entry) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const lh = entry.offset;
+  if (dv.getUint32(lh, true) !== 0x04034b50) throw new Error("zip_invalid");
+  const start = lh + 30 + dv.getUint16(lh + 26, true) + dv.getUint16(lh + 28, true);
+  const data = bytes.subarray(start, start + entry.csize);
+
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error(`zip_method_unsupported:${entry.method}`);
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function xmlUnescape(s) {
+  return String(s ?? "").replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, e) => {
+    const k = e.toLowerCase();
+    if (k[0] === "#") return String.fromCodePoint(k[1] === "x" ? parseInt(k.slice(2), 16) : parseInt(k.slice(1), 10));
+    return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[k];
+  });
+}
+function xmlAttr(attrs, name) {
+  const m = String(attrs).match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return m ? xmlUnescape(m[1]) : null;
+}
+// <si> / <is> の中の <t> を全部つなぐ（rich text の run も。ふりがな <rPh> は除く）
+function xmlRunText(inner) {
+  const body = String(inner).replace(/<rPh\b[\s\S]*?<\/rPh>/g, "");
+  let out = "";
+  for (const m of body.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) out += m[1];
+  return xmlUnescape(out);
+}
+function xlsxColIndex(ref) {
+  const m = String(ref || "").match(/^([A-Z]+)/);
+  if (!m) return -1;
+  let n = 0;
+  for (const ch of m[1]) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// .xlsx の 1 シートを行配列で返す（空行は詰める。シート上の行番号は row_nos に records と同じ並びで）
+// - sheet: シート名 or 1 始まりの番号（省略時は先頭）
+// - 数値セルは number のまま（amount の小数点を profile.decimal で読み替えないため）、文字列は string
+// - 日付書式は見ない（year は数値 2025 で入っている前提）
+// - npm run check:xlsx で xlsxFromRows との往復（stored / deflate の ZIP）を確かめる（scripts/check-xlsx.mjs）
+export async function xlsxReadRecords(bytes, sheet = "") {
+  const b = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let entries;
+  try { entries = zipEntries(b); } catch { return { error: "xlsx_invalid" }; }
+  const read = async (name) => {
+    const e = entries.get(name);
+    return e ? new TextDecoder().decode(await zipRead(b, e)) : null;
+  };
+
+  const wb = await read("xl/workbook.xml");
+  if (wb === null) return { error: "xlsx_invalid" };
+  const rels = (await read("xl/_rels/workbook.xml.rels")) || "";
+
+  const targets = {};
+  for (const m of rels.matchAll(/<Relationship\b([^>]*?)\/?>/g)) {
+    const id = xmlAttr(m[1], "Id");
+    const t = xmlAttr(m[1], "Target");
+    if (id && t) targets[id] = t.startsWith("/") ? t.slice(1) : `xl/${t}`;
+  }
+  const sheets = [];
+  for (const m of wb.matchAll(/<sheet\b([^>]*?)\/?>/g)) {
+    sheets.push({ name: xmlAttr(m[1], "name") || "", path: targets[xmlAttr(m[1], "r:id")] || null });
+  }
+  if (!sheets.length) return { error: "xlsx_invalid" };
+
+  const want = String(sheet ?? "").trim();
+  const names = sheets.map((x) => x.name);
+  const pick = !want
+    ? sheets[0]
+    : sheets.find((x) => x.name === want) || (/^\d+$/.test(want) ? sheets[Number(want) - 1] : null);
+  if (!pick || !pick.path) return { error: "sheet_not_found", sheet: want, sheets: names };
+
+  const sst = [];
+  const sstXml = await read("xl/sharedStrings.xml");
+  if (sstXml) for (const m of sstXml.matchAll(/<si>([\s\S]*?)<\/si>/g)) sst.push(xmlRunText(m[1]));
+
+  const xml = await read(pick.path);
+  if (xml === null) return { error: "xlsx_invalid" };
+
+  const records = [];
+  const row_nos = [];
+  let rowNo = 0;
+  for (const rm of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    rowNo = Number(xmlAttr(rm[1], "r")) || rowNo + 1; // r は省略可（省略時は前の行の次）
+    const cols = [];
+    let next = 0;
+    for (const cm of String(rm[2] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = xmlAttr(cm[1], "r");
+      const ci = ref ? xlsxColIndex(ref) : next;
+      next = ci + 1;
+      const t = xmlAttr(cm[1], "t") || "n";
+      const inner = cm[2] || "";
+      const v = inner.match(/<v>([\s\S]*?)<\/v>/);
+      const raw = v ? xmlUnescape(v[1]) : "";
+
+      let val = "";
+      if (t === "s") val = sst[Number(raw)] ?? "";
+      else if (t === "inlineStr") val = xmlRunText((inner.match(/<is>([\s\S]*?)<\/is>/) || [])[1] || "");
+      else if (t === "b") val = raw === "1" ? "TRUE" : "FALSE";
+      else if (t === "n") val = raw === "" ? "" : Number(raw);
+      else val = raw; // str（数式の結果）/ e（#N/A 等）
+
+      while (cols.length < ci) cols.push("");
+      cols[ci] = val;
+    }
+    if (cols.some((x) => String(x ?? "").trim() !== "")) {
+      records.push(cols);
+      row_nos.push(rowNo);
+    }
+  }
+
+  return { records, row_nos, sheet: pick.name, sheets: names };
+}
+
+/* ===================== Issuance ===================== */
+// 発行した PDF は全部残す（receipt_issuance は追記のみ; UPDATE / DELETE しない）
+// - 履歴: receipt-history/{member_id}/{year}/{issue_id}.pdf（古い発行は v{seq}.pdf。場所は receipt_issuance.pdf_key）
+// - 現行: receipts/{member_id}/{year}.pdf（member / admin のダウンロード先。毎回上書き）
+// - 順番は 履歴 PDF -> receipt_issuance -> 現行 PDF。記録は履歴 PDF が保存できてから入れる
+
+// - kind: ORIGINAL / AMENDED / REPLACEMENT（訂正版は amend_ref = { ref, ref_date } を PDF に印字）
+// - items: 寄付明細（fields に残る。rebuild はここから引き継ぐ）
+// - supersedes_issue_id: 置き換える前の発行（一覧ではそちらが superseded になる）
+// - serial: 発行ごとに新しく振る検証用番号（PDF に QR と一緒に印字; /api/receipt/verify/{serial}）
+// - receipt_no: (year, member_id) の領収書番号。初回に採番し、訂正・再発行では同じ番号を使う
+async function issueReceipt(env, {
+  year, member_id, branch, name, amount_cents, issue_date, source, job_id, issued_by,
+  kind = "ORIGINAL", supersedes_issue_id = null, reason = null, amend_ref = null,
+  items = null, itemized = false,
+}) {
+  const template = await getTemplateConfig(env);
+  const { receipt_no, assigned } = await ensureReceiptNo(env, { year, member_id, job_id });
+  let inserted = false; // receipt_issuance に入った後の失敗は「発行済み」（番号は serial と一緒に生きている）
+  try {
+    const fields = {
+      name: String(name ?? ""),
+      year: String(year),
+      amount: (Number(amount_cents || 0) / 100).toFixed(2),
+      date: String(issue_date || todayISO()),
+      serial: newReceiptSerial(),
+      receipt_no,
+    };
+    // 明細（transactions 取込）：[{ date, fund, amount_cents }]。itemized なら PDF に表を描く
+    if (Array.isArray(items) && items.length) {
+      fields.items = items;
+      fields.itemized = itemized === true;
+    }
+    if (kind !== "ORIGINAL") {
+      fields.amend = {
+        label: kind === "REPLACEMENT" ? "REPLACEMENT RECEIPT" : "AMENDED RECEIPT",
+        note: `This receipt replaces receipt ${amend_ref?.ref} issued ${amend_ref?.ref_date}.`,
+        ref: amend_ref?.ref,
+        ref_date: amend_ref?.ref_date,
+      };
+    }
+
+    // ✅ generateReceiptPdf が期待する形に合わせる（amount_centsではなく amount文字列）
+    const pdf = await generateReceiptPdf(env, fields, { template });
+    const pdf_sha256 = await sha256HexBytes(pdf);
+    const issue_id = crypto.randomUUID();
+    const history_key = `receipt-history/${member_id}/${year}/${issue_id}.pdf`;
+
+    // 履歴 PDF が置けなければ「発行していない」ので記録も入れない（throw）
+    const meta = {
+      issue_id, sha256: pdf_sha256, template_version: String(template.version),
+      serial: fields.serial, signed: template.sign ? "1" : "0",
+    };
+    await env.RECEIPTS_BUCKET.put(history_key, pdf, { httpMetadata: { contentType: "application/pdf" }, customMetadata: meta });
+
+    let ins;
+    try {
+      ins = await env.RECEIPTS_DB.prepare(`
+        INSERT INTO receipt_issuance
+          (issue_id, year, member_id, seq, template_version, fields, pdf_sha256, pdf_key, source, job_id, issued_by, created_at,
+           kind, supersedes_issue_id, reason, serial)
+        SELECT ?, ?, ?, COALESCE(MAX(seq), 0) + 1, ?, ?, ?, ?,
+               ?, ?, ?, datetime('now'),
+               ?, ?, ?, ?
+        FROM receipt_issuance WHERE year=? AND member_id=?
+        RETURNING seq
+      `).bind(
+        issue_id, year, member_id, template.version,
+        JSON.stringify({ ...fields, amount_cents: Number(amount_cents || 0), branch: String(branch ?? "") }),
+        pdf_sha256, history_key,
+        source, job_id ?? null, issued_by ?? null,
+        kind, supersedes_issue_id, reason, fields.serial,
+        year, member_id
+      ).first();
+    } catch (e) {
+      // 記録の無い履歴 PDF は残さない
+      try { await env.RECEIPTS_BUCKET.delete(history_key); } catch {}
+      throw e;
+    }
+    inserted = true;
+
+    const pdf_key = `receipts/${member_id}/${year}.pdf`;
+    await env.RECEIPTS_BUCKET.put(pdf_key, pdf, {
+      httpMetadata: { contentType: "application/pdf" },
+      customMetadata: { ...meta, seq: String(ins.seq) },
+    });
+
+    return {
+      issue_id, seq: Number(ins.seq), pdf_key, history_key, pdf_sha256,
+      template_version: template.version, serial: fields.serial, receipt_no, pdf,
+    };
+  } catch (e) {
+    // 初めて振った番号で発行記録まで行けなかったら VOID で残す（receipt_annual の無い ACTIVE 番号を作らない）
+    // 記録の後（現行 PDF の put）で落ちたときは番号も発行も有効なまま。再実行で同じ番号を使う
+    if (assigned && !inserted) {
+      await voidReceiptNoStmt(env, { year, member_id, reason: `issue_failed:${String(e?.message || e)}`.slice(0, 200) }).run().catch(() => {});
+    }
+    throw e;
+  }
+}
+
+/* ===================== Receipt numbers ===================== */
+// 会計用の領収書番号 WDL-2025-000123（年ごとの連番・欠番なし）
+// - receipt_number_seq.last_no を進めるのと receipt_number への記録は同じ batch（= 1 トランザクション）
+//   なので、途中で落ちても番号だけ進むことはない
+// - 削除・取消した番号は再利用せず status='VOID' で残す（void_reason / voided_by / voided_at）
+//   PDF に印字するので採番は発行の前。receipt_issuance に記録する前に失敗したら void_reason='issue_failed:*' で VOID
+// - (year, member_id) で ACTIVE は 1 つだけ（部分 UNIQUE index）
+function receiptNoPrefix(env) {
+  return String(env.RECEIPT_NO_PREFIX || "WDL").trim() || "WDL";
+}
+
+// -> { receipt_no, assigned }（assigned: この呼び出しで新しく振った）
+async function ensureReceiptNo(env, { year, member_id, job_id }) {
+  const find = env.RECEIPTS_DB
+    .prepare(`SELECT receipt_no FROM receipt_number WHERE year=? AND member_id=? AND status='ACTIVE'`)
+    .bind(year, String(member_id));
+  const cur = await find.first();
+  if (cur) return { receipt_no: String(cur.receipt_no), assigned: false };
+
+  try {
+    await env.RECEIPTS_DB.batch([
+      env.RECEIPTS_DB.prepare(`
+        INSERT INTO receipt_number_seq (year, last_no) VALUES (?, 1)
+        ON CONFLICT(year) DO UPDATE SET last_no=last_no + 1
+      `).bind(year),
+      env.RECEIPTS_DB.prepare(`
+        INSERT INTO receipt_number (receipt_no, year, seq_no, member_id, status, job_id, assigned_at)
+        SELECT ? || '-' || year || '-' || printf('%06d', last_no), year, last_no, ?, 'ACTIVE', ?, datetime('now')
+        FROM receipt_number_seq WHERE year=?
+      `).bind(receiptNoPrefix(env), String(member_id), job_id ?? null, year),
+    ]);
+  } catch (e) {
+    // 同じ member を並行で採番した側は UNIQUE で落ちる（batch ごと巻き戻るので番号は飛ばない）
+    const again = await find.first();
+    if (again) return { receipt_no: String(again.receipt_no), assigned: false };
+    throw e;
+  }
+
+  const row = await find.first();
+  if (!row) throw new Error("receipt_no_assign_failed");
+  return { receipt_no: String(row.receipt_no), assigned: true };
+}
+
+// receipt_annual の行を消す DELETE と同じ batch に入れる用
+function voidReceiptNoStmt(env, { year, member_id, reason, by }) {
+  const one = member_id !== undefined && member_id !== null;
+  return env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_number SET status='VOID', void_reason=?, voided_by=?, voided_at=datetime('now')
+    WHERE year=? AND status='ACTIVE'${one ? " AND member_id=?" : ""}
+  `).bind(String(reason || ""), by ?? null, year, ...(one ? [String(member_id)] : []));
+}
+
+/* ===================== Receipt verify ===================== */
+// 公開の真正性確認（税理士などが QR から開く）。serial は推測できない乱数なので列挙されない
+// - 返すのは年 / 金額 / 発行日 / 伏せ字の名前だけ（member_id・email・branch は出さない）
+// - 現行かどうかは receipt_annual.issue_id と突き合わせる
+const VERIFY_PER_IP_PER_HOUR = 120;
+const SERIAL_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ"; // Crockford base32（I L O U なし）
+
+function newReceiptSerial() {
+  const b = crypto.getRandomValues(new Uint8Array(12));
+  const s = Array.from(b, (x) => SERIAL_ALPHABET[x & 31]).join("");
+  return `${s.slice(0, 4)}-${s.slice(4, 8)}-${s.slice(8)}`;
+}
+
+// 手入力の揺れ（小文字 / ハイフン無し / O と 0、I・L と 1）を吸収
+function normReceiptSerial(v) {
+  const s = String(v ?? "").toUpperCase().replace(/[^0-9A-Z]/g, "").replace(/O/g, "0").replace(/[IL]/g, "1");
+  if (s.length !== 12 || [...s].some((c) => !SERIAL_ALPHABET.includes(c))) return "";
+  return `${s.slice(0, 4)}-${s.slice(4, 8)}-${s.slice(8)}`;
+}
+
+function receiptVerifyUrl(env, serial) {
+  const base = String(env.RECEIPT_VERIFY_ORIGIN || "https://api.kamikumite.worlddivinelight.org").replace(/\/+$/, "");
+  return `${base}/api/receipt/verify/${encodeURIComponent(serial)}`;
+}
+
+// "Taro Yamada" -> "T*** Y*****" / "山田 太郎" -> "山* 太*"
+function maskName(name) {
+  return String(name ?? "").trim().split(/\s+/).filter(Boolean).map((w) => {
+    const cs = Array.from(w);
+    return cs[0] + "*".repeat(Math.max(1, cs.length - 1));
+  }).join(" ");
+}
+
+// status: CURRENT（有効）/ SUPERSEDED（訂正・再発行で置き換え済み）/ VOID（取消・削除）
+async function verifyReceiptSerial(env, serial) {
+  const iss = await env.RECEIPTS_DB.prepare(`
+    SELECT i.issue_id, i.year, i.member_id, i.fields, i.kind, i.created_at,
+           (SELECT n.created_at FROM receipt_issuance n WHERE n.supersedes_issue_id=i.issue_id ORDER BY n.seq LIMIT 1) AS superseded_at
+    FROM receipt_issuance i WHERE i.serial=?
+  `).bind(serial).first();
+  if (!iss) return null;
+
+  let f = {};
+  try { f = JSON.parse(iss.fields || "{}"); } catch {}
+  const cur = await env.RECEIPTS_DB
+    .prepare(`SELECT issue_id, amount_cents FROM receipt_annual WHERE year=? AND member_id=?`)
+    .bind(iss.year, iss.member_id)
+    .first();
+
+  const current = !!cur && cur.issue_id === iss.issue_id && Number(cur.amount_cents) === Number(f.amount_cents);
+  const status = current ? "CURRENT" : iss.superseded_at ? "SUPERSEDED" : "VOID";
+  return {
+    serial,
+    valid: current,
+    status,
+    kind: iss.kind || "ORIGINAL",
+    year: Number(iss.year),
+    receipt_no: f.receipt_no || null,
+    amount: String(f.amount ?? ""),
+    currency: "USD",
+    issue_date: String(f.date || String(iss.created_at || "").slice(0, 10)),
+    name_masked: maskName(f.name),
+    superseded_at: status === "SUPERSEDED" ? iss.superseded_at : null,
+  };
+}
+
+function verifyPageHtml(v) {
+  const label = !v ? "Receipt not found" : v.valid ? "Valid receipt" : v.status === "SUPERSEDED" ? "Superseded receipt" : "Void receipt";
+  const color = v?.valid ? "#1a7f37" : "#b42318";
+  const rows = v ? [
+    ["Serial", v.serial], ["Receipt No.", v.receipt_no || "-"], ["Status", v.status], ["Tax year", v.year],
+    ["Amount", `$${fmtUsd(v.amount)}`], ["Issue date", v.issue_date], ["Donor", v.name_masked],
+  ] : [];
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(label)} — World Divine Light</title>
+<style>body{font-family:system-ui,sans-serif;max-width:480px;margin:40px auto;padding:0 16px;color:#222}
+h1{font-size:20px;color:${color}}table{border-collapse:collapse;width:100%}td{padding:6px 4px;border-bottom:1px solid #eee}
+td:first-child{color:#666;width:40%}p{color:#666;font-size:13px}</style></head><body>
+<h1>${escapeHtml(label)}</h1>
+${v ? `<table>${rows.map(([k, x]) => `<tr><td>${escapeHtml(k)}</td><td>${escapeHtml(x)}</td></tr>`).join("")}</table>` : ""}
+<p>${v?.status === "SUPERSEDED" ? "A corrected receipt was issued for this donor and year. Ask the donor for the latest receipt." : "Donation receipt issued by World Divine Light."}</p>
+</body></html>`;
+}
+
+/* ===================== D1 ===================== */
+
+// 表は migrations/（wrangler d1 migrations apply）
+
+// receipt_job + receipt_job_row（member 単位の非同期ジョブ共通）
+async function createJob(env, { kind, year, params, member_ids, created_by }) {
+  const job_id = crypto.randomUUID();
+
+  await env.RECEIPTS_DB.prepare(`
+    INSERT INTO receipt_job
+      (job_id, kind, year, params, total_rows, processed_rows, ok_rows, ng_rows, next_index, status, created_by, created_at, updated_at)
+    VALUES
+      (?, ?, ?, ?, ?, 0, 0, 0, 0, 'RUNNING', ?, datetime('now'), datetime('now'))
+  `).bind(job_id, kind, year ?? null, JSON.stringify(params || {}), member_ids.length, created_by || null).run();
+
+  const CHUNK = 200;
+  for (let base = 0; base < member_ids.length; base += CHUNK) {
+    const stmts = member_ids.slice(base, base + CHUNK).map((member_id, i) =>
+      env.RECEIPTS_DB.prepare(`
+        INSERT INTO receipt_job_row(job_id,row_index,member_id,year,status,updated_at)
+        VALUES(?,?,?,?, 'PENDING', datetime('now'))
+      `).bind(job_id, base + i, member_id, year ?? null)
+    );
+    await env.RECEIPTS_DB.batch(stmts);
+  }
+
+  return job_id;
+}
+
+async function nextJobRows(env, job_id, limit) {
+  const res = await env.RECEIPTS_DB.prepare(`
+    SELECT * FROM receipt_job_row
+    WHERE job_id=? AND status='PENDING'
+    ORDER BY row_index
+    LIMIT ?
+  `).bind(job_id, limit).all();
+  return res.results || [];
+}
+
+// PENDING を status（メールは SENDING、作り直し / 印刷は PROCESSING）にして取る（1 文なので 2 本の consumer が同じ行を取ることはない）
+async function claimJobRows(env, job_id, limit, status = "SENDING") {
+  const res = await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job_row
+    SET status=?, updated_at=datetime('now')
+    WHERE job_id=? AND status='PENDING' AND row_index IN (
+      SELECT row_index FROM receipt_job_row WHERE job_id=? AND status='PENDING' ORDER BY row_index LIMIT ?
+    )
+    RETURNING *
+  `).bind(status, job_id, job_id, limit).all();
+  return (res.results || []).sort((a, b) => Number(a.row_index) - Number(b.row_index));
+}
+
+// 取ったが処理しなかった行を PENDING に戻す（status のままの行だけ。結果を書いた行は触らない）
+async function releaseJobRows(env, job_id, rows, status = "SENDING") {
+  if (!rows.length) return;
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job_row SET status='PENDING', updated_at=datetime('now')
+    WHERE job_id=? AND status=? AND row_index IN (${rows.map(() => "?").join(",")})
+  `).bind(job_id, status, ...rows.map((r) => r.row_index)).run();
+}
+
+// 残りの行（PENDING と、他の consumer が取って処理中の SENDING / PROCESSING）
+async function jobRowsLeft(env, job_id) {
+  const c = await env.RECEIPTS_DB.prepare(`
+    SELECT COALESCE(SUM(status='PENDING'),0) AS pending, COALESCE(SUM(status IN ('SENDING','PROCESSING')),0) AS claimed
+    FROM receipt_job_row WHERE job_id=?
+  `).bind(job_id).first();
+  return { pending: Number(c?.pending || 0), claimed: Number(c?.claimed || 0) };
+}
+
+async function setJobRow(env, job_id, row_index, status, error) {
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job_row
+    SET status=?, error=?, updated_at=datetime('now')
+    WHERE job_id=? AND row_index=?
+  `).bind(status, error ?? null, job_id, row_index).run();
+}
+
+// receipt_job.kind -> Queue の message type（jobs/resume で流し直す先）
+const JOB_QUEUE_TYPES = { EMAIL: "email_rows", REBUILD: "rebuild_rows", PRINT: "print_rows", EXPORT: "export_rows" };
+// RUNNING のまま updated_at がこれ以上動かない job は consumer が落ちたとみなす（jobs/resume 可）
+const JOB_STALL_MINUTES = 10;
+// wrangler.toml の max_retries + 1。最後の回でも落ちたら job を FAILED / ERROR にする
+const QUEUE_MAX_ATTEMPTS = 4;
+
+// Queue の retry を使い切った job を止める（import は ERROR、receipt_job は FAILED。last_error='queue_failed:*'）
+async function failQueuedJob(env, type, job_id, e) {
+  const error = `queue_failed:${String(e?.message || e)}`.slice(0, 200);
+  if (type === "export_rows") return failExportJob(env, job_id, error);
+  if (["parse_csv", "process_rows", "dryrun_rows", "rollback_rows"].includes(type)) {
+    // rollback は CANCELLED のまま（cancel rollback=true でやり直せる）。エラーだけ残す
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_import_job
+      SET status=CASE WHEN status='RUNNING' THEN 'ERROR' ELSE status END, last_error=?, updated_at=datetime('now')
+      WHERE job_id=?
+    `).bind(error, job_id).run();
+    return;
+  }
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job SET status='FAILED', last_error=?, updated_at=datetime('now') WHERE job_id=? AND status='RUNNING'
+  `).bind(error, job_id).run();
+}
+
+// 進捗を足し込み、PENDING が残っていれば自分で次を enqueue（自走）
+async function advanceJob(env, job_id, msgType, { ok, ng, processed }) {
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job
+    SET ok_rows=ok_rows+?,
+        ng_rows=ng_rows+?,
+        processed_rows=processed_rows+?,
+        updated_at=datetime('now')
+    WHERE job_id=?
+  `).bind(ok, ng, processed, job_id).run();
+
+  const left = await jobRowsLeft(env, job_id);
+  if (left.pending > 0) {
+    await env.IMPORT_Q.send({ type: msgType, job_id });
+    return false;
+  }
+  // 他の consumer がまだ行を持っている（resume で chain が 2 本になった等）。閉じるのはそちら
+  if (left.claimed > 0) return false;
+
+  // cancel / 失敗で止まった job を DONE で上書きしない
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job SET status='DONE', updated_at=datetime('now') WHERE job_id=? AND status='RUNNING'
+  `).bind(job_id).run();
+  return true;
+}
+
+function parseJobRow(job) {
+  if (!job) return job;
+  const out = { ...job };
+  for (const k of ["params", "result"]) {
+    try { out[k] = job[k] ? JSON.parse(job[k]) : null; } catch {}
+  }
+  return out;
+}
+function countsByStatus(results) {
+  const out = {};
+  for (const r of results || []) out[String(r.status || "")] = Number(r.n || 0);
+  return out;
+}
+
+async function upsertAnnual(env, row) {
+  const year = row.year;
+  const member_id = row.member_id;
+  await env.RECEIPTS_DB.prepare(`
+    INSERT INTO receipt_annual (year, member_id, branch, name, amount_cents, issue_date, pdf_key, status, error, issue_id, template_version, last_job_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(year, member_id) DO UPDATE SET
+      branch=excluded.branch,
+      name=excluded.name,
+      amount_cents=excluded.amount_cents,
+      issue_date=excluded.issue_date,
+      pdf_key=excluded.pdf_key,
+      status=excluded.status,
+      error=excluded.error,
+      issue_id=excluded.issue_id,
+      template_version=excluded.template_version,
+      last_job_id=excluded.last_job_id
+  `).bind(
+    year,
+    member_id,
+    row.branch,
+    row.name,
+    row.amount_cents,
+    row.issue_date,
+    row.pdf_key,
+    row.status,
+    row.error,
+    row.issue_id ?? null,
+    row.template_version ?? null,
+    row.last_job_id ?? null
+  ).run();
+}
+
+/* ===================== Dashboard ===================== */
+
+// sort=... -> 並び順の式（最後は必ず member_id で一意にする；NULL は行値比較が効かないので COALESCE）
+const DASHBOARD_SORTS = {
+  branch: ["COALESCE(branch,'')", "COALESCE(name,'')", "member_id"],
+  name: ["COALESCE(name,'')", "member_id"],
+  member_id: ["member_id"],
+  amount: ["COALESCE(amount_cents,0)", "member_id"],
+  status: ["COALESCE(status,'')", "COALESCE(branch,'')", "COALESCE(name,'')", "member_id"],
+  email_status: ["COALESCE(email_status,'')", "COALESCE(branch,'')", "COALESCE(name,'')", "member_id"],
+  issue_date: ["COALESCE(issue_date,'')", "member_id"],
+};
+
+// dashboard のクエリ文字列 -> { year, where, binds, sort, order, keys, limit, after } | { error }
+// email_status は UNSENT（SENT 以外）/ NONE（未送信で記録なし）も使える
+// cursor は前ページ最後の行の並び順キー（sort/order が変わったら無効）
+function dashboardQuery(url) {
+  const q = url.searchParams;
+  const year = normYear(q.get("year")) ?? (new Date()).getFullYear() - 1;
+  let where = `year=?`;
+  const binds = [year];
+
+  const branches = parseListParam(q.get("branch"));
+  if (branches.length) { where += ` AND COALESCE(branch,'') IN (${branches.map(() => "?").join(",")})`; binds.push(...branches); }
+
+  const statuses = parseListParam(q.get("status")).map((x) => x.toUpperCase());
+  if (statuses.length) { where += ` AND status IN (${statuses.map(() => "?").join(",")})`; binds.push(...statuses); }
+
+  const emails = parseListParam(q.get("email_status")).map((x) => x.toUpperCase());
+  if (emails.length) {
+    const ors = [];
+    const plain = emails.filter((x) => x !== "UNSENT" && x !== "NONE");
+    if (plain.length) { ors.push(`email_status IN (${plain.map(() => "?").join(",")})`); binds.push(...plain); }
+    if (emails.includes("UNSENT")) ors.push(`COALESCE(email_status,'')<>'SENT'`);
+    if (emails.includes("NONE")) ors.push(`COALESCE(email_status,'')=''`);
+    where += ` AND (${ors.join(" OR ")})`;
+  }
+
+  const mailed = String(q.get("mailed") || "").trim();
+  if (mailed) where += toBool(mailed) ? ` AND mailed_at IS NOT NULL` : ` AND mailed_at IS NULL`;
+
+  const search = String(q.get("q") || "").trim();
+  if (search) {
+    const like = `%${search.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+    where += ` AND (member_id=? OR member_id LIKE ? ESCAPE '\\' OR name LIKE ? ESCAPE '\\')`;
+    binds.push(search, like, like);
+  }
+
+  for (const [k, op] of [["min_amount", ">="], ["max_amount", "<="]]) {
+    const v = q.get(k);
+    if (v == null || String(v).trim() === "") continue;
+    const cents = parseMoneyToCents(v);
+    if (cents === null) return { error: "invalid_amount", param: k };
+    where += ` AND COALESCE(amount_cents,0)${op}?`;
+    binds.push(cents);
+  }
+
+  const sort = String(q.get("sort") || "branch").trim();
+  const keys = DASHBOARD_SORTS[sort];
+  if (!keys) return { error: "invalid_sort", allowed: Object.keys(DASHBOARD_SORTS) };
+  const order = String(q.get("order") || "asc").trim().toLowerCase();
+  if (order !== "asc" && order !== "desc") return { error: "invalid_order" };
+  const limit = clampInt(q.get("limit"), 1, 1000, 200);
+
+  let after = null;
+  const cursor = String(q.get("cursor") || "").trim();
+  if (cursor) {
+    const c = b64urlDecodeJson(cursor);
+    if (!c || c.s !== sort || c.o !== order || !Array.isArray(c.k) || c.k.length !== keys.length) return { error: "invalid_cursor" };
+    after = c.k;
+  }
+
+  return { year, where, binds, sort, order, keys, limit, after };
+}
+
+/* ===================== Reports ===================== */
+
+// 年末の支部別集計（receipt_annual を branch ごとに；前年と比較）
+// amount_cents は全行（ERROR 含む）、issued_amount_cents は発行済み（DONE）だけ
+const BRANCH_REPORT_FIELDS = ["members", "amount_cents", "issued", "issued_amount_cents", "emailed", "needs_email", "email_failed", "errors"];
+
+async function branchReport(env, year) {
+  const prior_year = year - 1;
+  const rows = await env.RECEIPTS_DB.prepare(`
+    SELECT year, COALESCE(branch,'') AS branch,
+      COUNT(*) AS members,
+      COALESCE(SUM(amount_cents),0) AS amount_cents,
+      COALESCE(SUM(status='DONE'),0) AS issued,
+      COALESCE(SUM(CASE WHEN status='DONE' THEN amount_cents ELSE 0 END),0) AS issued_amount_cents,
+      COALESCE(SUM(email_status='SENT'),0) AS emailed,
+      COALESCE(SUM(email_status='NEEDS_EMAIL'),0) AS needs_email,
+      COALESCE(SUM(email_status='FAILED'),0) AS email_failed,
+      COALESCE(SUM(status='ERROR'),0) AS errors
+    FROM receipt_annual
+    WHERE year IN (?, ?)
+    GROUP BY year, COALESCE(branch,'')
+  `).bind(year, prior_year).all();
+
+  const empty = () => Object.fromEntries(BRANCH_REPORT_FIELDS.map((k) => [k, 0]));
+  const cur = new Map(), prior = new Map();
+  for (const r of rows.results || []) {
+    const v = empty();
+    for (const k of BRANCH_REPORT_FIELDS) v[k] = Number(r[k] || 0);
+    (Number(r.year) === year ? cur : prior).set(String(r.branch), v);
+  }
+
+  // 前年だけにある支部も 0 件で出す
+  const line = (branch, c, p) => ({
+    branch,
+    ...c,
+    prior_members: p.members,
+    prior_amount_cents: p.amount_cents,
+    amount_change_cents: c.amount_cents - p.amount_cents,
+    amount_change_pct: p.amount_cents ? Math.round((c.amount_cents - p.amount_cents) * 1000 / p.amount_cents) / 10 : null,
+  });
+  const names = [...new Set([...cur.keys(), ...prior.keys()])].sort();
+  const branches = names.map((b) => line(b, cur.get(b) || empty(), prior.get(b) || empty()));
+
+  const sum = (m) => {
+    const t = empty();
+    for (const v of m.values()) for (const k of BRANCH_REPORT_FIELDS) t[k] += v[k];
+    return t;
+  };
+  const totals = line("", sum(cur), sum(prior));
+  delete totals.branch;
+
+  return { year, prior_year, generated_at: new Date().toISOString(), branches, totals };
+}
+
+function branchReportCsv(rep) {
+  const money = (c) => (Number(c || 0) / 100).toFixed(2);
+  const header = [
+    "branch", "members", "total_amount", "receipts_issued", "issued_amount", "emails_sent", "needs_email", "email_failed", "errors",
+    `members_${rep.prior_year}`, `total_amount_${rep.prior_year}`, "amount_change", "amount_change_pct",
+  ];
+  const row = (b, r) => [
+    b, r.members, money(r.amount_cents), r.issued, money(r.issued_amount_cents), r.emailed, r.needs_email, r.email_failed, r.errors,
+    r.prior_members, money(r.prior_amount_cents), money(r.amount_change_cents), r.amount_change_pct ?? "",
+  ];
+  return toCsv(header, [...rep.branches.map((r) => row(r.branch, r)), row("TOTAL", rep.totals)]);
+}
+
+// A4 ではなく Letter 横（列が多いので）。行が溢れたらページを足す
+async function branchReportPdf(env, rep) {
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+  const jpFont = await pdf.embedFont(await jpFontBytes(env), { subset: true });
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const grey = rgb(0.45, 0.45, 0.45);
+  const W = 792, H = 612, M = 40, size = 9, rowH = 16;
+  const money = (c) => fmtUsd((Number(c || 0) / 100).toFixed(2));
+  const pct = (v) => v == null ? "-" : `${v > 0 ? "+" : ""}${v.toFixed(1)}%`;
+
+  // [見出し, 右端 x, 値]（branch だけ左寄せ）
+  const cols = [
+    ["Members", 250, (r) => String(r.members)],
+    ["Total", 330, (r) => money(r.amount_cents)],
+    ["Issued", 380, (r) => String(r.issued)],
+    ["Emailed", 430, (r) => String(r.emailed)],
+    ["Needs email", 490, (r) => String(r.needs_email)],
+    ["Email failed", 552, (r) => String(r.email_failed)],
+    ["Errors", 592, (r) => String(r.errors)],
+    [`Total ${rep.prior_year}`, 672, (r) => money(r.prior_amount_cents)],
+    ["Change", W - M, (r) => pct(r.amount_change_pct)],
+  ];
+
+  const perPage = Math.floor((H - M - 110) / rowH);
+  const chunks = [];
+  for (let i = 0; i < rep.branches.length || !chunks.length; i += perPage) chunks.push(rep.branches.slice(i, i + perPage));
+
+  chunks.forEach((list, pi) => {
+    const page = pdf.addPage([W, H]);
+    let y = H - M - 4;
+    page.drawText(`Year-end summary by branch — ${rep.year}`, { x: M, y, size: 16, font: bold });
+    y -= 18;
+    page.drawText(`Compared with ${rep.prior_year} · generated ${rep.generated_at.slice(0, 10)}`, { x: M, y, size: 9, font, color: grey });
+    y -= 28;
+
+    page.drawText("Branch", { x: M, y, size, font: bold });
+    for (const [label, xr] of cols) drawRight(page, bold, size, label, xr, y);
+    y -= 6;
+    page.drawLine({ start: { x: M, y }, end: { x: W - M, y }, thickness: 0.8 });
+    y -= rowH - 4;
+
+    list.forEach((r, i) => {
+      if (i % 2) page.drawRectangle({ x: M, y: y - 4, width: W - M * 2, height: rowH, color: rgb(0.96, 0.96, 0.97) });
+      page.drawText(fitText(jpFont, size, r.branch || "(none)", 150), { x: M, y, size, font: jpFont });
+      for (const [, xr, val] of cols) drawRight(page, font, size, val(r), xr, y);
+      y -= rowH;
+    });
+
+    if (pi === chunks.length - 1) {
+      y += rowH - 8;
+      page.drawLine({ start: { x: M, y }, end: { x: W - M, y }, thickness: 0.8 });
+      y -= rowH - 4;
+      page.drawText("Total", { x: M, y, size, font: bold });
+      for (const [, xr, val] of cols) drawRight(page, bold, size, val(rep.totals), xr, y);
+    }
+
+    const foot = `Page ${pi + 1} of ${chunks.length}`;
+    page.drawText(foot, { x: (W - font.widthOfTextAtSize(foot, 8)) / 2, y: 24, size: 8, font, color: grey });
+  });
+
+  return await pdf.save();
+}
+
+/* ===================== Import profiles ===================== */
+// 支部ごとに会計ソフトの出力が違うので、列名・区切り文字・小数点・文字コードを名前付きで保存しておく
+// columns は「取込項目 -> 元ファイルの列名」
+
+const IMPORT_DELIMITERS = { ",": ",", ";": ";", "\t": "\t", tab: "\t", "|": "|" };
+
+const DEFAULT_IMPORT_PROFILE = {
+  name: "default",
+  label: "",
+  columns: { member_id: "member_id", branch: "branch", amount: "amount", year: "year", date: "date", fund: "fund" },
+  delimiter: ",",
+  decimal: ".",
+  encoding: "utf-8",
+};
+
+// 入力 -> { profile } | { error }
+function normImportProfile(v) {
+  const name = String(v?.name || "").trim();
+  if (!/^[A-Za-z0-9_-]{1,40}$/.test(name)) return { error: "invalid_profile_name" };
+  if (name === DEFAULT_IMPORT_PROFILE.name) return { error: "reserved_profile_name" };
+
+  const columns = {};
+  for (const c of [...IMPORT_COLUMNS, ...IMPORT_GIFT_COLUMNS]) {
+    const src = String(v?.columns?.[c] ?? c).trim();
+    if (!src) return { error: "invalid_column_mapping", field: c };
+    columns[c] = src;
+  }
+  if (new Set(Object.values(columns)).size !== Object.keys(columns).length) return { error: "duplicate_column_mapping" };
+
+  const delimiter = IMPORT_DELIMITERS[String(v?.delimiter ?? ",")];
+  if (!delimiter) return { error: "invalid_delimiter", allowed: Object.keys(IMPORT_DELIMITERS) };
+
+  const decimal = String(v?.decimal ?? ".");
+  if (decimal !== "." && decimal !== ",") return { error: "invalid_decimal", allowed: [".", ","] };
+  if (decimal === "," && delimiter === ",") return { error: "decimal_conflicts_with_delimiter" };
+
+  // TextDecoder が知らない文字コードはここで弾く（label は正規名に寄せる: sjis -> shift_jis）
+  let encoding;
+  try { encoding = new TextDecoder(String(v?.encoding || "utf-8").trim()).encoding; }
+  catch { return { error: "unsupported_encoding" }; }
+
+  return { profile: { name, label: String(v?.label || "").trim(), columns, delimiter, decimal, encoding } };
+}
+
+function importProfileFromRow(row) {
+  let columns = {};
+  try { columns = JSON.parse(row.columns || "{}"); } catch {}
+  return {
+    name: row.name,
+    label: row.label || "",
+    columns: { ...DEFAULT_IMPORT_PROFILE.columns, ...columns },
+    delimiter: row.delimiter || ",",
+    decimal: row.decimal || ".",
+    encoding: row.encoding || "utf-8",
+    updated_by: row.updated_by || null,
+    updated_at: row.updated_at || null,
+  };
+}
+
+async function loadImportProfile(env, name) {
+  if (name === DEFAULT_IMPORT_PROFILE.name) return DEFAULT_IMPORT_PROFILE;
+  const row = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_import_profile WHERE name=?`).bind(name).first();
+  return row ? importProfileFromRow(row) : null;
+}
+
+// job.params.profile（start 時点の snapshot）。古い job は default
+function jobImportProfile(job) {
+  const p = parseJobRow(job).params?.profile;
+  return p ? { ...DEFAULT_IMPORT_PROFILE, ...p, columns: { ...DEFAULT_IMPORT_PROFILE.columns, ...(p.columns || {}) } } : DEFAULT_IMPORT_PROFILE;
+}
+
+// BOM は TextDecoder が落とす（utf-8）。念のため先頭の U+FEFF も
+function decodeImportBytes(bytes, profile = DEFAULT_IMPORT_PROFILE) {
+  return new TextDecoder(profile.encoding).decode(bytes).replace(/^\uFEFF/, "");
+}
+
+// decodeImportBytes の逆（失敗行 CSV を job の profile の文字コードで返す）
+// TextEncoder は utf-8 しか無いので、それ以外は TextDecoder で 1〜2 バイト列を総当たりした逆引き表で
+const importEncodeTables = new Map();
+function encodeImportText(text, encoding = "utf-8") {
+  if (encoding === "utf-8") return new TextEncoder().encode(text);
+  if (encoding === "utf-16le" || encoding === "utf-16be") {
+    const le = encoding === "utf-16le";
+    const out = new Uint8Array(text.length * 2);
+    for (let i = 0; i < text.length; i++) {
+      const c = text.charCodeAt(i);
+      out[i * 2 + (le ? 0 : 1)] = c & 0xff;
+      out[i * 2 + (le ? 1 : 0)] = c >> 8;
+    }
+    return out;
+  }
+
+  let table = importEncodeTables.get(encoding);
+  if (!table) {
+    table = new Map();
+    const dec = new TextDecoder(encoding, { fatal: true });
+    const add = (bytes) => {
+      let ch;
+      try { ch = dec.decode(bytes); } catch { return; }
+      if ([...ch].length === 1 && !table.has(ch)) table.set(ch, bytes);
+    };
+    for (let a = 0; a < 0x100; a++) add(Uint8Array.of(a));
+    for (let a = 0x81; a < 0xff; a++) for (let b = 0x40; b < 0xff; b++) add(Uint8Array.of(a, b));
+    importEncodeTables.set(encoding, table);
+  }
+
+  // 元ファイル由来の文字は必ず表にある。無いもの（error 列など想定外）は "?"
+  const parts = [];
+  let n = 0;
+  for (const ch of text) {
+    const b = table.get(ch) || table.get("?");
+    parts.push(b);
+    n += b.length;
+  }
+  const out = new Uint8Array(n);
+  let o = 0;
+  for (const b of parts) { out.set(b, o); o += b.length; }
+  return out;
+}
+
+// decimal="," の "1.234,56" -> "1234.56"（"." 区切りはそのまま parseMoneyToCents へ）
+// xlsx の数値セル（number）は読み替えない
+function canonicalAmount(v, decimal = ".") {
+  if (typeof v === "number") return String(v);
+  const s = String(v ?? "").trim();
+  if (decimal !== ",") return s;
+  return s.replace(/[.\s\u00A0']/g, "").replace(",", ".");
+}
+
+// アップロード（CSV / .xlsx のバイト）-> { header, rows } | { error }
+// rows は生の列配列（index = receipt_import_row.row_index）。形式は先頭バイトで判定
+async function readImportTable(bytes, { profile = DEFAULT_IMPORT_PROFILE, sheet = "" } = {}) {
+  if (isZipBytes(bytes)) {
+    const x = await xlsxReadRecords(bytes, sheet);
+    if (x.error) return x;
+    const header = (x.records[0] || []).map((v) => String(v ?? "").trim());
+    return { header, rows: x.records.slice(1), format: "xlsx", sheet: x.sheet, sheets: x.sheets };
+  }
+  return { ...parseCsvTable(decodeImportBytes(bytes, profile), { delimiter: profile.delimiter }), format: "csv" };
+}
+
+// profile の列対応で取込項目名の行に（date は xlsx の日付シリアル値のこともあるので生のまま）
+function importRecords(table, profile = DEFAULT_IMPORT_PROFILE) {
+  const idx = Object.fromEntries([...IMPORT_COLUMNS, ...IMPORT_GIFT_COLUMNS].map((c) => [c, table.header.indexOf(profile.columns[c])]));
+  return table.rows.map((cols) => {
+    const get = (c) => (idx[c] < 0 ? "" : String(cols[idx[c]] ?? "").trim());
+    return {
+      member_id: get("member_id"),
+      branch: get("branch"),
+      amount: canonicalAmount(idx.amount < 0 ? "" : cols[idx.amount], profile.decimal),
+      year: get("year"),
+      date: idx.date < 0 ? "" : cols[idx.date] ?? "",
+      fund: get("fund"),
+    };
+  });
+}
+
+/* ===================== Import validation ===================== */
+
+const IMPORT_COLUMNS = ["member_id", "branch", "amount", "year"];
+// source=transactions（1 行 = 1 件の寄付）で使う列。year は date の暦年、branch は省略可
+const IMPORT_GIFT_COLUMNS = ["date", "fund"];
+const IMPORT_GIFT_REQUIRED = ["member_id", "amount", "date"];
+const VALIDATE_MAX_ISSUES = 500; // errors / warnings それぞれ返すのはここまで（件数は *_counts に全部）
+const OUTLIER_FACTOR_DEFAULT = 3;
+const OUTLIER_MIN_DELTA_CENTS = 50000; // 前年比が大きくても $500 未満の増加は拾わない
+
+// import/validate・start・dry-run 共通のオプション（job.params にそのまま残す）
+// duplicates: "error"（既定; 同じ year+member_id は validate でエラー、start は parse で job ごと ERROR）| "sum"（最初の行に合算）
+// profile:    保存済み import profile 名（無ければ default）。job には中身ごと snapshot
+// sheet:      .xlsx のシート名 or 1 始まりの番号（省略時は先頭。CSV では無視）
+// source:     "totals"（既定; member × 年の合計 1 行）| "transactions"（寄付 1 件 1 行 -> member × 暦年で合算）
+// itemize:    transactions のとき PDF に明細表を載せる
+async function importParams(env, url, up) {
+  const duplicates = uploadParam(url, up, "duplicates").toLowerCase() === "sum" ? "sum" : "error";
+  const name = uploadParam(url, up, "profile");
+  const profile = name ? await loadImportProfile(env, name) : DEFAULT_IMPORT_PROFILE;
+  if (!profile) return { error: "profile_not_found", profile: name };
+  const source = uploadParam(url, up, "source").toLowerCase() || "totals";
+  if (source !== "totals" && source !== "transactions") return { error: "invalid_source", allowed: ["totals", "transactions"] };
+  const itemize = source === "transactions" && toBool(uploadParam(url, up, "itemize"));
+  return { duplicates, profile, sheet: uploadParam(url, up, "sheet"), source, itemize };
+}
+
+// 全行を流しながら検査する（行そのものは持たず、year+member_id ごとの集計だけ持つ）
+// forEachRecord(onRecord): 1 行目（header）から順にレコード（列配列, 元の行番号?）を渡す
+// row はファイル上の行番号（空行も数える。xlsx はシートの行番号、CSV はレコード番号）
+// source=transactions: 同じ member の複数行は合算が前提（重複ではなく、全く同じ明細だけ警告）。year は date の暦年
+async function validateImportRecords(env, forEachRecord, {
+  duplicates = "error", profile = DEFAULT_IMPORT_PROFILE, source = "totals", outlier_factor = OUTLIER_FACTOR_DEFAULT,
+} = {}) {
+  const gifts = source === "transactions";
+  const required = gifts ? IMPORT_GIFT_REQUIRED : IMPORT_COLUMNS;
+  const errors = [];
+  const warnings = [];
+  const error_counts = {};
+  const warning_counts = {};
+  const push = (list, counts, x) => {
+    counts[x.type] = (counts[x.type] || 0) + 1;
+    if (list.length < VALIDATE_MAX_ISSUES) list.push(x);
+  };
+  const err = (x) => push(errors, error_counts, x);
+  const warn = (x) => push(warnings, warning_counts, x);
+
+  let header = null;
+  let col = null; // column -> index
+  let fatal = false;
+  let total = 0;
+  let seen = 0; // 空行も含めたレコード数（行番号が来ないとき用）
+  const years = {};
+  const members = new Map(); // `${year}:${member_id}` -> { year, member_id, rows, cents, branch }
+  const giftLines = new Map(); // transactions: 明細の同一判定 -> 最初の行
+
+  await forEachRecord((cols, line) => {
+    seen++;
+    const rowNo = Number(line) || seen;
+    if (!cols.some((v) => String(v ?? "").trim() !== "")) return;
+
+    if (!header) {
+      header = cols.map((x) => String(x ?? "").trim());
+      const fields = gifts ? [...IMPORT_COLUMNS, ...IMPORT_GIFT_COLUMNS] : IMPORT_COLUMNS;
+      const known = fields.map((c) => profile.columns[c]);
+      col = Object.fromEntries(fields.map((c) => [c, header.indexOf(profile.columns[c])]));
+      const missing = required.filter((c) => col[c] < 0);
+      if (missing.length === required.length) {
+        // 1 行目がデータっぽい（header 行が無い）か、profile / 区切り文字の選び間違い
+        err({ type: "MISSING_HEADER", row: rowNo, expected: required.map((c) => profile.columns[c]), found: header.slice(0, 10), profile: profile.name });
+        fatal = true;
+        return;
+      }
+      for (const c of missing) err({ type: "MISSING_COLUMN", row: rowNo, column: profile.columns[c], field: c });
+      if (missing.length) fatal = true;
+      header.forEach((h, i) => {
+        if (!known.includes(h)) warn({ type: "UNKNOWN_COLUMN", row: rowNo, column: h, index: i });
+        else if (header.indexOf(h) !== i) err({ type: "DUPLICATE_COLUMN", row: rowNo, column: h, index: i });
+      });
+      return;
+    }
+
+    total++;
+    if (fatal) return;
+
+    const member_id = String(cols[col.member_id] ?? "").trim();
+    const branch = String(cols[col.branch] ?? "").trim();
+    const cents = parseMoneyToCents(canonicalAmount(cols[col.amount], profile.decimal));
+
+    if (gifts) {
+      const date = parseGiftDate(cols[col.date]);
+      if (!member_id) { err({ type: "MISSING_MEMBER_ID", row: rowNo }); return; }
+      if (cents === null) { err({ type: "INVALID_AMOUNT", row: rowNo, member_id }); return; }
+      if (!date) { err({ type: "INVALID_DATE", row: rowNo, member_id, value: String(cols[col.date] ?? "") }); return; }
+      // 返金 / 取消の明細はあり得るので行単位では警告だけ（年合計がマイナスならエラー）
+      if (cents < 0) warn({ type: "NEGATIVE_AMOUNT", row: rowNo, member_id, amount_cents: cents });
+
+      const year = Number(date.slice(0, 4));
+      years[year] = (years[year] || 0) + 1;
+
+      const line = `${member_id}|${date}|${cents}|${String(cols[col.fund] ?? "").trim()}`;
+      if (giftLines.has(line)) warn({ type: "DUPLICATE_GIFT", rows: [giftLines.get(line), rowNo], member_id, date, amount_cents: cents });
+      else giftLines.set(line, rowNo);
+
+      const key = `${year}:${member_id}`;
+      const m = members.get(key);
+      if (!m) { members.set(key, { year, member_id, rows: [rowNo], cents, branch }); return; }
+      m.rows.push(rowNo);
+      m.cents += cents;
+      if (branch) m.branch = branch;
+      return;
+    }
+
+    const year = normYear(cols[col.year]);
+
+    if (!member_id) { err({ type: "MISSING_MEMBER_ID", row: rowNo }); return; }
+    if (!branch) { err({ type: "MISSING_BRANCH", row: rowNo, member_id }); return; }
+    if (cents === null) { err({ type: "INVALID_AMOUNT", row: rowNo, member_id }); return; }
+    if (cents < 0) { err({ type: "NEGATIVE_AMOUNT", row: rowNo, member_id, amount_cents: cents }); return; }
+    if (!year) { err({ type: "INVALID_YEAR", row: rowNo, member_id }); return; }
+
+    years[year] = (years[year] || 0) + 1;
+
+    const key = `${year}:${member_id}`;
+    const m = members.get(key);
+    if (!m) { members.set(key, { year, member_id, rows: [rowNo], cents }); return; }
+    m.rows.push(rowNo);
+    // sum: 合算 / error: 取り込むと後の行が勝つので最後の値
+    m.cents = duplicates === "sum" ? m.cents + cents : cents;
+  });
+
+  if (!header) return { ok: false, total_rows: 0, checked_rows: 0, errors, warnings, error_counts, warning_counts };
+
+  const yearKeys = Object.keys(years);
+  // 明細は年をまたいで出力されることがある（暦年ごとに別の領収書になるだけ）
+  if (yearKeys.length > 1) (gifts ? warn : err)({ type: "MIXED_YEARS", years });
+
+  if (gifts) await checkGiftMembers(env, members, err);
+
+  let duplicateMembers = 0;
+  for (const m of members.values()) {
+    if (gifts || m.rows.length < 2) continue;
+    duplicateMembers++;
+    if (duplicates === "sum") warn({ type: "DUPLICATE_MEMBER_SUMMED", member_id: m.member_id, year: m.year, rows: m.rows, amount_cents: m.cents });
+    else err({ type: "DUPLICATE_MEMBER", member_id: m.member_id, year: m.year, rows: m.rows });
+  }
+
+  // 前年の receipt_annual と比べて跳ね上がっている行（入力ミスの桁ずれ等）
+  let outliersChecked = 0;
+  for (const y of yearKeys.map(Number)) {
+    const list = [...members.values()].filter((m) => m.year === y);
+    // D1 のバインド上限は 100（year の分を空ける）
+    for (let i = 0; i < list.length; i += 90) {
+      const chunk = list.slice(i, i + 90);
+      const res = await env.RECEIPTS_DB.prepare(`
+        SELECT member_id, amount_cents FROM receipt_annual
+        WHERE year=? AND member_id IN (${chunk.map(() => "?").join(",")})
+      `).bind(String(y - 1), ...chunk.map((m) => m.member_id)).all();
+      const prior = new Map((res.results || []).map((r) => [String(r.member_id), Number(r.amount_cents || 0)]));
+      for (const m of chunk) {
+        const p = prior.get(m.member_id);
+        if (p === undefined) continue;
+        outliersChecked++;
+        if (p > 0 && m.cents > p * outlier_factor && m.cents - p >= OUTLIER_MIN_DELTA_CENTS) {
+          warn({
+            type: "OUTLIER_AMOUNT",
+            member_id: m.member_id,
+            year: y,
+            rows: m.rows,
+            amount_cents: m.cents,
+            prior_year_cents: p,
+            ratio: Math.round((m.cents / p) * 10) / 10,
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    ok: errors.length === 0,
+    total_rows: total,
+    checked_rows: fatal ? 0 : total,
+    profile: profile.name,
+    source,
+    header,
+    years,
+    members: members.size,
+    duplicates: gifts ? null : { mode: duplicates, members: duplicateMembers },
+    prior_year_compared: outliersChecked,
+    errors,
+    warnings,
+    error_counts,
+    warning_counts,
+    truncated: Object.values(error_counts).reduce((a, b) => a + b, 0) > errors.length
+      || Object.values(warning_counts).reduce((a, b) => a + b, 0) > warnings.length,
+  };
+}
+
+// transactions: member × 年の合計がマイナス / branch がファイルにも過去の receipt_annual にも無い
+async function checkGiftMembers(env, members, err) {
+  const noBranch = [];
+  for (const m of members.values()) {
+    if (m.cents < 0) err({ type: "NEGATIVE_TOTAL", member_id: m.member_id, year: m.year, rows: m.rows, amount_cents: m.cents });
+    if (!m.branch) noBranch.push(m);
+  }
+  const known = await latestBranches(env, [...new Set(noBranch.map((m) => m.member_id))]);
+  for (const m of noBranch) {
+    if (!known.has(m.member_id)) err({ type: "MISSING_BRANCH", member_id: m.member_id, year: m.year, rows: m.rows });
+  }
+}
+
+// member_id -> 直近の receipt_annual.branch
+async function latestBranches(env, member_ids) {
+  const out = new Map();
+  for (let i = 0; i < member_ids.length; i += 100) {
+    const chunk = member_ids.slice(i, i + 100);
+    const res = await env.RECEIPTS_DB.prepare(`
+      SELECT member_id, branch FROM receipt_annual
+      WHERE member_id IN (${chunk.map(() => "?").join(",")}) AND branch IS NOT NULL AND branch<>''
+      ORDER BY year
+    `).bind(...chunk).all();
+    for (const r of res.results || []) out.set(String(r.member_id), String(r.branch));
+  }
+  return out;
+}
+
+// 寄付日: YYYY-MM-DD / YYYY/MM/DD / YYYY.MM.DD（時刻付きも）/ M/D/YYYY / xlsx の日付シリアル値 -> "YYYY-MM-DD"
+function parseGiftDate(v) {
+  let y, m, d;
+  if (typeof v === "number") {
+    if (!(v > 0 && v < 100000)) return null;
+    const t = new Date(Date.UTC(1899, 11, 30) + Math.floor(v) * 86400000);
+    y = t.getUTCFullYear(); m = t.getUTCMonth() + 1; d = t.getUTCDate();
+  } else {
+    const s = String(v ?? "").trim();
+    let r = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+    if (r) { y = +r[1]; m = +r[2]; d = +r[3]; }
+    else if ((r = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) { y = +r[3]; m = +r[1]; d = +r[2]; }
+    else return null;
+  }
+  if (!normYear(y)) return null;
+  const t = new Date(Date.UTC(y, m - 1, d));
+  if (t.getUTCMonth() !== m - 1 || t.getUTCDate() !== d) return null;
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// duplicates=sum：同じ (year, member_id) の有効行を最初の行に合算する（skip の行は対象外）
+// 返り値: amounts(row_index -> 合算後 amount) / merged(row_index -> 合算先 row_index)
+function mergeDuplicateRows(rows, defYear, skip = null) {
+  const first = new Map();
+  const sums = new Map();
+  const merged = new Map();
+  rows.forEach((r, i) => {
+    if (skip?.has(i)) return;
+    const member_id = String(r.member_id || "").trim();
+    const cents = parseMoneyToCents(r.amount);
+    const year = normYear(r.year) || defYear;
+    if (!member_id || !String(r.branch || "").trim() || cents === null || !year) return;
+
+    const key = `${year}:${member_id}`;
+    if (!first.has(key)) { first.set(key, i); sums.set(i, cents); return; }
+    const into = first.get(key);
+    sums.set(into, sums.get(into) + cents);
+    merged.set(i, into);
+  });
+
+  const amounts = new Map();
+  for (const into of new Set(merged.values())) amounts.set(into, (sums.get(into) / 100).toFixed(2));
+  return { amounts, merged };
+}
+
+// receipt_import_row へ PENDING で積む（merge があれば合算先の amount を差し替え、合算元は MERGED + merged_into）
+// invalid の行は最初から ERROR invalid_row（transactions の日付不正など; ng_rows は呼び出し側で）
+async function insertImportRows(env, job_id, rows, merge = null, invalid = null) {
+  const CHUNK = 200;
+  for (let base = 0; base < rows.length; base += CHUNK) {
+    const stmts = rows.slice(base, base + CHUNK).map((r, i) => {
+      const row_index = base + i;
+      const into = merge?.merged.get(row_index);
+      const bad = invalid?.has(row_index);
+      return env.RECEIPTS_DB.prepare(`
+        INSERT INTO receipt_import_row(job_id,row_index,member_id,branch,amount,year,status,error,merged_into,updated_at)
+        VALUES(?,?,?,?,?,?,?,?,?, datetime('now'))
+      `).bind(
+        job_id,
+        row_index,
+        String(r.member_id || "").trim(),
+        String(r.branch || "").trim(),
+        merge?.amounts.get(row_index) ?? String(r.amount || "").trim(),
+        String(r.year || "").trim(),
+        bad ? "ERROR" : into === undefined ? "PENDING" : "MERGED",
+        bad ? "invalid_row" : into === undefined ? null : `merged_into:${into}`,
+        bad || into === undefined ? null : into
+      );
+    });
+    await env.RECEIPTS_DB.batch(stmts);
+  }
+}
+
+// job.year（先頭行の year、transactions は先頭行の寄付日の年）
+function importHeadYear(rows, params) {
+  const r = rows[0];
+  if (!r) return null;
+  if (params.source === "transactions") return normYear(parseGiftDate(r.date)?.slice(0, 4));
+  return normYear(r.year);
+}
+
+// 取込行の前処理（parse_csv / dry-run 共通）-> { merge, invalid, gifts, total }
+// total は receipt_import_job.total_rows（合算で消えた行を除く）
+async function prepareImportRows(env, rows, params, defYear) {
+  if (params.source === "transactions") {
+    const g = await prepareGiftRows(env, rows);
+    return { ...g, total: rows.length - g.merge.merged.size };
+  }
+  const merge = params.duplicates === "sum" ? mergeDuplicateRows(rows, defYear) : null;
+  return { merge, invalid: null, gifts: null, total: rows.length - (merge ? merge.merged.size : 0) };
+}
+
+// source=transactions：明細を member × 暦年にまとめる
+// - year は date の暦年。branch が空なら同じ member の他の明細 -> 直近の receipt_annual の順で補う
+// - member_id / 日付 / 金額が読めない明細は invalid
+// - gifts は receipt_gift に残す明細（PDF の明細表・発行記録の元）
+async function prepareGiftRows(env, rows) {
+  const invalid = new Set();
+  const gifts = [];
+  const branchOf = new Map();
+  rows.forEach((r, i) => {
+    const date = parseGiftDate(r.date);
+    const cents = parseMoneyToCents(r.amount);
+    if (!r.member_id || !date || cents === null) { invalid.add(i); return; }
+    r.year = date.slice(0, 4);
+    if (r.branch) branchOf.set(r.member_id, r.branch);
+    gifts.push({ row_index: i, year: Number(r.year), member_id: r.member_id, gift_date: date, amount_cents: cents, fund: r.fund || "" });
+  });
+
+  const need = [...new Set(gifts.filter((g) => !branchOf.has(g.member_id)).map((g) => g.member_id))];
+  const known = await latestBranches(env, need);
+  rows.forEach((r, i) => {
+    if (!invalid.has(i) && !r.branch) r.branch = branchOf.get(r.member_id) || known.get(r.member_id) || "";
+  });
+
+  return { merge: mergeDuplicateRows(rows, null, invalid), invalid, gifts };
+}
+
+async function insertGifts(env, job_id, gifts) {
+  await env.RECEIPTS_DB.prepare(`DELETE FROM receipt_gift WHERE job_id=?`).bind(job_id).run();
+  const CHUNK = 200;
+  for (let base = 0; base < gifts.length; base += CHUNK) {
+    const stmts = gifts.slice(base, base + CHUNK).map((g) =>
+      env.RECEIPTS_DB.prepare(`
+        INSERT INTO receipt_gift(job_id,row_index,year,member_id,gift_date,amount_cents,fund)
+        VALUES(?,?,?,?,?,?,?)
+      `).bind(job_id, g.row_index, g.year, g.member_id, g.gift_date, g.amount_cents, g.fund)
+    );
+    await env.RECEIPTS_DB.batch(stmts);
+  }
+}
+
+// 領収書に載せる明細（日付順）
+async function giftItems(env, job_id, year, member_id) {
+  const res = await env.RECEIPTS_DB.prepare(`
+    SELECT gift_date, fund, amount_cents FROM receipt_gift
+    WHERE job_id=? AND year=? AND member_id=?
+    ORDER BY gift_date, row_index
+  `).bind(job_id, year, String(member_id)).all();
+  return (res.results || []).map((g) => ({ date: g.gift_date, fund: g.fund || "", amount_cents: Number(g.amount_cents) }));
+}
+
+/* ===================== Queues handlers ===================== */
+
+// import/retry で戻せるエラー（invalid_row は同じデータでは直らないので対象外）
+const IMPORT_RETRYABLE = ["hubspot_not_found", "pdf_failed", "missing_email"];
+const IMPORT_RETRY_DEFAULT = ["hubspot_not_found", "pdf_failed"];
+
+// receipt_import_row の絞り込み（status 複数 / error は ":" の前のクラスで一致）
+function importRowFilter(job_id, statuses, errorClass) {
+  let where = `job_id=?`;
+  const binds = [job_id];
+  if (statuses.length) { where += ` AND status IN (${statuses.map(() => "?").join(",")})`; binds.push(...statuses); }
+  if (errorClass) { where += ` AND (error=? OR substr(error, 1, ?)=?)`; binds.push(errorClass, errorClass.length + 1, `${errorClass}:`); }
+  return { where, binds };
+}
+
+async function importJobStateError(env, job_id, expected) {
+  const job = await env.RECEIPTS_DB.prepare(`SELECT status FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+  if (!job) return json({ ok: false, error: "job_not_found" }, 404);
+  return json({ ok: false, error: "invalid_job_state", status: job.status, expected }, 409);
+}
+
+async function handleParseCsv(env, job_id) {
+  const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+  if (!job) return;
+  if (["PAUSED", "CANCELLED"].includes(String(job.status || "").toUpperCase())) return;
+  if (String(job.mode || "") === "DRY_RUN") return;
+
+  const csv_key = String(job.csv_key || `uploads/${job_id}.csv`);
+  const csvObj = await env.RECEIPTS_BUCKET.get(csv_key);
+
+  if (!csvObj) {
+    try { await env.RECEIPTS_DB.prepare(`UPDATE receipt_import_job SET status='ERROR' WHERE job_id=?`).bind(job_id).run(); } catch {}
+    return;
+  }
+
+  const params = parseJobRow(job).params || {};
+  const profile = jobImportProfile(job);
+  const table = await readImportTable(new Uint8Array(await csvObj.arrayBuffer()), { profile, sheet: params.sheet });
+  if (table.error) {
+    await env.RECEIPTS_DB.prepare(`UPDATE receipt_import_job SET status='ERROR', last_error=? WHERE job_id=?`).bind(table.error, job_id).run();
+    return;
+  }
+  const rows = importRecords(table, profile);
+
+  // duplicates=error（既定）なのに同じ year+member_id が複数ある -> 後勝ちで黙って上書きしないよう job ごと止める
+  if (params.source !== "transactions" && params.duplicates !== "sum") {
+    const dup = mergeDuplicateRows(rows, Number(job.year));
+    if (dup.merged.size) {
+      const keys = [...new Set([...dup.merged.values()].map((i) => `${normYear(rows[i].year) || job.year}/${rows[i].member_id}`))];
+      const more = keys.length > 5 ? ` (+${keys.length - 5})` : "";
+      await env.RECEIPTS_DB.prepare(`UPDATE receipt_import_job SET status='ERROR', last_error=?, updated_at=datetime('now') WHERE job_id=?`)
+        .bind(`duplicate_members:${keys.slice(0, 5).join(",")}${more}`, job_id).run();
+      return;
+    }
+  }
+
+  const prep = await prepareImportRows(env, rows, params, Number(job.year));
+  const pre_ng = prep.invalid ? prep.invalid.size : 0;
+
+  try {
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_import_job
+      SET total_rows=?, next_index=0, processed_rows=?, ok_rows=0, ng_rows=?, updated_at=datetime('now')
+      WHERE job_id=?
+    `).bind(prep.total, pre_ng, pre_ng, job_id).run();
+  } catch {}
+
+  try { await env.RECEIPTS_DB.prepare(`UPDATE receipt_import_job SET phase='PROCESSING' WHERE job_id=?`).bind(job_id).run(); } catch {}
+
+  await env.RECEIPTS_DB.prepare(`DELETE FROM receipt_import_row WHERE job_id=?`).bind(job_id).run();
+  await insertImportRows(env, job_id, rows, prep.merge, prep.invalid);
+  if (prep.gifts) await insertGifts(env, job_id, prep.gifts);
+
+  // parse 中に pause / cancel されていたら行だけ作って止める
+  const cur = await env.RECEIPTS_DB.prepare(`SELECT status FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+  if (String(cur?.status || "").toUpperCase() === "CANCELLED") {
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_import_row SET status='CANCELLED', updated_at=datetime('now') WHERE job_id=? AND status='PENDING'
+    `).bind(job_id).run();
+    return;
+  }
+  if (String(cur?.status || "").toUpperCase() !== "RUNNING") return;
+
+  await env.IMPORT_Q.send({ type: "process_rows", job_id });
+}
+
+const IMPORT_STALL_MINUTES = 10;
+
+// next_index 以降の PENDING を PROCESSING にして取る（resume と重なって 2 本の chain が走っても同じ行は取らない）
+async function claimImportRows(env, job_id, from, limit) {
+  const res = await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_import_row
+    SET status='PROCESSING', updated_at=datetime('now')
+    WHERE job_id=? AND status='PENDING' AND row_index IN (
+      SELECT row_index FROM receipt_import_row WHERE job_id=? AND row_index>=? AND status='PENDING' ORDER BY row_index LIMIT ?
+    )
+    RETURNING *
+  `).bind(job_id, job_id, from, limit).all();
+  return (res.results || []).sort((a, b) => Number(a.row_index) - Number(b.row_index));
+}
+
+// 取ったが結果を書かなかった行を PENDING に戻す
+async function releaseImportRows(env, job_id, rows) {
+  if (!rows.length) return;
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_import_row SET status='PENDING', updated_at=datetime('now')
+    WHERE job_id=? AND status='PROCESSING' AND row_index IN (${rows.map(() => "?").join(",")})
+  `).bind(job_id, ...rows.map((r) => r.row_index)).run();
+}
+
+// PENDING が無くても PROCESSING（別の chain が処理中）があれば、その chain が終わらせる
+async function importRowsLeft(env, job_id) {
+  const r = await env.RECEIPTS_DB.prepare(`
+    SELECT SUM(status='PENDING') AS pending, SUM(status='PROCESSING') AS processing
+    FROM receipt_import_row WHERE job_id=?
+  `).bind(job_id).first();
+  return { pending: Number(r?.pending || 0), processing: Number(r?.processing || 0) };
+}
+
+async function handleProcessRows(env, job_id) {
+  const job = await env.RECEIPTS_DB
+    .prepare(`SELECT * FROM receipt_import_job WHERE job_id=?`)
+    .bind(job_id)
+    .first();
+
+  if (!job) return;
+
+  const total = Number(job.total_rows || 0);
+
+  // DONE / 一時停止 / 取消 なら何もしない（resume で再 enqueue される）
+  if (["DONE", "PAUSED", "CANCELLED"].includes(String(job.status || "").toUpperCase())) return;
+  if (String(job.mode || "") === "DRY_RUN") return;
+
+  const params = parseJobRow(job).params || {};
+
+  let next_index = Number(job.next_index || 0);
+  if (!Number.isFinite(next_index)) next_index = 0;
+
+  // 1回で処理する行数（小さく保つ：止まらないコア）
+  const BATCH = 3;
+
+  // next_index 以降の PENDING を取る
+  let list = await claimImportRows(env, job_id, next_index, BATCH);
+
+  // next_index以降にPENDINGが無いなら、全体の最小PENDINGへ寄せる（穴あき対策）
+  if (!list.length) {
+    const minPending = await env.RECEIPTS_DB.prepare(`
+      SELECT MIN(row_index) AS m
+      FROM receipt_import_row
+      WHERE job_id=? AND status='PENDING'
+    `).bind(job_id).first();
+
+    const m = minPending?.m;
+    if (m === null || m === undefined) {
+      // PENDINGが無い＝完了（処理中の行があれば、その chain が最後に DONE にする）
+      if ((await importRowsLeft(env, job_id)).processing) return;
+      await env.RECEIPTS_DB.prepare(`
+        UPDATE receipt_import_job
+        SET status='DONE',
+            next_index=?,
+            processed_rows=?,
+            updated_at=datetime('now')
+        WHERE job_id=? AND status='RUNNING'
+      `).bind(total, total, job_id).run();
+      return;
+    }
+
+    next_index = Number(m);
+    list = await claimImportRows(env, job_id, next_index, BATCH);
+    if (!list.length) return;
+  }
+
+  // time guard（consumerでも短く）
+  const t0 = Date.now();
+  const TIME_LIMIT_MS = 2500;
+
+  let ok = 0;
+  let ng = 0;
+  let maxRowIndex = next_index;
+
+  // 途中で throw しても、取ったまま結果を書いていない行は PENDING に戻す（retry で拾い直す）
+  try {
+    for (const r of list) {
+      if (Date.now() - t0 > TIME_LIMIT_MS) break;
+
+      const row_index = Number(r.row_index);
+      maxRowIndex = Math.max(maxRowIndex, row_index + 1);
+
+      const member_id = String(r.member_id || "").trim();
+      const branch = String(r.branch || "").trim();
+      const cents = parseMoneyToCents(r.amount);
+      const year = normYear(r.year) || Number(job.year);
+
+      // 入力不正
+      if (!member_id || !branch || cents === null || !year) {
+        ng++;
+        await env.RECEIPTS_DB.prepare(`
+          UPDATE receipt_import_row
+          SET status='ERROR',
+              error='invalid_row',
+              updated_at=datetime('now')
+          WHERE job_id=? AND row_index=?
+        `).bind(job_id, row_index).run();
+        continue;
+      }
+
+      // HubSpot lookup
+      const hs = await hubspotGetContactByIdProperty(
+        env,
+        member_id,
+        "member_id",
+        ["email", "firstname", "lastname", "receipt_years_available"]
+      ).catch(() => null);
+
+      if (!hs || !hs.ok) {
+        ng++;
+        await env.RECEIPTS_DB.prepare(`
+          UPDATE receipt_import_row
+          SET status='ERROR',
+              error='hubspot_not_found',
+              updated_at=datetime('now')
+          WHERE job_id=? AND row_index=?
+        `).bind(job_id, row_index).run();
+        continue;
+      }
+
+      const p = (await hs.json()).properties || {};
+      const email = normEmail(p.email);
+      const name = fmtName(p.firstname, p.lastname, email);
+
+      // Emailなし → NEEDS_EMAIL（止めない）
+      if (!email) {
+        ng++;
+
+        await upsertAnnual(env, {
+          year,
+          member_id,
+          branch,
+          name,
+          amount_cents: cents,
+          issue_date: todayISO(),
+          pdf_key: "",
+          status: "ERROR",
+          error: "missing_email",
+          last_job_id: job_id,
+        });
+
+        await env.RECEIPTS_DB.prepare(`
+          UPDATE receipt_import_row
+          SET status='NEEDS_EMAIL',
+              error='missing_email',
+              updated_at=datetime('now')
+          WHERE job_id=? AND row_index=?
+        `).bind(job_id, row_index).run();
+
+        continue;
+      }
+
+      // HubSpot PATCH（best effort）
+      try {
+        const years = parseYears(p.receipt_years_available);
+        if (!years.includes(String(year))) years.push(String(year));
+        await hubspotPatchContactByIdProperty(env, member_id, "member_id", {
+          receipt_portal_eligible: true,
+          receipt_years_available: years.join(";"),
+        });
+      } catch {}
+
+      // ===== ここからが「止めない」本体（必須）=====
+      let prev = null;
+      try {
+        prev = await env.RECEIPTS_DB
+          .prepare(`SELECT issue_id, pdf_key, template_version FROM receipt_annual WHERE year=? AND member_id=?`)
+          .bind(year, member_id)
+          .first();
+
+        // transactions: 合算元の明細（発行記録に残す / itemize なら PDF に表）
+        const items = params.source === "transactions" ? await giftItems(env, job_id, year, member_id) : null;
+
+        const issued = await issueReceipt(env, {
+          year,
+          member_id,
+          branch,
+          name,
+          amount_cents: cents,
+          issue_date: todayISO(),
+          source: "IMPORT",
+          job_id,
+          supersedes_issue_id: prev?.issue_id || null,
+          items,
+          itemized: params.itemize === true,
+        });
+        const pdf_key = issued.pdf_key;
+
+        await upsertAnnual(env, {
+          year,
+          member_id,
+          branch,
+          name,
+          amount_cents: cents,
+          issue_date: todayISO(),
+          pdf_key,
+          status: "DONE",
+          error: null,
+          issue_id: issued.issue_id,
+          template_version: issued.template_version,
+          last_job_id: job_id,
+        });
+
+        await env.RECEIPTS_DB.prepare(`
+          UPDATE receipt_import_row
+          SET status='DONE',
+              email=?,
+              pdf_key=?,
+              error=NULL,
+              updated_at=datetime('now')
+          WHERE job_id=? AND row_index=?
+        `).bind(email, pdf_key, job_id, row_index).run();
+
+        ok++;
+
+      } catch (e) {
+        // ✅ PDF失敗でも止めない：この行だけERRORにする
+        const msg = String(e?.message || e);
+        ng++;
+
+        await env.RECEIPTS_DB.prepare(`
+          UPDATE receipt_import_row
+          SET status='ERROR',
+              error=?,
+              updated_at=datetime('now')
+          WHERE job_id=? AND row_index=?
+        `).bind(`pdf_failed:${msg}`, job_id, row_index).run();
+
+        // annualにも残す（一覧で追える）。前の発行があれば現行 PDF はそのままなので参照も残す
+        await upsertAnnual(env, {
+          year,
+          member_id,
+          branch,
+          name,
+          amount_cents: cents,
+          issue_date: todayISO(),
+          pdf_key: prev?.issue_id ? String(prev.pdf_key || "") : "",
+          status: "ERROR",
+          error: "pdf_failed",
+          issue_id: prev?.issue_id ?? null,
+          template_version: prev?.template_version ?? null,
+          last_job_id: job_id,
+        });
+      }
+      // ===== ここまで =====
+    }
+  } finally {
+    await releaseImportRows(env, job_id, list);
+  }
+
+    // 進捗更新（processed_rows / next_index）
+  // processed_rows は件数で足し込む（retry で戻した行があっても ok+ng と一致させる）
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_import_job
+    SET ok_rows=ok_rows+?,
+        ng_rows=ng_rows+?,
+        processed_rows=MIN(total_rows, processed_rows+?),
+        next_index=?,
+        updated_at=datetime('now')
+    WHERE job_id=?
+  `).bind(ok, ng, ok + ng, maxRowIndex, job_id).run();
+
+  // 処理中に pause / cancel されていたらここで止める
+  const cur = await env.RECEIPTS_DB.prepare(`SELECT status FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+  if (String(cur?.status || "").toUpperCase() !== "RUNNING") return;
+
+  // PENDINGが残っているか確認
+  const left = await importRowsLeft(env, job_id);
+
+  if (left.pending > 0) {
+    // 次を自分でenqueue（自走）
+    await env.IMPORT_Q.send({ type: "process_rows", job_id });
+  } else if (!left.processing) {
+    // 完了
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_import_job
+      SET status='DONE',
+          next_index=?,
+          processed_rows=?,
+          updated_at=datetime('now')
+      WHERE job_id=? AND status='RUNNING'
+    `).bind(total, total, job_id).run();
+  }
+}
+
+// dry-run: HubSpot 照会（batch/read）と receipt_annual の比較だけ。書くのは receipt_import_row / job のみ
+// 行 status: NEW（発行済み PDF なし）/ CHANGED / UNCHANGED / NEEDS_EMAIL / ERROR(invalid_row, hubspot_not_found)
+async function handleDryRunRows(env, job_id) {
+  const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+  if (!job || String(job.mode || "") !== "DRY_RUN") return;
+  if (String(job.status || "").toUpperCase() !== "RUNNING") return;
+
+  const BATCH = 50;
+  const rowsRes = await env.RECEIPTS_DB.prepare(`
+    SELECT * FROM receipt_import_row WHERE job_id=? AND status='PENDING' ORDER BY row_index LIMIT ?
+  `).bind(job_id, BATCH).all();
+  const list = rowsRes.results || [];
+
+  const finish = () => env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_import_job
+    SET status='DONE', next_index=total_rows, processed_rows=total_rows, phase='DONE', updated_at=datetime('now')
+    WHERE job_id=? AND status='RUNNING'
+  `).bind(job_id).run();
+
+  if (!list.length) { await finish(); return; }
+
+  const parsed = list.map((r) => ({
+    row_index: Number(r.row_index),
+    member_id: String(r.member_id || "").trim(),
+    branch: String(r.branch || "").trim(),
+    cents: parseMoneyToCents(r.amount),
+    year: normYear(r.year) || Number(job.year),
+  }));
+  const valid = parsed.filter((r) => r.member_id && r.branch && r.cents !== null && r.year);
+
+  // 通信エラーは throw → Queue の retry に任せる（not_found と混ぜない）
+  const contacts = valid.length
+    ? await hubspotBatchReadByIdProperty(env, [...new Set(valid.map((r) => r.member_id))], "member_id", ["email", "firstname", "lastname"])
+    : new Map();
+
+  const prevMap = new Map();
+  for (const y of [...new Set(valid.map((r) => r.year))]) {
+    const ids = [...new Set(valid.filter((r) => r.year === y).map((r) => r.member_id))];
+    const res = await env.RECEIPTS_DB.prepare(`
+      SELECT member_id, branch, name, amount_cents, status FROM receipt_annual
+      WHERE year=? AND member_id IN (${ids.map(() => "?").join(",")})
+    `).bind(y, ...ids).all();
+    for (const a of res.results || []) prevMap.set(`${y}:${a.member_id}`, a);
+  }
+
+  let ok = 0;
+  let ng = 0;
+  const stmts = [];
+  const setRow = (row_index, status, error, email, detail) => stmts.push(env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_import_row
+    SET status=?, error=?, email=?, detail=?, updated_at=datetime('now')
+    WHERE job_id=? AND row_index=?
+  `).bind(status, error, email, detail ? JSON.stringify(detail) : null, job_id, row_index));
+
+  for (const r of parsed) {
+    if (!r.member_id || !r.branch || r.cents === null || !r.year) {
+      ng++;
+      setRow(r.row_index, "ERROR", "invalid_row", null, null);
+      continue;
+    }
+
+    const p = contacts.get(r.member_id);
+    if (!p) {
+      ng++;
+      setRow(r.row_index, "ERROR", "hubspot_not_found", null, null);
+      continue;
+    }
+
+    const email = normEmail(p.email);
+    const name = fmtName(p.firstname, p.lastname, email);
+    const prev = prevMap.get(`${r.year}:${r.member_id}`) || null;
+    const issued = String(prev?.status || "") === "DONE";
+
+    const changes = [];
+    if (issued) {
+      if (Number(prev.amount_cents) !== r.cents) changes.push("amount");
+      if (String(prev.name || "") !== name) changes.push("name");
+      if (String(prev.branch || "") !== r.branch) changes.push("branch");
+    }
+    const detail = {
+      year: r.year,
+      name,
+      amount_cents: r.cents,
+      prev_status: prev ? String(prev.status || "") : null,
+      prev_name: issued ? String(prev.name || "") : null,
+      prev_branch: issued ? String(prev.branch || "") : null,
+      prev_amount_cents: issued ? Number(prev.amount_cents) : null,
+      changes,
+    };
+
+    if (!email) {
+      ng++;
+      setRow(r.row_index, "NEEDS_EMAIL", "missing_email", null, detail);
+      continue;
+    }
+
+    ok++;
+    setRow(r.row_index, !issued ? "NEW" : changes.length ? "CHANGED" : "UNCHANGED", null, email, detail);
+  }
+
+  stmts.push(env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_import_job
+    SET ok_rows=ok_rows+?,
+        ng_rows=ng_rows+?,
+        processed_rows=MIN(total_rows, processed_rows+?),
+        next_index=?,
+        updated_at=datetime('now')
+    WHERE job_id=?
+  `).bind(ok, ng, ok + ng, parsed[parsed.length - 1].row_index + 1, job_id));
+  await env.RECEIPTS_DB.batch(stmts);
+
+  const cur = await env.RECEIPTS_DB.prepare(`SELECT status FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+  if (String(cur?.status || "").toUpperCase() !== "RUNNING") return;
+
+  if (list.length < BATCH) await finish();
+  else await env.IMPORT_Q.send({ type: "dryrun_rows", job_id });
+}
+
+// 取消した import の書き込みを戻す
+// - receipt_annual.last_job_id がこの job で、今の issue_id もこの job の発行である行だけ対象
+//   （後から別 job / rebuild / correct が書いた行は触らない）
+// - この job の最初の発行より前の発行（receipt_issuance）があればその値と PDF に戻す。無ければ行と PDF を消す
+async function handleRollbackRows(env, job_id) {
+  const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_import_job WHERE job_id=?`).bind(job_id).first();
+  if (!job || String(job.status || "").toUpperCase() !== "CANCELLED") return;
+
+  const res = await env.RECEIPTS_DB.prepare(`
+    SELECT * FROM receipt_import_row
+    WHERE job_id=? AND status IN ('DONE','NEEDS_EMAIL','ERROR')
+    ORDER BY row_index
+    LIMIT 10
+  `).bind(job_id).all();
+  const list = res.results || [];
+
+  for (const r of list) {
+    const member_id = String(r.member_id || "").trim();
+    const year = normYear(r.year) || Number(job.year);
+
+    const row = member_id && year
+      ? await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_annual WHERE year=? AND member_id=? AND last_job_id=?`)
+        .bind(year, member_id, job_id)
+        .first()
+      : null;
+
+    // rebuild / correct は last_job_id を変えないので、今の発行がこの job のものかを issuance で確かめる
+    const cur = row?.issue_id
+      ? await env.RECEIPTS_DB.prepare(`SELECT job_id FROM receipt_issuance WHERE issue_id=?`).bind(row.issue_id).first()
+      : null;
+    const ours = row && (!row.issue_id || String(cur?.job_id || "") === job_id);
+
+    if (ours) {
+      // この job の最初の発行より前で一番新しいもの（job の発行が無ければ最新）
+      const first = await env.RECEIPTS_DB.prepare(`
+        SELECT MIN(seq) AS seq FROM receipt_issuance WHERE year=? AND member_id=? AND job_id=?
+      `).bind(year, member_id, job_id).first();
+      const prev = await env.RECEIPTS_DB.prepare(`
+        SELECT * FROM receipt_issuance
+        WHERE year=? AND member_id=? AND seq<?
+        ORDER BY seq DESC
+        LIMIT 1
+      `).bind(year, member_id, first?.seq ?? Number.MAX_SAFE_INTEGER).first();
+
+      const pdf_key = `receipts/${member_id}/${year}.pdf`;
+      if (prev) {
+        let f = {};
+        try { f = JSON.parse(prev.fields || "{}"); } catch {}
+
+        const obj = await env.RECEIPTS_BUCKET.get(prev.pdf_key);
+        if (obj) await env.RECEIPTS_BUCKET.put(pdf_key, await obj.arrayBuffer(), { httpMetadata: { contentType: "application/pdf" } });
+
+        await env.RECEIPTS_DB.prepare(`
+          UPDATE receipt_annual
+          SET branch=?, name=?, amount_cents=?, issue_date=?, pdf_key=?, status='DONE', error=NULL,
+              issue_id=?, template_version=?, last_job_id=?
+          WHERE year=? AND member_id=?
+        `).bind(
+          String(f.branch ?? row.branch ?? ""), String(f.name ?? row.name ?? ""), Number(f.amount_cents ?? 0),
+          String(f.date || ""), obj ? pdf_key : "", prev.issue_id, prev.template_version, prev.job_id ?? null,
+          year, member_id
+        ).run();
+      } else {
+        await env.RECEIPTS_DB.batch([
+          env.RECEIPTS_DB.prepare(`DELETE FROM receipt_annual WHERE year=? AND member_id=?`).bind(year, member_id),
+          voidReceiptNoStmt(env, { year, member_id, reason: `rolled_back:${job_id}` }),
+        ]);
+        try { await env.RECEIPTS_BUCKET.delete(pdf_key); } catch {}
+      }
+    }
+
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_import_row SET status='ROLLED_BACK', updated_at=datetime('now') WHERE job_id=? AND row_index=?
+    `).bind(job_id, r.row_index).run();
+  }
+
+  if (list.length) {
+    await env.IMPORT_Q.send({ type: "rollback_rows", job_id });
+    return;
+  }
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_import_job SET phase='ROLLED_BACK', updated_at=datetime('now') WHERE job_id=?
+  `).bind(job_id).run();
+}
+
+async function handleRebuildRows(env, job_id) {
+  const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_job WHERE job_id=?`).bind(job_id).first();
+  if (!job || String(job.status || "").toUpperCase() !== "RUNNING") return;
+
+  const params = parseJobRow(job).params || {};
+  const list = await claimJobRows(env, job_id, 3, "PROCESSING");
+
+  const t0 = Date.now();
+  const TIME_LIMIT_MS = 2500;
+  let ok = 0, ng = 0, processed = 0;
+
+  try {
+    for (const r of list) {
+      if (Date.now() - t0 > TIME_LIMIT_MS) break;
+      processed++;
+
+      const member_id = String(r.member_id || "").trim();
+      const year = Number(r.year || job.year);
+
+      const row = await env.RECEIPTS_DB
+        .prepare(`SELECT * FROM receipt_annual WHERE year=? AND member_id=?`)
+        .bind(year, member_id)
+        .first();
+
+      if (!row) {
+        ng++;
+        await setJobRow(env, job_id, r.row_index, "ERROR", "row_not_found");
+        continue;
+      }
+
+      let name = String(row.name || "");
+      if (params.refresh_names) {
+        // 名前変更の反映（取れなければ D1 の値のまま）
+        try {
+          const hs = await hubspotGetContactByIdProperty(env, member_id, "member_id", ["email", "firstname", "lastname"]);
+          if (hs && hs.ok) {
+            const p = (await hs.json()).properties || {};
+            name = fmtName(p.firstname, p.lastname, normEmail(p.email)) || name;
+          }
+        } catch {}
+      }
+
+      try {
+        const issue_date = String(row.issue_date || "") || todayISO();
+
+        // 訂正版を作り直すときは訂正表示（参照先）を引き継ぐ
+        const cur = row.issue_id
+          ? await env.RECEIPTS_DB.prepare(`SELECT kind, fields FROM receipt_issuance WHERE issue_id=?`).bind(row.issue_id).first()
+          : null;
+        let curFields = {};
+        try { curFields = JSON.parse(cur?.fields || "{}"); } catch {}
+
+        const issued = await issueReceipt(env, {
+          year,
+          member_id,
+          branch: row.branch,
+          name,
+          amount_cents: Number(row.amount_cents || 0),
+          issue_date,
+          source: "REBUILD",
+          job_id,
+          issued_by: job.created_by,
+          kind: cur?.kind || "ORIGINAL",
+          supersedes_issue_id: row.issue_id || null,
+          amend_ref: curFields.amend || null,
+          items: curFields.items || null,
+          itemized: curFields.itemized === true,
+        });
+
+        await env.RECEIPTS_DB.prepare(`
+          UPDATE receipt_annual
+          SET name=?, issue_date=?, pdf_key=?, status='DONE', error=NULL, issue_id=?, template_version=?
+          WHERE year=? AND member_id=?
+        `).bind(name, issue_date, issued.pdf_key, issued.issue_id, issued.template_version, year, member_id).run();
+
+        await setJobRow(env, job_id, r.row_index, "DONE", null);
+        ok++;
+      } catch (e) {
+        ng++;
+        await setJobRow(env, job_id, r.row_index, "ERROR", `pdf_failed:${String(e?.message || e)}`);
+      }
+    }
+  } finally {
+    // 時間切れ / 例外で手を付けなかった行は次の consumer に回す（結果を書いた行はもう PROCESSING ではない）
+    await releaseJobRows(env, job_id, list, "PROCESSING");
+  }
+
+  await advanceJob(env, job_id, "rebuild_rows", { ok, ng, processed });
+}
+
+// --- export_rows: 1 年分の PDF を ZIP にまとめて R2 へ（監査・オフライン保管用） ---
+// ZIP は R2 multipart upload に少しずつ流す（全部をメモリに載せない）
+// R2 の part は「最後以外は同じサイズ・5 MiB 以上」なので、端数は次の回へ carry（R2 の一時オブジェクト）
+// central directory 用の情報（crc/size/offset）と manifest の中身は receipt_job_row.detail に残す
+// ZIP64 は作らないので 4 GiB / 65535 件まで
+// 完了せずに終わる job（FAILED / CANCELLED）は multipart upload を abort して carry も消す（R2 に残さない）
+const EXPORT_PART_BYTES = 5 * 1024 * 1024;
+const EXPORT_BATCH = 25;
+const EXPORT_MANIFEST_HEADER = ["file", "member_id", "branch", "name", "receipt_no", "serial", "amount", "issue_date", "bytes", "sha256", "status", "error"];
+
+function exportPathPart(v) {
+  return String(v ?? "").replace(/[\\/:*?"<>|\u0000-\u001f]/g, "_").trim();
+}
+function exportZipKey(year, branch, job_id) {
+  const b = exportPathPart(branch).replace(/\s+/g, "_");
+  return `exports/${year}/receipts_${year}${b ? `_${b}` : ""}_${job_id.slice(0, 8)}.zip`;
+}
+
+// 未完了の multipart upload と carry（exports/tmp/{job_id}/ 以下; 途中で落ちた回の分も）を消して result から外す
+async function discardExportUpload(env, job_id, st) {
+  const bucket = env.RECEIPTS_BUCKET;
+  if (st.upload_id) {
+    try { await bucket.resumeMultipartUpload(st.key, st.upload_id).abort(); } catch {}
+  }
+  let cursor;
+  do {
+    const page = await bucket.list({ prefix: `exports/tmp/${job_id}/`, cursor });
+    if (page.objects.length) await bucket.delete(page.objects.map((o) => o.key));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+
+  Object.assign(st, { upload_id: null, parts: [], carry_key: null, discarded_at: new Date().toISOString() });
+  await env.RECEIPTS_DB.prepare(`UPDATE receipt_job SET result=? WHERE job_id=?`).bind(JSON.stringify(st), job_id).run();
+}
+
+async function failExportJob(env, job_id, error) {
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job SET status='FAILED', last_error=?, updated_at=datetime('now') WHERE job_id=? AND status='RUNNING'
+  `).bind(error, job_id).run();
+  const job = await env.RECEIPTS_DB.prepare(`SELECT result FROM receipt_job WHERE job_id=?`).bind(job_id).first();
+  await discardExportUpload(env, job_id, parseJobRow(job)?.result || {});
+}
+
+async function handleExportRows(env, job_id) {
+  const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_job WHERE job_id=?`).bind(job_id).first();
+  if (!job) return;
+
+  const { params, result } = parseJobRow(job);
+  const status = String(job.status || "").toUpperCase();
+  if (status !== "RUNNING") {
+    // 止められた job の残り（DONE は complete 済みなので何も無い）
+    if (status !== "DONE" && (result?.upload_id || result?.carry_key)) await discardExportUpload(env, job_id, result);
+    return;
+  }
+
+  const st = result || {};
+  const year = Number(job.year);
+  const bucket = env.RECEIPTS_BUCKET;
+  const enc = new TextEncoder();
+
+  // 初回: upload を開始して id を先に保存（retry しても同じ upload に書く）
+  if (!st.upload_id) {
+    const key = exportZipKey(year, params?.branch, job_id);
+    const up = await bucket.createMultipartUpload(key, { httpMetadata: { contentType: "application/zip" } });
+    Object.assign(st, { key, upload_id: up.uploadId, parts: [], offset: 0, entries: 0, carry_key: null, started_at: new Date().toISOString() });
+    await env.RECEIPTS_DB.prepare(`UPDATE receipt_job SET result=? WHERE job_id=?`).bind(JSON.stringify(st), job_id).run();
+  }
+  const upload = bucket.resumeMultipartUpload(st.key, st.upload_id);
+  const dt = dosDateTime(new Date(st.started_at));
+
+  // part に満たない分は持ち越し（final なら残り全部を最後の part に）
+  let buf = [], bufLen = 0;
+  const push = (b) => { buf.push(b); bufLen += b.length; };
+  const flush = async (final) => {
+    while (bufLen >= EXPORT_PART_BYTES || (final && bufLen > 0)) {
+      const all = concatBytes(buf);
+      const n = final ? all.length : EXPORT_PART_BYTES;
+      const part = await upload.uploadPart(st.parts.length + 1, all.subarray(0, n));
+      st.parts.push({ partNumber: part.partNumber, etag: part.etag });
+      buf = [all.slice(n)];
+      bufLen = all.length - n;
+    }
+  };
+  if (st.carry_key) {
+    const c = await bucket.get(st.carry_key);
+    if (!c) throw new Error("export_carry_missing");
+    push(new Uint8Array(await c.arrayBuffer()));
+  }
+
+  const list = await nextJobRows(env, job_id, EXPORT_BATCH);
+  const t0 = Date.now();
+  const TIME_LIMIT_MS = 20000;
+  let ok = 0, ng = 0, processed = 0, tooLarge = false;
+  const results = [];
+
+  for (const r of list) {
+    if (Date.now() - t0 > TIME_LIMIT_MS) break;
+
+    const member_id = String(r.member_id || "").trim();
+    const row = await env.RECEIPTS_DB.prepare(`
+      SELECT a.branch, a.name, a.amount_cents, a.issue_date, i.serial, n.receipt_no
+      FROM receipt_annual a
+      LEFT JOIN receipt_issuance i ON i.issue_id=a.issue_id
+      LEFT JOIN receipt_number n ON n.year=a.year AND n.member_id=a.member_id AND n.status='ACTIVE'
+      WHERE a.year=? AND a.member_id=?
+    `).bind(year, member_id).first();
+    const obj = row ? await bucket.get(`receipts/${member_id}/${year}.pdf`) : null;
+    // manifest / central directory の分も残して 4 GiB 手前で止める
+    if (obj && st.offset + Number(obj.size || 0) > 0xffffffff - EXPORT_PART_BYTES) { tooLarge = true; break; }
+    processed++;
+
+    const detail = {
+      branch: row?.branch ?? null, name: row?.name ?? null, receipt_no: row?.receipt_no ?? null, serial: row?.serial ?? null,
+      amount_cents: row ? Number(row.amount_cents || 0) : null, issue_date: row?.issue_date ?? null,
+    };
+    if (!obj) {
+      ng++;
+      results.push({ row_index: r.row_index, member_id, status: "ERROR", error: row ? "pdf_not_found" : "row_not_found", detail });
+      continue;
+    }
+
+    const data = new Uint8Array(await obj.arrayBuffer());
+    const file = `${exportPathPart(row.branch) || "no_branch"}/${exportPathPart(member_id)}_${year}.pdf`;
+    const crc = crc32(data);
+    const { local } = zipEntryHeaders(enc.encode(file), crc, data.length, st.offset, dt);
+    Object.assign(detail, { file, crc, size: data.length, offset: st.offset, sha256: await sha256HexBytes(data) });
+
+    push(local);
+    push(data);
+    st.offset += local.length + data.length;
+    st.entries++;
+    ok++;
+    results.push({ row_index: r.row_index, member_id, status: "DONE", error: null, detail });
+    await flush(false);
+  }
 
-  if (!csvObj) {
-    try { await env.RECEIPTS_DB.prepare(`UPDATE receipt_import_job SET status='ERROR' WHERE job_id=?`).bind(job_id).run(); } catch {}
+  if (tooLarge) {
+    await failExportJob(env, job_id, "export_too_large");
     return;
   }
 
-  const csvText = await csvObj.text();
-  const rows = parseCsv(csvText);
-  const total = rows.length;
+  const pending = await env.RECEIPTS_DB.prepare(`
+    SELECT COUNT(*) AS n FROM receipt_job_row WHERE job_id=? AND status='PENDING'
+  `).bind(job_id).first();
+  const finished = Number(pending?.n || 0) - processed <= 0;
+  const oldCarry = st.carry_key;
+
+  if (finished) {
+    // manifest.csv → central directory → end record を足して upload を閉じる
+    const prev = await env.RECEIPTS_DB.prepare(`
+      SELECT row_index, member_id, status, error, detail FROM receipt_job_row WHERE job_id=? AND status<>'PENDING' ORDER BY row_index
+    `).bind(job_id).all();
+    const all = [
+      ...(prev.results || []).map((x) => ({ ...x, detail: x.detail ? JSON.parse(x.detail) : {} })),
+      ...results,
+    ].sort((a, b) => a.row_index - b.row_index);
+
+    const money = (c) => c == null ? "" : (Number(c) / 100).toFixed(2);
+    const manifest = enc.encode(toCsv(EXPORT_MANIFEST_HEADER, all.map(({ member_id, status, error, detail: d }) => [
+      d.file || "", member_id, d.branch ?? "", d.name ?? "", d.receipt_no ?? "", d.serial ?? "", money(d.amount_cents), d.issue_date ?? "",
+      d.size ?? "", d.sha256 ?? "", status, error ?? "",
+    ])));
+    const m = { name: enc.encode("manifest.csv"), crc: crc32(manifest), size: manifest.length, offset: st.offset };
+    const entries = [
+      ...all.filter((x) => x.status === "DONE").map((x) => ({ name: enc.encode(x.detail.file), crc: x.detail.crc, size: x.detail.size, offset: x.detail.offset })),
+      m,
+    ];
+    const mh = zipEntryHeaders(m.name, m.crc, m.size, m.offset, dt).local;
+    push(mh);
+    push(manifest);
+    const cdOffset = st.offset + mh.length + manifest.length;
+
+    let cdSize = 0;
+    for (const e of entries) {
+      const { central } = zipEntryHeaders(e.name, e.crc, e.size, e.offset, dt);
+      push(central);
+      cdSize += central.length;
+    }
+    push(zipEndRecord(entries.length, cdSize, cdOffset));
+    await flush(true);
+    await upload.complete(st.parts);
 
-  try {
-    await env.RECEIPTS_DB.prepare(`
-      UPDATE receipt_import_job
-      SET total_rows=?, next_index=0, processed_rows=0, ok_rows=0, ng_rows=0, status='RUNNING', updated_at=datetime('now')
-      WHERE job_id=?
-    `).bind(total, job_id).run();
-  } catch {}
+    Object.assign(st, { size: cdOffset + cdSize + 22, entries: entries.length, upload_id: null, parts: [], carry_key: null, completed_at: new Date().toISOString() });
+  } else {
+    // 次の回に持ち越す端数（key は offset ごとに変える → 途中で落ちても前の carry が残る）
+    st.carry_key = null;
+    if (bufLen) {
+      st.carry_key = `exports/tmp/${job_id}/${st.offset}.bin`;
+      await bucket.put(st.carry_key, concatBytes(buf));
+    }
+  }
 
-  try { await env.RECEIPTS_DB.prepare(`UPDATE receipt_import_job SET phase='PROCESSING' WHERE job_id=?`).bind(job_id).run(); } catch {}
+  await env.RECEIPTS_DB.batch([
+    ...results.map((x) => env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_job_row SET status=?, error=?, detail=?, updated_at=datetime('now') WHERE job_id=? AND row_index=?
+    `).bind(x.status, x.error, JSON.stringify(x.detail), job_id, x.row_index)),
+    env.RECEIPTS_DB.prepare(`UPDATE receipt_job SET result=? WHERE job_id=?`).bind(JSON.stringify(st), job_id),
+  ]);
+  if (oldCarry && oldCarry !== st.carry_key) {
+    try { await bucket.delete(oldCarry); } catch {}
+  }
 
-  await env.RECEIPTS_DB.prepare(`DELETE FROM receipt_import_row WHERE job_id=?`).bind(job_id).run();
+  await advanceJob(env, job_id, "export_rows", { ok, ng, processed });
+}
 
-  const CHUNK = 200;
-  for (let base = 0; base < total; base += CHUNK) {
-    const slice = rows.slice(base, base + CHUNK);
-    const stmts = slice.map((r, i) =>
-      env.RECEIPTS_DB.prepare(`
-        INSERT INTO receipt_import_row(job_id,row_index,member_id,branch,amount,year,status,updated_at)
-        VALUES(?,?,?,?,?,?, 'PENDING', datetime('now'))
-      `).bind(
-        job_id,
-        base + i,
-        String(r.member_id || "").trim(),
-        String(r.branch || "").trim(),
-        String(r.amount || "").trim(),
-        String(r.year || "").trim()
-      )
-    );
-    await env.RECEIPTS_DB.batch(stmts);
+// --- print_rows: 郵送用（メールの無い会員など）の PDF を分冊で作る ---
+// 並びは job 作成時の row_index（branch, name 順）。cover_sheets なら HubSpot の住所で宛名ページを前に付ける
+// duplex なら 1 人分を偶数ページにそろえる（両面印刷で次の人が裏面に来ないように）
+// 1 回の consumer で 1 冊（最大 PRINT_VOLUME_MEMBERS 人）を新しく作って R2 に置く。
+// 1 本の PDF に追記し続けると読み直し・保存が件数の 2 乗で重くなり、メモリも全体分要るため
+const PRINT_VOLUME_MEMBERS = 50;
+const PRINT_ADDRESS_PROPS = ["firstname", "lastname", "address", "city", "state", "zip", "country"];
+
+function printPdfKey(year, branch, job_id, volume) {
+  const b = exportPathPart(branch).replace(/\s+/g, "_");
+  return `prints/${year}/print_${year}${b ? `_${b}` : ""}_${job_id.slice(0, 8)}_vol${String(volume).padStart(3, "0")}.pdf`;
+}
+
+// 署名済み PDF の署名 widget はコピー先では無効（バイト列が変わる）なので外してからコピーする
+function stripSignatureWidgets(doc) {
+  for (const page of doc.getPages()) {
+    const annots = page.node.lookup(PDFName.of("Annots"));
+    if (!(annots instanceof PDFArray)) continue;
+    const keep = annots.asArray().filter((ref) => {
+      const a = doc.context.lookup(ref);
+      return !(a instanceof PDFDict && a.get(PDFName.of("FT")) === PDFName.of("Sig"));
+    });
+    if (keep.length) page.node.set(PDFName.of("Annots"), doc.context.obj(keep));
+    else page.node.delete(PDFName.of("Annots"));
   }
+}
 
-  await env.IMPORT_Q.send({ type: "process_rows", job_id });
+// 宛名ページ（Letter; 三つ折りで #10 窓付き封筒に入る位置）
+function drawPrintCover(env, page, { font, jpFont }, { member_id, branch, name, year, address }) {
+  const grey = rgb(0.45, 0.45, 0.45);
+  const { height } = page.getSize();
+
+  const ret = String(env.RECEIPT_RETURN_ADDRESS || "World Divine Light").split(/\r?\n|\\n/).map((s) => s.trim()).filter(Boolean);
+  ret.forEach((line, i) => page.drawText(fitText(jpFont, 9, line, 260), { x: 54, y: height - 54 - i * 12, size: 9, font: jpFont }));
+
+  let y = height - 170;
+  const line = (t, size = 11) => {
+    page.drawText(fitText(jpFont, size, t, 300), { x: 72, y, size, font: jpFont });
+    y -= size + 4;
+  };
+  line(name || "(no name)", 12);
+  if (address) {
+    for (const l of String(address.street || "").split(/\r?\n/).map((s) => s.trim()).filter(Boolean)) line(l);
+    const cityLine = [address.city, [address.state, address.zip].filter(Boolean).join(" ")].filter(Boolean).join(", ");
+    if (cityLine) line(cityLine);
+    if (address.country) line(String(address.country).toUpperCase());
+  } else {
+    page.drawText("ADDRESS MISSING", { x: 72, y: y - 4, size: 11, font, color: rgb(0.75, 0.1, 0.1) });
+  }
+
+  // 三つ折りの目安
+  for (const fy of [height * 2 / 3, height / 3]) {
+    page.drawLine({ start: { x: 0, y: fy }, end: { x: 18, y: fy }, thickness: 0.5, color: grey });
+  }
+  const info = `Annual Donation Receipt ${year} · member ${member_id}${branch ? ` · ${branch}` : ""}`;
+  page.drawText(fitText(jpFont, 8, info, 480), { x: 72, y: 48, size: 8, font: jpFont, color: grey });
 }
 
-async function handleProcessRows(env, job_id) {
-  const job = await env.RECEIPTS_DB
-    .prepare(`SELECT * FROM receipt_import_job WHERE job_id=?`)
-    .bind(job_id)
-    .first();
+async function handlePrintRows(env, job_id) {
+  const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_job WHERE job_id=?`).bind(job_id).first();
+  if (!job || String(job.status || "").toUpperCase() !== "RUNNING") return;
+
+  const { params: p, result } = parseJobRow(job);
+  const params = p || {};
+  const st = result || { pages: 0, volumes: [] };
+  const year = Number(job.year);
+
+  // ok / ng は行の状態から数え直して、いまの job の値との差分を足す（冊を書いた後 job 更新前に落ちた retry でもずれない）
+  // 他の consumer が処理中の行（PROCESSING）は数えない
+  const progress = async () => {
+    const c = await env.RECEIPTS_DB.prepare(`
+      SELECT COALESCE(SUM(status='DONE'),0) - (SELECT ok_rows FROM receipt_job WHERE job_id=?) AS ok,
+             COALESCE(SUM(status NOT IN ('DONE','PENDING','PROCESSING')),0) - (SELECT ng_rows FROM receipt_job WHERE job_id=?) AS ng
+      FROM receipt_job_row WHERE job_id=?
+    `).bind(job_id, job_id, job_id).first();
+    const ok = Number(c?.ok || 0), ng = Number(c?.ng || 0);
+    return { ok, ng, processed: ok + ng };
+  };
+  // 残りが無ければ閉じる。他の consumer が行を持っていれば advanceJob は閉じずに返る
+  const next = async () => {
+    const left = await jobRowsLeft(env, job_id);
+    if (!left.pending && !left.claimed) return await finishPrintJob(env, job_id, year, params, st, await progress());
+    await advanceJob(env, job_id, "print_rows", await progress());
+  };
 
-  if (!job) return;
+  const list = await claimJobRows(env, job_id, PRINT_VOLUME_MEMBERS, "PROCESSING");
+  if (!list.length) return await next();
 
-  const total = Number(job.total_rows || 0);
+  try {
+    // 冊番号は書き終えた冊の数 + 1（R2 に置いた後に落ちても同じ key に書き直すだけ）
+    const volume = st.volumes.length + 1;
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(`Donation receipts ${year} (print) vol. ${volume}`);
+    pdf.registerFontkit(fontkit);
+
+    // 宛名（HubSpot が落ちていたら throw → Queue retry）
+    let fonts = null, addresses = new Map();
+    if (params.cover_sheets) {
+      fonts = { font: await pdf.embedFont(StandardFonts.Helvetica), jpFont: await pdf.embedFont(await jpFontBytes(env), { subset: true }) };
+      addresses = await hubspotBatchReadByIdProperty(env, list.map((r) => String(r.member_id)), "member_id", PRINT_ADDRESS_PROPS);
+    }
 
-  // すでにDONEなら何もしない
-  if (String(job.status || "").toUpperCase() === "DONE") return;
+    const t0 = Date.now();
+    const TIME_LIMIT_MS = 20000;
+    const results = [];
+    let members = 0;
+
+    for (const r of list) {
+      if (Date.now() - t0 > TIME_LIMIT_MS) break;
+
+      const member_id = String(r.member_id || "").trim();
+      const row = await env.RECEIPTS_DB.prepare(`
+        SELECT branch, name, amount_cents, status, error, issue_id, last_job_id FROM receipt_annual WHERE year=? AND member_id=?
+      `).bind(year, member_id).first();
+      if (!row) {
+        results.push({ row_index: r.row_index, status: "ERROR", error: "row_not_found", detail: null });
+        continue;
+      }
 
-  let next_index = Number(job.next_index || 0);
-  if (!Number.isFinite(next_index)) next_index = 0;
+      try {
+        // 発行するのは取込時にメールが無くて PDF を作らなかった行だけ（他の理由で DONE でない行は出さない）
+        const needsIssue = String(row.status || "").toUpperCase() !== "DONE";
+        if (needsIssue && row.error !== "missing_email") {
+          results.push({ row_index: r.row_index, status: "ERROR", error: `not_issued:${row.error || row.status || ""}`, detail: null });
+          continue;
+        }
+        if (needsIssue) await issueMissingEmailReceipt(env, { year, member_id, row, job_id, issued_by: job.created_by });
 
-  // 1回で処理する行数（小さく保つ：止まらないコア）
-  const BATCH = 3;
+        const obj = await env.RECEIPTS_BUCKET.get(`receipts/${member_id}/${year}.pdf`);
+        if (!obj) {
+          results.push({ row_index: r.row_index, status: "ERROR", error: "pdf_not_found", detail: null });
+          continue;
+        }
 
-  // next_index 以降の PENDING を拾う
-  let rowsRes = await env.RECEIPTS_DB.prepare(`
-    SELECT * FROM receipt_import_row
-    WHERE job_id=? AND row_index>=? AND status='PENDING'
-    ORDER BY row_index
-    LIMIT ?
-  `).bind(job_id, next_index, BATCH).all();
+        const src = await PDFDocument.load(await obj.arrayBuffer());
+        stripSignatureWidgets(src);
+        const first = pdf.getPageCount();
+        const detail = needsIssue ? { issued: true } : {}; // この job で発行した
+
+        if (params.cover_sheets) {
+          const hp = addresses.get(member_id);
+          const address = hp && String(hp.address || "").trim()
+            ? { street: hp.address, city: hp.city, state: hp.state, zip: hp.zip, country: hp.country }
+            : null;
+          drawPrintCover(env, pdf.addPage([612, 792]), fonts, { member_id, branch: row.branch, name: row.name, year, address });
+          if (!address) detail.address_missing = true;
+          if (params.duplex) pdf.addPage([612, 792]);
+        }
 
-  let list = rowsRes.results || [];
+        const copied = await pdf.copyPages(src, src.getPageIndices());
+        for (const pg of copied) pdf.addPage(pg);
+        if (params.duplex && copied.length % 2) {
+          const { width, height } = copied[copied.length - 1].getSize();
+          pdf.addPage([width, height]);
+        }
 
-  // next_index以降にPENDINGが無いなら、全体の最小PENDINGへ寄せる（穴あき対策）
-  if (!list.length) {
-    const minPending = await env.RECEIPTS_DB.prepare(`
-      SELECT MIN(row_index) AS m
-      FROM receipt_import_row
-      WHERE job_id=? AND status='PENDING'
-    `).bind(job_id).first();
+        detail.volume = volume;
+        detail.first_page = first + 1;
+        detail.pages = pdf.getPageCount() - first;
+        members++;
+        results.push({ row_index: r.row_index, status: "DONE", error: null, detail });
+      } catch (e) {
+        results.push({ row_index: r.row_index, status: "ERROR", error: `pdf_failed:${String(e?.message || e)}`, detail: null });
+      }
+    }
 
-    const m = minPending?.m;
-    if (m === null || m === undefined) {
-      // PENDINGが無い＝完了
-      await env.RECEIPTS_DB.prepare(`
-        UPDATE receipt_import_job
-        SET status='DONE',
-            next_index=?,
-            processed_rows=?,
-            updated_at=datetime('now')
-        WHERE job_id=?
-      `).bind(total, total, job_id).run();
-      return;
+    // 全員失敗した回は冊を作らない
+    if (members) {
+      const key = printPdfKey(year, params.branch, job_id, volume);
+      const bytes = await pdf.save();
+      await env.RECEIPTS_BUCKET.put(key, bytes, { httpMetadata: { contentType: "application/pdf" } });
+      st.volumes.push({ volume, key, size: bytes.length, pages: pdf.getPageCount(), members });
+      st.pages = Number(st.pages || 0) + pdf.getPageCount();
     }
 
-    next_index = Number(m);
-    rowsRes = await env.RECEIPTS_DB.prepare(`
-      SELECT * FROM receipt_import_row
-      WHERE job_id=? AND row_index>=? AND status='PENDING'
-      ORDER BY row_index
-      LIMIT ?
-    `).bind(job_id, next_index, BATCH).all();
-
-    list = rowsRes.results || [];
-    if (!list.length) return;
+    await env.RECEIPTS_DB.batch([
+      ...results.map((x) => env.RECEIPTS_DB.prepare(`
+        UPDATE receipt_job_row SET status=?, error=?, detail=?, updated_at=datetime('now') WHERE job_id=? AND row_index=?
+      `).bind(x.status, x.error, x.detail ? JSON.stringify(x.detail) : null, job_id, x.row_index)),
+      env.RECEIPTS_DB.prepare(`UPDATE receipt_job SET result=? WHERE job_id=?`).bind(JSON.stringify(st), job_id),
+    ]);
+  } finally {
+    // 途中で落ちた（HubSpot / R2）回の行は次の consumer に回す。結果を書いた行はもう PROCESSING ではない
+    await releaseJobRows(env, job_id, list, "PROCESSING");
   }
 
-  // time guard（consumerでも短く）
+  await next();
+}
+
+// 取込時にメールが無くて PDF を作っていない行（ERROR missing_email）は郵送用にここで発行する
+// 明細は取込 job と同じ扱い。発行後は DONE + email_status='NEEDS_EMAIL'（メールが来たら通常どおり送れる）
+async function issueMissingEmailReceipt(env, { year, member_id, row, job_id, issued_by }) {
+  const ij = row.last_job_id
+    ? await env.RECEIPTS_DB.prepare(`SELECT params FROM receipt_import_job WHERE job_id=?`).bind(row.last_job_id).first()
+    : null;
+  const ip = parseJobRow(ij)?.params || {};
+  const items = ip.source === "transactions" ? await giftItems(env, row.last_job_id, year, member_id) : null;
+  const issue_date = todayISO();
+
+  const issued = await issueReceipt(env, {
+    year,
+    member_id,
+    branch: row.branch,
+    name: row.name,
+    amount_cents: Number(row.amount_cents || 0),
+    issue_date,
+    source: "PRINT",
+    job_id,
+    issued_by,
+    supersedes_issue_id: row.issue_id || null,
+    items: items && items.length ? items : null,
+    itemized: ip.itemize === true,
+  });
+
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_annual
+    SET issue_date=?, pdf_key=?, status='DONE', error=NULL, issue_id=?, template_version=?, email_status='NEEDS_EMAIL', email_error='missing_email'
+    WHERE year=? AND member_id=?
+  `).bind(issue_date, issued.pdf_key, issued.issue_id, issued.template_version, year, member_id).run();
+}
+
+// job を閉じる（mark_mailed=true の job だけここで mailed_at を付ける。通常は投函後に print/mark-mailed）
+async function finishPrintJob(env, job_id, year, params, st, counts) {
+  if (params.mark_mailed === true && st.mailed == null) await markPrintJobMailed(env, job_id, year, null);
+  await advanceJob(env, job_id, "print_rows", counts);
+}
+
+// PDF に入った会員（volumes 指定ならその冊の分）に mailed_at を付け、job の result.mailed を数え直す
+async function markPrintJobMailed(env, job_id, year, volumes) {
+  let sql = `SELECT member_id FROM receipt_job_row WHERE job_id=? AND status='DONE'`;
+  const binds = [job_id];
+  if (volumes) { sql += ` AND json_extract(detail, '$.volume') IN (${volumes.map(() => "?").join(",")})`; binds.push(...volumes); }
+
+  const res = await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_annual SET mailed_at=datetime('now'), mailed_job_id=?
+    WHERE year=? AND member_id IN (${sql})
+  `).bind(job_id, year, ...binds).run();
+  await env.RECEIPTS_DB.prepare(`
+    UPDATE receipt_job
+    SET result=json_set(COALESCE(result,'{}'), '$.mailed', (SELECT COUNT(*) FROM receipt_annual WHERE year=? AND mailed_job_id=?))
+    WHERE job_id=?
+  `).bind(year, job_id, job_id).run();
+  return Number(res?.meta?.changes || 0);
+}
+
+// Resend は 2 req/s（既定）なので 1 通ごとに間隔をあける
+const EMAIL_MIN_INTERVAL_MS = 550;
+const EMAIL_THROTTLE_DELAY_SEC = 30;
+const EMAIL_MAX_THROTTLES = 20;
+
+async function handleEmailRows(env, job_id) {
+  const job = await env.RECEIPTS_DB.prepare(`SELECT * FROM receipt_job WHERE job_id=?`).bind(job_id).first();
+  if (!job || String(job.status || "").toUpperCase() !== "RUNNING") return;
+
+  const j = parseJobRow(job);
+  const params = j.params || {};
+  const result = j.result || { sent: 0, failed: 0, needs_email: 0, dry_run: 0, skipped: 0, throttled: 0, throttle_streak: 0 };
+  const list = await claimJobRows(env, job_id, 4);
+
   const t0 = Date.now();
   const TIME_LIMIT_MS = 2500;
+  let ok = 0, ng = 0, processed = 0;
+  let throttled = false;
+  const done = new Set();
 
-  let ok = 0;
-  let ng = 0;
-  let maxRowIndex = next_index;
+  try {
+    for (const r of list) {
+      if (Date.now() - t0 > TIME_LIMIT_MS) break;
+
+      const row = await env.RECEIPTS_DB
+        .prepare(`SELECT year, member_id, name, amount_cents, status, email, email_status FROM receipt_annual WHERE year=? AND member_id=?`)
+        .bind(Number(r.year || job.year), r.member_id)
+        .first();
+
+      // 途中で削除 / 個別送信済み / 未完了になった行は飛ばす
+      if (!row || String(row.status || "").toUpperCase() !== "DONE" || String(row.email_status || "") === "SENT") {
+        processed++;
+        result.skipped++;
+        await setJobRow(env, job_id, r.row_index, "SKIPPED", row ? null : "row_not_found");
+        done.add(r.row_index);
+        continue;
+      }
 
-  for (const r of list) {
-    if (Date.now() - t0 > TIME_LIMIT_MS) break;
+      const started = Date.now();
+      const d = await deliverReceiptEmail(env, row, { dry_run: params.dry_run === true });
 
-    const row_index = Number(r.row_index);
-    maxRowIndex = Math.max(maxRowIndex, row_index + 1);
+      if (d.status === "THROTTLED") {
+        throttled = true;
+        result.throttled++;
+        result.throttle_streak = Number(result.throttle_streak || 0) + 1;
+        break;
+      }
 
-    const member_id = String(r.member_id || "").trim();
-    const branch = String(r.branch || "").trim();
-    const cents = parseMoneyToCents(r.amount);
-    const year = normYear(r.year) || Number(job.year);
+      processed++;
+      result.throttle_streak = 0;
+      if (d.status === "SENT") { ok++; result.sent++; }
+      else if (d.status === "DRY_RUN") { ok++; result.dry_run++; }
+      else if (d.status === "NEEDS_EMAIL") { ng++; result.needs_email++; }
+      else { ng++; result.failed++; }
 
-    // 入力不正
-    if (!member_id || !branch || cents === null || !year) {
-      ng++;
-      await env.RECEIPTS_DB.prepare(`
-        UPDATE receipt_import_row
-        SET status='ERROR',
-            error='invalid_row',
-            updated_at=datetime('now')
-        WHERE job_id=? AND row_index=?
-      `).bind(job_id, row_index).run();
-      continue;
+      await setJobRow(env, job_id, r.row_index, d.status, d.error || null);
+      done.add(r.row_index);
+
+      const wait = EMAIL_MIN_INTERVAL_MS - (Date.now() - started);
+      if (wait > 0 && !params.dry_run) await new Promise((res) => setTimeout(res, wait));
     }
+  } finally {
+    // 時間切れ / 429 / 例外で送らなかった行は次の consumer に回す
+    await releaseJobRows(env, job_id, list.filter((r) => !done.has(r.row_index)));
+  }
 
-    // HubSpot lookup
-    const hs = await hubspotGetContactByIdProperty(
-      env,
-      member_id,
-      "member_id",
-      ["email", "firstname", "lastname", "receipt_years_available"]
-    ).catch(() => null);
+  await env.RECEIPTS_DB.prepare(`UPDATE receipt_job SET result=? WHERE job_id=?`).bind(JSON.stringify(result), job_id).run();
 
-    if (!hs || !hs.ok) {
-      ng++;
+  if (throttled) {
+    await env.RECEIPTS_DB.prepare(`
+      UPDATE receipt_job SET ok_rows=ok_rows+?, ng_rows=ng_rows+?, processed_rows=processed_rows+?, updated_at=datetime('now') WHERE job_id=?
+    `).bind(ok, ng, processed, job_id).run();
+
+    // 連続で 429 が続く（= 日次上限など）なら止めて resume 待ち
+    if (result.throttle_streak >= EMAIL_MAX_THROTTLES) {
       await env.RECEIPTS_DB.prepare(`
-        UPDATE receipt_import_row
-        SET status='ERROR',
-            error='hubspot_not_found',
-            updated_at=datetime('now')
-        WHERE job_id=? AND row_index=?
-      `).bind(job_id, row_index).run();
-      continue;
+        UPDATE receipt_job SET status='FAILED', last_error='resend_rate_limited', updated_at=datetime('now') WHERE job_id=?
+      `).bind(job_id).run();
+      return;
     }
+    await env.IMPORT_Q.send({ type: "email_rows", job_id }, { delaySeconds: EMAIL_THROTTLE_DELAY_SEC });
+    return;
+  }
 
-    const p = (await hs.json()).properties || {};
-    const email = normEmail(p.email);
-    const name = fmtName(p.firstname, p.lastname, email);
+  await advanceJob(env, job_id, "email_rows", { ok, ng, processed });
+}
 
-    // Emailなし → NEEDS_EMAIL（止めない）
-    if (!email) {
-      ng++;
+/* ===================== Admin UI HTML ===================== */
+// admin ホストの /admin/receipt で配る 1 枚の画面（データは全部 /api/admin/receipt/* から取る）
+// 認証は API 側と同じ：Cloudflare Access か admin_session cookie（token を貼って auth/session で発行）
 
-      await upsertAnnual(env, {
-        year,
-        member_id,
-        branch,
-        name,
-        amount_cents: cents,
-        issue_date: todayISO(),
-        pdf_key: "",
-        status: "ERROR",
-        error: "missing_email",
-      });
+function adminUiHtml() {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Receipt Admin</title>
+  <style>
+    :root{--b:#e5e7eb;--fg:#111827;--muted:#6b7280;--blue:#2563eb;--red:#b91c1c;--green:#15803d;}
+    body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:0;padding:20px;color:var(--fg);background:#f9fafb;line-height:1.5;font-size:14px}
+    .wrap{max-width:1200px;margin:0 auto}
+    header{display:flex;align-items:center;justify-content:space-between;margin-bottom:14px}
+    h1{font-size:22px;margin:0}
+    h2{font-size:16px;margin:0 0 10px}
+    .card{border:1px solid var(--b);border-radius:14px;padding:18px;background:#fff;margin-bottom:16px}
+    .muted{color:var(--muted);font-size:12px}
+    .tabs{display:flex;gap:8px;margin-bottom:14px}
+    .tabs button{background:#fff;color:var(--fg)}
+    .tabs button.on{background:var(--fg);color:#fff}
+    .row{display:flex;gap:10px;flex-wrap:wrap;align-items:flex-end;margin-top:10px}
+    .field{display:flex;flex-direction:column}
+    .field label{font-weight:600;font-size:12px;margin-bottom:4px}
+    input,select{padding:7px 9px;border:1px solid var(--b);border-radius:8px;font-size:13px;background:#fff}
+    button{padding:8px 12px;border-radius:8px;border:1px solid var(--b);background:#111827;color:#fff;cursor:pointer;font-weight:600;font-size:13px}
+    button.secondary{background:#fff;color:#111827}
+    button.danger{background:var(--red);border-color:var(--red)}
+    button:disabled{opacity:.45;cursor:not-allowed}
+    .msg{margin-top:10px;padding:9px 11px;border:1px solid var(--b);border-radius:8px;background:#f9fafb;white-space:pre-wrap;display:none;font-size:13px}
+    .msg.err{border-color:#fecaca;background:#fef2f2;color:var(--red)}
+    .bar{height:10px;border-radius:6px;background:var(--b);overflow:hidden;margin:8px 0}
+    .bar > div{height:100%;background:var(--blue);width:0}
+    table{border-collapse:collapse;width:100%;font-size:13px}
+    th,td{padding:6px 8px;border-bottom:1px solid var(--b);text-align:left;white-space:nowrap}
+    th{position:sticky;top:0;background:#fff;font-size:12px;color:var(--muted)}
+    th[data-sort]{cursor:pointer}
+    th.sorted{color:var(--fg)}
+    td.num,th.num{text-align:right}
+    .scroll{max-height:60vh;overflow:auto;border:1px solid var(--b);border-radius:10px}
+    .pill{display:inline-block;padding:1px 8px;border-radius:10px;font-size:11px;background:#eef2ff}
+    .pill.ERROR,.pill.FAILED{background:#fee2e2;color:var(--red)}
+    .pill.DONE,.pill.SENT{background:#dcfce7;color:var(--green)}
+    .pill.NEEDS_EMAIL{background:#fef3c7}
+    .split{display:grid;grid-template-columns:1fr 420px;gap:16px}
+    .split.nopv{grid-template-columns:1fr}
+    iframe{width:100%;height:70vh;border:1px solid var(--b);border-radius:10px;background:#fff}
+    ul.issues{margin:6px 0 0;padding-left:18px;max-height:220px;overflow:auto;font-size:12px}
+    a{color:var(--blue)}
+    .hidden{display:none}
+  </style>
+</head>
+<body>
+<div class="wrap">
+  <header>
+    <h1>Receipt Admin</h1>
+    <div class="muted" id="who">…</div>
+  </header>
+
+  <div class="card hidden" id="login">
+    <h2>Sign in</h2>
+    <p class="muted">Open this page through Cloudflare Access, or paste an admin token to start a session.</p>
+    <div class="row">
+      <div class="field" style="flex:1"><label>Admin token</label><input id="token" type="password" placeholder="eyJ…" /></div>
+      <button id="btnLogin">Sign in</button>
+    </div>
+    <div class="msg" id="loginMsg"></div>
+  </div>
 
-      await env.RECEIPTS_DB.prepare(`
-        UPDATE receipt_import_row
-        SET status='NEEDS_EMAIL',
-            error='missing_email',
-            updated_at=datetime('now')
-        WHERE job_id=? AND row_index=?
-      `).bind(job_id, row_index).run();
+  <div id="app" class="hidden">
+    <div class="tabs">
+      <button data-tab="import" class="on">Import</button>
+      <button data-tab="dashboard">Dashboard</button>
+    </div>
 
-      continue;
+    <!-- Import -->
+    <section id="tab-import">
+      <div class="card">
+        <h2>Upload</h2>
+        <div class="row">
+          <div class="field"><label>File (.csv / .xlsx)</label><input id="file" type="file" accept=".csv,.txt,.xlsx,text/csv" /></div>
+          <div class="field"><label>Profile</label><select id="profile"></select></div>
+          <div class="field"><label>Source</label>
+            <select id="source"><option value="totals">Yearly totals</option><option value="transactions">Individual gifts</option></select></div>
+          <div class="field"><label>Duplicates</label>
+            <select id="duplicates"><option value="error">Error</option><option value="sum">Sum</option></select></div>
+          <div class="field"><label>Sheet (xlsx)</label><input id="sheet" placeholder="first sheet" size="12" /></div>
+          <div class="field"><label>&nbsp;</label><label style="font-weight:400"><input id="itemize" type="checkbox" /> Itemize gifts on PDF</label></div>
+        </div>
+        <div class="row">
+          <button id="btnValidate">1. Validate</button>
+          <button id="btnDryRun" class="secondary" disabled>Dry run</button>
+          <button id="btnStart" disabled>2. Start import</button>
+        </div>
+        <div class="msg" id="importMsg"></div>
+        <ul class="issues" id="issues"></ul>
+      </div>
+
+      <div class="card hidden" id="jobCard">
+        <h2>Job <span class="muted" id="jobId"></span></h2>
+        <div id="jobLine"></div>
+        <div class="bar"><div id="jobBar"></div></div>
+        <div class="row">
+          <button class="secondary" id="btnPause">Pause</button>
+          <button class="secondary" id="btnResume">Resume</button>
+          <button class="danger" id="btnCancel">Cancel</button>
+          <a id="lnkFailed" class="hidden" href="#">Download failed rows (CSV)</a>
+          <a id="lnkReport" class="hidden" href="#" target="_blank" rel="noopener">Dry-run report</a>
+        </div>
+      </div>
+    </section>
+
+    <!-- Dashboard -->
+    <section id="tab-dashboard" class="hidden">
+      <div class="card">
+        <div class="row">
+          <div class="field"><label>Year</label><input id="year" type="number" min="2000" max="2100" style="width:90px" /></div>
+          <div class="field"><label>Branch</label><select id="fBranch"><option value="">All</option></select></div>
+          <div class="field"><label>Status</label>
+            <select id="fStatus"><option value="">All</option><option>DONE</option><option>ERROR</option></select></div>
+          <div class="field"><label>Email</label>
+            <select id="fEmail"><option value="">All</option><option value="UNSENT">Not sent</option><option>SENT</option><option>FAILED</option><option>NEEDS_EMAIL</option></select></div>
+          <div class="field" style="flex:1"><label>Search</label><input id="fQ" placeholder="name or member id" /></div>
+          <div class="field"><label>Amount from</label><input id="fMin" inputmode="decimal" size="8" /></div>
+          <div class="field"><label>to</label><input id="fMax" inputmode="decimal" size="8" /></div>
+          <button class="secondary" id="btnLoad">Reload</button>
+        </div>
+        <div class="row">
+          <span class="muted" id="dashInfo"></span>
+          <span class="muted">Branch report: <a id="lnkRepCsv" href="#">CSV</a> · <a id="lnkRepPdf" href="#" target="_blank" rel="noopener">PDF</a></span>
+          <span style="flex:1"></span>
+          <button class="secondary" id="btnMailSel" disabled>Email selected</button>
+          <button class="secondary" id="btnMailAll">Email all unsent…</button>
+          <button class="secondary" id="btnExport">Export ZIP…</button>
+          <button class="secondary" id="btnPrint">Print batch…</button>
+          <button class="danger" id="btnDelSel" disabled>Delete selected…</button>
+        </div>
+        <div class="muted" id="dashTotals" style="margin-top:8px"></div>
+        <div class="msg" id="dashMsg"></div>
+        <span id="jobLinks" class="hidden"></span>
+      </div>
+
+      <div class="split nopv" id="split">
+        <div class="scroll">
+          <table>
+            <thead><tr>
+              <th><input type="checkbox" id="chkAll" /></th>
+              <th data-sort="member_id">Member</th><th data-sort="name">Name</th><th data-sort="branch">Branch</th>
+              <th data-sort="amount" class="num">Amount</th><th data-sort="status">Status</th><th data-sort="email_status">Email</th><th></th>
+            </tr></thead>
+            <tbody id="rows"></tbody>
+          </table>
+          <div class="row" style="margin:8px"><button class="secondary hidden" id="btnMore">Load more</button></div>
+        </div>
+        <div id="pvBox" class="hidden">
+          <div class="row" style="margin:0 0 8px"><b id="pvTitle"></b><span style="flex:1"></span><button class="secondary" id="btnPvClose">Close</button></div>
+          <iframe id="pv" title="Receipt preview"></iframe>
+        </div>
+      </div>
+    </section>
+  </div>
+</div>
+
+<script>
+  const API = "/api/admin/receipt";
+  const ROLES = ["viewer", "operator", "destroyer"];
+  const $ = (id) => document.getElementById(id);
+  let me = null, rows = [], selected = new Set(), validated = null, jobTimer = null;
+  let sort = "branch", order = "asc", nextCursor = null, searchTimer = null;
+
+  function show(id, t, err){
+    const el = $(id);
+    el.style.display = t ? "block" : "none";
+    el.textContent = t || "";
+    el.classList.toggle("err", !!err);
+  }
+  function can(role){ return me && ROLES.indexOf(me.role) >= ROLES.indexOf(role); }
+  function money(c){ return (Number(c || 0) / 100).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 }); }
+  function td(text, cls){ const el = document.createElement("td"); el.textContent = text == null ? "" : String(text); if (cls) el.className = cls; return el; }
+  function pill(text){ const s = document.createElement("span"); s.className = "pill " + (text || ""); s.textContent = text || "-"; return s; }
+
+  async function api(method, path, body){
+    const opt = { method, credentials: "same-origin", headers: {} };
+    if (body instanceof FormData) opt.body = body;
+    else if (body !== undefined) { opt.headers["Content-Type"] = "application/json"; opt.body = JSON.stringify(body); }
+    const r = await fetch(API + path, opt);
+    const data = await r.json().catch(() => null);
+    return { r, data: data || {} };
+  }
+
+  /* ---------- auth ---------- */
+  async function boot(){
+    const { r, data } = await api("GET", "/auth/me");
+    if (!r.ok || !data.ok) {
+      $("who").textContent = "Not signed in";
+      $("login").classList.remove("hidden");
+      $("app").classList.add("hidden");
+      return;
     }
+    me = data;
+    $("who").textContent = data.sub + " · " + data.role;
+    $("login").classList.add("hidden");
+    $("app").classList.remove("hidden");
+    for (const id of ["btnValidate", "btnStart", "btnDryRun", "btnPause", "btnResume", "btnCancel", "btnMailAll", "btnExport", "btnPrint"]) {
+      if (!can("operator")) $(id).classList.add("hidden");
+    }
+    if (!can("destroyer")) $("btnDelSel").classList.add("hidden");
+    if (!can("operator")) $("btnMailSel").classList.add("hidden");
+    $("year").value = new Date().getFullYear() - 1;
+    loadProfiles();
+  }
 
-    // HubSpot PATCH（best effort）
-    try {
-      const years = parseYears(p.receipt_years_available);
-      if (!years.includes(String(year))) years.push(String(year));
-      await hubspotPatchContactByIdProperty(env, member_id, "member_id", {
-        receipt_portal_eligible: true,
-        receipt_years_available: years.join(";"),
-      });
-    } catch {}
+  $("btnLogin").addEventListener("click", async () => {
+    const t = $("token").value.trim();
+    if (!t) return show("loginMsg", "Paste a token first.", true);
+    const r = await fetch(API + "/auth/session", { method: "POST", credentials: "same-origin", headers: { Authorization: "Bearer " + t } });
+    const data = await r.json().catch(() => ({}));
+    if (data.error === "token_expiring") return show("loginMsg", "This token expires in less than 5 minutes. Issue a new one.", true);
+    if (!r.ok || !data.ok) return show("loginMsg", "Sign-in failed: " + (data.error || r.status), true);
+    $("token").value = "";
+    show("loginMsg", "");
+    boot();
+  });
 
-    // ===== ここからが「止めない」本体（必須）=====
-    try {
-      const pdf_key = `receipts/${member_id}/${year}.pdf`;
+  /* ---------- tabs ---------- */
+  document.querySelectorAll(".tabs button").forEach((b) => b.addEventListener("click", () => {
+    document.querySelectorAll(".tabs button").forEach((x) => x.classList.toggle("on", x === b));
+    for (const t of ["import", "dashboard"]) $("tab-" + t).classList.toggle("hidden", t !== b.dataset.tab);
+    if (b.dataset.tab === "dashboard" && !rows.length) loadDashboard();
+  }));
+
+  /* ---------- import ---------- */
+  async function loadProfiles(){
+    const { data } = await api("GET", "/import/profiles");
+    const sel = $("profile");
+    sel.innerHTML = "";
+    for (const p of data.profiles || []) {
+      const o = document.createElement("option");
+      o.value = p.name;
+      o.textContent = p.label ? p.name + " — " + p.label : p.name;
+      sel.appendChild(o);
+    }
+  }
 
-      // ✅ generateReceiptPdf が期待する形に合わせる（amount_centsではなく amount文字列）
-      const pdf = await generateReceiptPdf(env, {
-        name,
-        year: String(year),
-        amount: (Number(cents) / 100).toFixed(2),
-        date: todayISO(),
-      });
+  function uploadForm(){
+    const f = $("file").files[0];
+    if (!f) return null;
+    const fd = new FormData();
+    fd.set("file", f, f.name);
+    fd.set("profile", $("profile").value || "default");
+    fd.set("source", $("source").value);
+    fd.set("duplicates", $("duplicates").value);
+    if ($("sheet").value.trim()) fd.set("sheet", $("sheet").value.trim());
+    if ($("source").value === "transactions" && $("itemize").checked) fd.set("itemize", "1");
+    return fd;
+  }
 
-      await env.RECEIPTS_BUCKET.put(pdf_key, pdf, {
-        httpMetadata: { contentType: "application/pdf" }
-      });
+  // 条件を変えたら validate からやり直し
+  for (const id of ["file", "profile", "source", "duplicates", "sheet", "itemize"]) {
+    $(id).addEventListener("change", () => { validated = null; $("btnStart").disabled = true; $("btnDryRun").disabled = true; });
+  }
 
-      await upsertAnnual(env, {
-        year,
-        member_id,
-        branch,
-        name,
-        amount_cents: cents,
-        issue_date: todayISO(),
-        pdf_key,
-        status: "DONE",
-        error: null,
-      });
+  $("btnValidate").addEventListener("click", async () => {
+    const fd = uploadForm();
+    if (!fd) return show("importMsg", "Choose a file first.", true);
+    show("importMsg", "Validating…");
+    $("issues").innerHTML = "";
+    const { data } = await api("POST", "/import/validate", fd);
+    if (!data.ok && !data.errors) return show("importMsg", "Validation failed: " + (data.error || "unknown"), true);
+
+    const errs = data.errors || [], warns = (data.warnings || []).filter((w) => w.type !== "HUBSPOT_CHECK_SKIPPED_IN_VALIDATE");
+    const lines = [
+      (data.ok ? "OK" : "Errors found") + " — " + (data.total_rows || 0) + " rows" + (data.members != null ? ", " + data.members + " members" : "") + (data.years ? ", year " + Object.keys(data.years).join("/") : ""),
+      "errors: " + JSON.stringify(data.error_counts || {}) + "   warnings: " + JSON.stringify(data.warning_counts || {}),
+    ];
+    if (data.sheet) lines.push("sheet: " + data.sheet);
+    show("importMsg", lines.join("\\n"), !data.ok);
+    for (const it of errs.concat(warns).slice(0, 200)) {
+      const li = document.createElement("li");
+      li.textContent = (it.row != null ? "row " + it.row + ": " : "") + it.type + (it.member_id ? " (" + it.member_id + ")" : "") + (it.value != null ? " — " + it.value : "");
+      li.style.color = errs.includes(it) ? "var(--red)" : "";
+      $("issues").appendChild(li);
+    }
+    validated = data.ok ? true : null;
+    $("btnStart").disabled = !data.ok;
+    $("btnDryRun").disabled = !data.ok;
+  });
 
-      await env.RECEIPTS_DB.prepare(`
-        UPDATE receipt_import_row
-        SET status='DONE',
-            email=?,
-            pdf_key=?,
-            error=NULL,
-            updated_at=datetime('now')
-        WHERE job_id=? AND row_index=?
-      `).bind(email, pdf_key, job_id, row_index).run();
+  async function startJob(path, label){
+    const fd = uploadForm();
+    if (!fd || !validated) return;
+    if (!confirm(label + " now?")) return;
+    $("btnStart").disabled = true;
+    $("btnDryRun").disabled = true;
+    const { data } = await api("POST", path, fd);
+    if (!data.ok) return show("importMsg", label + " failed: " + (data.error || "unknown"), true);
+    validated = null;
+    watchJob(data.job_id, path.endsWith("dry-run"));
+  }
+  $("btnStart").addEventListener("click", () => startJob("/import/start", "Start import"));
+  $("btnDryRun").addEventListener("click", () => startJob("/import/dry-run", "Start dry run"));
+
+  function watchJob(jobId, dryRun){
+    clearInterval(jobTimer);
+    $("jobCard").classList.remove("hidden");
+    $("jobId").textContent = jobId;
+    $("lnkFailed").href = API + "/import/failed-rows?job_id=" + encodeURIComponent(jobId);
+    $("lnkReport").href = API + "/import/dry-run/report?job_id=" + encodeURIComponent(jobId);
+    $("lnkReport").classList.toggle("hidden", !dryRun);
+    const tick = async () => {
+      const { data } = await api("GET", "/import/status?job_id=" + encodeURIComponent(jobId));
+      const j = data.job;
+      if (!j) return;
+      const total = Number(j.total_rows || 0), done = Number(j.processed_rows || 0);
+      $("jobBar").style.width = (total ? Math.round(done * 100 / total) : 0) + "%";
+      $("jobLine").textContent = j.status + (j.phase ? " / " + j.phase : "") + " — " + done + " / " + total +
+        "  (ok " + (j.ok_rows || 0) + ", ng " + (j.ng_rows || 0) + ")" + (j.last_error ? "\\n" + j.last_error : "");
+      const st = String(j.status || "");
+      $("btnPause").disabled = st !== "RUNNING";
+      $("btnResume").disabled = st !== "PAUSED" && !(st === "ERROR" && String(j.last_error || "").indexOf("queue_failed:") === 0);
+      $("btnCancel").disabled = st !== "RUNNING" && st !== "PAUSED";
+      $("lnkFailed").classList.toggle("hidden", st !== "DONE" || !Number(j.ng_rows || 0) || dryRun);
+      if (st === "DONE" || st === "CANCELLED" || st === "ERROR") clearInterval(jobTimer);
+    };
+    tick();
+    jobTimer = setInterval(tick, 2000);
+  }
 
-      ok++;
+  async function jobAction(action, extra){
+    const jobId = $("jobId").textContent;
+    const { data } = await api("POST", "/import/" + action, Object.assign({ job_id: jobId }, extra || {}));
+    if (!data.ok) return show("importMsg", action + " failed: " + (data.error || "unknown"), true);
+    watchJob(jobId, !$("lnkReport").classList.contains("hidden"));
+  }
+  $("btnPause").addEventListener("click", () => jobAction("pause"));
+  $("btnResume").addEventListener("click", () => jobAction("resume"));
+  $("btnCancel").addEventListener("click", () => {
+    if (!confirm("Cancel this job?")) return;
+    jobAction("cancel", { rollback: confirm("Also roll back the receipts this job already issued?") });
+  });
 
-    } catch (e) {
-      // ✅ PDF失敗でも止めない：この行だけERRORにする
-      const msg = String(e?.message || e);
-      ng++;
+  /* ---------- dashboard ---------- */
+  // 絞り込み・並び替え・ページングはサーバー側（dashboard API）
+  function dashQuery(){
+    const p = new URLSearchParams({ year: $("year").value, sort, order, limit: "200" });
+    const f = { branch: $("fBranch").value, status: $("fStatus").value, email_status: $("fEmail").value,
+      q: $("fQ").value.trim(), min_amount: $("fMin").value.trim(), max_amount: $("fMax").value.trim() };
+    for (const k in f) if (f[k]) p.set(k, f[k]);
+    return p;
+  }
 
-      await env.RECEIPTS_DB.prepare(`
-        UPDATE receipt_import_row
-        SET status='ERROR',
-            error=?,
-            updated_at=datetime('now')
-        WHERE job_id=? AND row_index=?
-      `).bind(`pdf_failed:${msg}`, job_id, row_index).run();
+  async function loadDashboard(more){
+    show("dashMsg", "");
+    const p = dashQuery();
+    if (more && nextCursor) p.set("cursor", nextCursor);
+    const { data } = await api("GET", "/dashboard?" + p.toString());
+    if (!data.ok) return show("dashMsg", "Load failed: " + (data.error || "unknown") + (data.param ? " (" + data.param + ")" : ""), true);
+    if (!more) { rows = []; selected.clear(); }
+    rows = rows.concat(data.rows || []);
+    nextCursor = data.next_cursor || null;
+
+    const cur = $("fBranch").value;
+    $("fBranch").innerHTML = '<option value="">All</option>';
+    for (const b of data.branches || []) { const o = document.createElement("option"); o.value = b; o.textContent = b || "(none)"; $("fBranch").appendChild(o); }
+    $("fBranch").value = (data.branches || []).includes(cur) ? cur : "";
+
+    $("lnkRepCsv").href = API + "/reports/branches?format=csv&year=" + encodeURIComponent(data.year);
+    $("lnkRepPdf").href = API + "/reports/branches?format=pdf&year=" + encodeURIComponent(data.year);
+    const t = data.totals || { rows: 0, amount_cents: 0 };
+    $("dashInfo").textContent = rows.length + " of " + t.rows + " rows · total $" + money(t.amount_cents);
+    const st = Object.entries(data.by_status || {}).map(([k, v]) => (k || "-") + " " + v.rows);
+    const em = Object.entries(data.by_email_status || {}).map(([k, v]) => (k || "not sent") + " " + v);
+    const br = (data.by_branch || []).map((b) => (b.branch || "(none)") + " " + b.rows + " / $" + money(b.amount_cents));
+    $("dashTotals").textContent = "Status: " + (st.join(", ") || "-") + "   ·   Email: " + (em.join(", ") || "-") + "\\nBranches: " + (br.join("  ·  ") || "-");
+    $("dashTotals").style.whiteSpace = "pre-wrap";
+    render();
+  }
 
-      // annualにも残す（一覧で追える）
-      await upsertAnnual(env, {
-        year,
-        member_id,
-        branch,
-        name,
-        amount_cents: cents,
-        issue_date: todayISO(),
-        pdf_key: "",
-        status: "ERROR",
-        error: "pdf_failed",
-      });
+  function key(r){ return r.year + ":" + r.member_id; }
+
+  function render(){
+    const tb = $("rows");
+    tb.innerHTML = "";
+    for (const r of rows) {
+      const tr = document.createElement("tr");
+      const c0 = document.createElement("td");
+      const chk = document.createElement("input");
+      chk.type = "checkbox";
+      chk.checked = selected.has(key(r));
+      chk.addEventListener("change", () => { chk.checked ? selected.add(key(r)) : selected.delete(key(r)); updateSel(); });
+      c0.appendChild(chk);
+      tr.appendChild(c0);
+      tr.appendChild(td(r.member_id));
+      tr.appendChild(td(r.name));
+      tr.appendChild(td(r.branch));
+      tr.appendChild(td(money(r.amount_cents), "num"));
+      const cs = td(""); cs.appendChild(pill(r.status)); if (r.error) cs.title = r.error; tr.appendChild(cs);
+      const ce = td(""); ce.appendChild(pill(r.email_status));
+      if (r.mailed_at) { const m = pill("MAILED"); m.title = r.mailed_at; m.style.marginLeft = "4px"; ce.appendChild(m); }
+      tr.appendChild(ce);
+      const ca = td("");
+      const bv = document.createElement("button");
+      bv.className = "secondary"; bv.textContent = "PDF"; bv.disabled = !r.pdf_key;
+      bv.addEventListener("click", () => preview(r));
+      ca.appendChild(bv);
+      if (can("operator")) {
+        const bm = document.createElement("button");
+        bm.className = "secondary"; bm.textContent = "Email"; bm.disabled = r.status !== "DONE";
+        bm.style.marginLeft = "6px";
+        bm.addEventListener("click", () => sendEmails([r]));
+        ca.appendChild(bm);
+      }
+      tr.appendChild(ca);
+      tb.appendChild(tr);
     }
-    // ===== ここまで =====
+    document.querySelectorAll("th[data-sort]").forEach((th) => {
+      const on = th.dataset.sort === sort;
+      th.classList.toggle("sorted", on);
+      th.dataset.label = th.dataset.label || th.textContent;
+      th.textContent = th.dataset.label + (on ? (order === "asc" ? " ▲" : " ▼") : "");
+    });
+    $("btnMore").classList.toggle("hidden", !nextCursor);
+    $("chkAll").checked = rows.length > 0 && rows.every((r) => selected.has(key(r)));
+    updateSel();
   }
 
-    // 進捗更新（processed_rows / next_index）
-  const processed_rows = Math.min(total, maxRowIndex);
-
-  await env.RECEIPTS_DB.prepare(`
-    UPDATE receipt_import_job
-    SET ok_rows=ok_rows+?,
-        ng_rows=ng_rows+?,
-        processed_rows=?,
-        next_index=?,
-        status='RUNNING',
-        updated_at=datetime('now')
-    WHERE job_id=?
-  `).bind(ok, ng, processed_rows, maxRowIndex, job_id).run();
+  function updateSel(){
+    $("btnDelSel").disabled = !selected.size;
+    $("btnMailSel").disabled = !selected.size;
+    $("btnDelSel").textContent = "Delete selected (" + selected.size + ")…";
+    $("btnMailSel").textContent = "Email selected (" + selected.size + ")";
+  }
 
-  // PENDINGが残っているか確認
-  const pending = await env.RECEIPTS_DB.prepare(`
-    SELECT COUNT(*) AS n
-    FROM receipt_import_row
-    WHERE job_id=? AND status='PENDING'
-  `).bind(job_id).first();
+  $("chkAll").addEventListener("change", () => {
+    for (const r of rows) $("chkAll").checked ? selected.add(key(r)) : selected.delete(key(r));
+    render();
+  });
+  document.querySelectorAll("th[data-sort]").forEach((th) => th.addEventListener("click", () => {
+    if (sort === th.dataset.sort) order = order === "asc" ? "desc" : "asc";
+    else { sort = th.dataset.sort; order = sort === "amount" ? "desc" : "asc"; }
+    loadDashboard();
+  }));
+  for (const id of ["year", "fBranch", "fStatus", "fEmail", "fMin", "fMax"]) $(id).addEventListener("change", () => loadDashboard());
+  $("fQ").addEventListener("input", () => { clearTimeout(searchTimer); searchTimer = setTimeout(() => loadDashboard(), 300); });
+  $("btnLoad").addEventListener("click", () => loadDashboard());
+  $("btnMore").addEventListener("click", () => loadDashboard(true));
+
+  function preview(r){
+    $("split").classList.remove("nopv");
+    $("pvBox").classList.remove("hidden");
+    $("pvTitle").textContent = r.member_id + " · " + (r.name || "") + " · " + r.year;
+    $("pv").src = API + "/pdf?member_id=" + encodeURIComponent(r.member_id) + "&year=" + encodeURIComponent(r.year);
+  }
+  $("btnPvClose").addEventListener("click", () => {
+    $("pv").src = "about:blank";
+    $("pvBox").classList.add("hidden");
+    $("split").classList.add("nopv");
+  });
 
-  const left = Number(pending?.n || 0);
+  function selectedRows(){ return rows.filter((r) => selected.has(key(r))); }
+
+  async function sendEmails(list){
+    const targets = list.filter((r) => r.status === "DONE");
+    if (!targets.length) return show("dashMsg", "Nothing to send (only DONE rows can be emailed).", true);
+    if (!confirm("Send the receipt email to " + targets.length + " member(s)?")) return;
+    let sent = 0, failed = 0;
+    for (const r of targets) {
+      show("dashMsg", "Sending… " + (sent + failed) + " / " + targets.length);
+      const { data } = await api("POST", "/email/send-one", { member_id: r.member_id, year: r.year });
+      if (data.ok && data.sent) sent++; else failed++;
+    }
+    show("dashMsg", "Sent " + sent + ", not sent " + failed + ".", failed > 0);
+    loadDashboard();
+  }
+  $("btnMailSel").addEventListener("click", () => sendEmails(selectedRows()));
+
+  $("btnMailAll").addEventListener("click", async () => {
+    const branch = $("fBranch").value;
+    const y = $("year").value;
+    if (!confirm("Queue receipt emails for every unsent DONE row in " + y + (branch ? " / " + branch : "") + "?")) return;
+    const { data } = await api("POST", "/email/send-all", { year: Number(y), branch: branch || undefined });
+    if (!data.ok) return show("dashMsg", "Bulk send failed: " + (data.error || "unknown"), true);
+    const poll = async () => {
+      const s = await api("GET", "/jobs/status?job_id=" + encodeURIComponent(data.job_id));
+      const j = s.data.job || {};
+      show("dashMsg", "Email job " + (j.status || "") + " — " + (j.processed_rows || 0) + " / " + (j.total_rows || data.total_rows) + " (ok " + (j.ok_rows || 0) + ", ng " + (j.ng_rows || 0) + ")");
+      if (j.status === "RUNNING") setTimeout(poll, 2000); else loadDashboard();
+    };
+    poll();
+  });
 
-  if (left > 0) {
-    // 次を自分でenqueue（自走）
-    await env.IMPORT_Q.send({ type: "process_rows", job_id });
-  } else {
-    // 完了
-    await env.RECEIPTS_DB.prepare(`
-      UPDATE receipt_import_job
-      SET status='DONE',
-          next_index=?,
-          processed_rows=?,
-          updated_at=datetime('now')
-      WHERE job_id=?
-    `).bind(total, total, job_id).run();
+  // export / print は receipt_job。終わったら download_url をリンクで出す
+  function watchFileJob(jobId, label, total){
+    $("jobLinks").classList.add("hidden");
+    $("jobLinks").textContent = "";
+    const poll = async () => {
+      const s = await api("GET", "/jobs/status?job_id=" + encodeURIComponent(jobId));
+      const j = s.data.job || {};
+      show("dashMsg", label + " job " + (j.status || "") + " — " + (j.processed_rows || 0) + " / " + (j.total_rows || total) + (j.ng_rows ? " (failed " + j.ng_rows + ")" : ""), j.status === "FAILED");
+      if (j.status === "RUNNING") return setTimeout(poll, 2000);
+      if (j.status === "FAILED" && can("operator")) {
+        const b = document.createElement("button");
+        b.className = "secondary";
+        b.textContent = "Resume";
+        b.addEventListener("click", async () => {
+          const { data } = await api("POST", "/jobs/resume", { job_id: jobId });
+          if (!data.ok) return show("dashMsg", "Resume failed: " + (data.error || "unknown"), true);
+          watchFileJob(jobId, label, total);
+        });
+        $("jobLinks").appendChild(b);
+        $("jobLinks").classList.remove("hidden");
+        return;
+      }
+      if (j.download_url) {
+        const files = j.downloads || [{ download_url: j.download_url }];
+        files.forEach((f) => {
+          const a = document.createElement("a");
+          a.href = f.download_url;
+          a.target = "_blank";
+          a.rel = "noopener";
+          a.style.marginRight = "12px";
+          a.textContent = j.kind === "PRINT"
+            ? "Print PDF vol. " + f.volume + " (" + f.members + " members, " + f.pages + " pages)"
+            : "Download " + label.toLowerCase() + " ZIP";
+          $("jobLinks").appendChild(a);
+        });
+        if (j.kind === "PRINT") {
+          const b = document.createElement("button");
+          b.className = "secondary";
+          b.textContent = j.result.mailed ? "Mailed (" + j.result.mailed + ")" : "Mark as mailed…";
+          b.disabled = !!j.result.mailed || !can("operator");
+          b.addEventListener("click", async () => {
+            if (!confirm("Mark every member in this print batch as mailed? Do this after the letters are posted.")) return;
+            const { data } = await api("POST", "/print/mark-mailed", { job_id: jobId });
+            if (!data.ok) return show("dashMsg", "Mark as mailed failed: " + (data.error || "unknown"), true);
+            b.textContent = "Mailed (" + data.mailed + ")";
+            b.disabled = true;
+            loadDashboard();
+          });
+          $("jobLinks").appendChild(b);
+        }
+        $("jobLinks").classList.remove("hidden");
+        if (j.kind === "PRINT") loadDashboard();
+      }
+    };
+    poll();
   }
 
+  $("btnExport").addEventListener("click", async () => {
+    const branch = $("fBranch").value;
+    const y = $("year").value;
+    if (!confirm("Build a ZIP of every issued receipt for " + y + (branch ? " / " + branch : "") + "?")) return;
+    const { data } = await api("POST", "/export/zip", { year: Number(y), branch: branch || undefined });
+    if (!data.ok) return show("dashMsg", "Export failed: " + (data.error || "unknown"), true);
+    watchFileJob(data.job_id, "Export", data.total_rows);
+  });
+
+  // 選択があればその会員、無ければ NEEDS_EMAIL（未郵送）の全員
+  $("btnPrint").addEventListener("click", async () => {
+    const branch = $("fBranch").value;
+    const y = $("year").value;
+    const list = selectedRows();
+    const what = list.length ? list.length + " selected member(s)" : "every member without email in " + y + (branch ? " / " + branch : "") + " not yet mailed";
+    if (!confirm("Build print PDFs for " + what + "? Mark them as mailed once the letters are posted.")) return;
+    const cover = confirm("Add an address cover sheet before each receipt?");
+    const body = { year: Number(y), cover_sheets: cover };
+    if (list.length) body.member_ids = list.map((r) => r.member_id);
+    else if (branch) body.branch = branch;
+    const { data } = await api("POST", "/print/batch", body);
+    if (!data.ok) return show("dashMsg", "Print batch failed: " + (data.error || "unknown"), true);
+    watchFileJob(data.job_id, "Print", data.total_rows);
+  });
+
+  $("btnDelSel").addEventListener("click", async () => {
+    const list = selectedRows();
+    const phrase = "DELETE " + list.length;
+    if (prompt("This deletes " + list.length + " receipt(s) and their PDFs. Type \\"" + phrase + "\\" to confirm.") !== phrase) return;
+    const { data } = await api("POST", "/delete-selected", { selections: list.map((r) => ({ member_id: r.member_id, year: r.year })) });
+    if (!data.ok) return show("dashMsg", "Delete failed: " + (data.error || "unknown"), true);
+    show("dashMsg", "Deleted " + data.deleted_ok + (data.deleted_ng ? ", failed " + data.deleted_ng : "") + ".", data.deleted_ng > 0);
+    loadDashboard();
+  });
+
+  boot().catch((e) => show("loginMsg", String(e), true));
+</script>
+</body>
+</html>`;
+}
 
 /* ===================== Member UI HTML ===================== */
 
@@ -1362,6 +6894,14 @@ function memberPortalHtml() {
     el.textContent = "";
   }
 
+  function tooManyMsg(data){
+    const err = data && data.error;
+    const wait = data && data.retry_after ? " (about " + Math.ceil(data.retry_after / 60) + " min)" : "";
+    if (err === "resend_cooldown") return "A code was just sent. Please wait a moment before requesting another one.";
+    if (err === "locked") return "Too many incorrect codes. Please request a new code.";
+    return "Too many attempts. Please try again later" + wait + ".";
+  }
+
   async function postJson(path, body){
     const r = await fetch(API + path, {
       method: "POST",
@@ -1428,6 +6968,7 @@ function memberPortalHtml() {
       showMsg("A verification code has been sent to your email.\\nPlease check your inbox.");
       return;
     }
+    if (r.status === 429) return showMsg(tooManyMsg(data));
     showMsg("We couldn’t find this email address in our records");
   });
 
@@ -1439,6 +6980,7 @@ function memberPortalHtml() {
     if (!/^\\d{6}$/.test(code)) return showMsg("Please enter the 6-digit code.");
 
     const { r, data } = await postJson("/api/receipt/verify-code", { email, code });
+    if (r.status === 429) return showMsg(tooManyMsg(data));
     if (r.ok && data && data.ok) {
       showMsg("Signed in successfully.\\nAvailable years: " + (data.years || []).join(", "));
       await renderYears();